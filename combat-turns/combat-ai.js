@@ -0,0 +1,430 @@
+/**
+ * CombatAI - Enemy AI Strategy Registry
+ * Maps a fighter's aiType to a strategy that scores its available actions
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class CombatAI {
+  constructor(options = {}) {
+    // Configuration options
+    this.options = {
+      defaultStrategy: "basic",
+      lookahead: {}, // Options for the "hard" search strategy
+      enableDebugLogs: false,
+      ...options,
+    };
+
+    // Registered strategies keyed by aiType
+    this.strategies = new Map();
+
+    this.loadDefaultStrategies();
+  }
+
+  /**
+   * Register the built-in strategies
+   */
+  loadDefaultStrategies() {
+    // Original fixed priority list: heal, recover energy, heavy, light, defend
+    this.registerStrategy("basic", {
+      name: "Basic",
+      description: "Follows a simple fixed priority list",
+      scoreAction(option, context) {
+        const { self, opponent } = context;
+        let preferred;
+
+        if (self.hp < self.maxHp * 0.3 && self.energy >= 3) {
+          preferred = "heal";
+        } else if (self.energy < self.maxEnergy * 0.5) {
+          preferred = "restore_energy";
+        } else if (opponent.hp > opponent.maxHp * 0.7 && self.energy >= 4) {
+          preferred = "heavy_attack";
+        } else if (self.energy >= 2) {
+          preferred = "light_attack";
+        } else {
+          preferred = "defend";
+        }
+
+        return option.actionId === preferred
+          ? 100
+          : option.estimate.damage / 10;
+      },
+    });
+
+    // Weighs damage, recovery and protection against each other
+    this.registerStrategy("balanced", {
+      name: "Balanced",
+      description: "Weighs damage against healing, energy and defense",
+      scoreAction(option, context) {
+        const { estimate, action } = option;
+        const { self } = context;
+        const hpRatio = self.hp / self.maxHp;
+        const energyRatio = self.energy / self.maxEnergy;
+        let score = estimate.damage;
+
+        if (estimate.lethal) score += 100;
+        score += estimate.healing * (1 - hpRatio) * 2;
+        score += estimate.energyRestore * (energyRatio < 0.4 ? 3 : 0.5);
+        if (estimate.blocks && !CombatAI.hasEffect(self, "block_next_attack")) {
+          score += context.opponentThreat * 0.5;
+        }
+        if (estimate.boosts && !CombatAI.hasEffect(self, "boost_damage")) {
+          score += estimate.boostValue * 0.5;
+        }
+
+        return score - action.energyCost * 0.5;
+      },
+    });
+
+    // Maximizes damage output and only heals when nearly defeated
+    this.registerStrategy("aggressive", {
+      name: "Aggressive",
+      description: "Maximizes damage and goes for the kill",
+      scoreAction(option, context) {
+        const { estimate } = option;
+        const { self } = context;
+        const hpRatio = self.hp / self.maxHp;
+        let score = estimate.damage * 1.5;
+
+        if (estimate.lethal) score += 200;
+        if (hpRatio < 0.2) score += estimate.healing * 2;
+        if (!context.canAffordAttack) score += estimate.energyRestore * 2;
+        if (estimate.boosts && !CombatAI.hasEffect(self, "boost_damage")) {
+          score += estimate.boostValue;
+        }
+
+        return score;
+      },
+    });
+
+    // Blocks big hits and heals early, attacks when safe
+    this.registerStrategy("defensive", {
+      name: "Defensive",
+      description: "Blocks incoming damage and heals early",
+      scoreAction(option, context) {
+        const { estimate } = option;
+        const { self } = context;
+        const hpRatio = self.hp / self.maxHp;
+        const energyRatio = self.energy / self.maxEnergy;
+        let score = estimate.damage * 0.8;
+
+        if (estimate.lethal) score += 100;
+        if (hpRatio < 0.6) score += estimate.healing * 2;
+        if (energyRatio < 0.5) score += estimate.energyRestore * 1.5;
+        if (estimate.blocks && !CombatAI.hasEffect(self, "block_next_attack")) {
+          score += context.opponentThreat;
+        }
+        if (estimate.boosts && !CombatAI.hasEffect(self, "boost_damage")) {
+          score += estimate.boostValue * 0.3;
+        }
+
+        return score;
+      },
+    });
+
+    // Search-based strategy, available when combat-lookahead.js is loaded
+    if (typeof CombatLookahead !== "undefined") {
+      this.registerStrategy(
+        "hard",
+        new CombatLookahead(this.options.lookahead)
+      );
+    }
+  }
+
+  /**
+   * Register an AI strategy
+   * @param {string} name - aiType this strategy handles
+   * @param {Object} strategy - Object with scoreAction(option, context) and/or chooseAction(context)
+   */
+  registerStrategy(name, strategy) {
+    if (
+      !strategy ||
+      (typeof strategy.scoreAction !== "function" &&
+        typeof strategy.chooseAction !== "function")
+    ) {
+      throw new Error(
+        `AI strategy ${name} must define scoreAction() or chooseAction()`
+      );
+    }
+
+    this.strategies.set(name, strategy);
+    this.log(`AI strategy registered: ${name}`);
+  }
+
+  /**
+   * Remove an AI strategy
+   * @param {string} name - Strategy name
+   */
+  removeStrategy(name) {
+    return this.strategies.delete(name);
+  }
+
+  /**
+   * Check if a strategy is registered
+   * @param {string} name - Strategy name
+   */
+  hasStrategy(name) {
+    return this.strategies.has(name);
+  }
+
+  /**
+   * Get a strategy, falling back to the default strategy
+   * @param {string} name - Strategy name
+   */
+  getStrategy(name) {
+    if (name && this.strategies.has(name)) {
+      return this.strategies.get(name);
+    }
+
+    if (name) {
+      this.log(`Unknown AI strategy "${name}", using default`);
+    }
+    return this.strategies.get(this.options.defaultStrategy);
+  }
+
+  /**
+   * Get registered strategy names
+   */
+  getStrategyNames() {
+    return Array.from(this.strategies.keys());
+  }
+
+  /**
+   * Choose an action for a fighter
+   * @param {Object} context - { self, opponent, allies, opponents, availableActions, turn, state, combat }
+   * @returns {string|null} - Chosen action ID
+   */
+  chooseAction(context) {
+    const { availableActions } = context;
+    if (!availableActions || availableActions.length === 0) {
+      return null;
+    }
+
+    const strategy = this.getStrategy(context.self.aiType);
+    const fullContext = this.buildContext(context);
+
+    // Strategies may take over the whole decision
+    if (typeof strategy.chooseAction === "function") {
+      const choice = strategy.chooseAction(fullContext);
+      if (availableActions.includes(choice)) {
+        return choice;
+      }
+    }
+
+    if (typeof strategy.scoreAction !== "function") {
+      return this.pickFallback(context);
+    }
+
+    const scored = this.scoreActions(strategy, fullContext);
+    this.log(
+      `${context.self.name} scored: ${scored
+        .map((entry) => `${entry.actionId}=${entry.score.toFixed(1)}`)
+        .join(", ")}`
+    );
+
+    return scored[0].actionId;
+  }
+
+  /**
+   * Pick a random available action when a strategy gives no usable answer
+   * @param {Object} context - Base context from Combat (uses its seeded rng)
+   */
+  pickFallback(context) {
+    const { availableActions, combat } = context;
+    return combat && combat.rng
+      ? combat.rng.pick(availableActions)
+      : availableActions[0];
+  }
+
+  /**
+   * Score every available action with a strategy
+   * @param {Object} strategy - Strategy to score with
+   * @param {Object} context - Full AI context
+   * @returns {Array} - [{ actionId, score }] sorted best first, ties keep action order
+   */
+  scoreActions(strategy, context) {
+    return context.availableActions
+      .map((actionId, index) => {
+        const action = context.self.customActions[actionId];
+        const option = {
+          actionId,
+          action,
+          estimate: this.estimateAction(
+            action,
+            context.self,
+            context.opponent,
+            context
+          ),
+        };
+        const score = Number(strategy.scoreAction(option, context)) || 0;
+        return { actionId, score, index };
+      })
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+  }
+
+  /**
+   * Pick the opponent to focus on - the one closest to defeat
+   * @param {Array} opponents - Standing opponents
+   */
+  selectFocus(opponents) {
+    return opponents.reduce(
+      (focus, fighter) => (!focus || fighter.hp < focus.hp ? fighter : focus),
+      null
+    );
+  }
+
+  /**
+   * Pick the ally most in need of support - lowest health ratio
+   * @param {Array} allies - Standing allies, including the acting fighter
+   */
+  selectAlly(allies) {
+    return allies.reduce(
+      (target, fighter) =>
+        !target || fighter.hp / fighter.maxHp < target.hp / target.maxHp
+          ? fighter
+          : target,
+      null
+    );
+  }
+
+  /**
+   * Add derived values shared by all strategies to the context
+   * @param {Object} context - Base context from Combat
+   */
+  buildContext(context) {
+    const { self, opponent } = context;
+
+    // Best damage the opponent could deal with what it can afford right now
+    const opponentThreat = opponent
+      ? Math.max(
+          0,
+          ...opponent.actions.map((actionId) => {
+            const action = opponent.customActions[actionId];
+            if (!action || opponent.energy < action.energyCost) return 0;
+            return this.estimateAction(action, opponent, self, context).damage;
+          })
+        )
+      : 0;
+
+    const canAffordAttack = context.availableActions.some(
+      (actionId) => self.customActions[actionId].type === "attack"
+    );
+
+    return { ...context, opponentThreat, canAffordAttack };
+  }
+
+  /**
+   * Estimate the outcome of an action without applying it
+   * @param {Object} action - Action definition
+   * @param {Object} attacker - Acting fighter
+   * @param {Object} defender - Opposing fighter
+   * @param {Object} context - AI context (uses context.combat rules when available)
+   */
+  estimateAction(action, attacker, defender, context = {}) {
+    const effects = CombatAI.getEffectTypes(action);
+    const energyAfter = attacker.energy - action.energyCost;
+    const estimate = {
+      damage: 0,
+      healing: 0,
+      energyRestore: 0,
+      lethal: false,
+      blocks: effects.includes("block_next_attack"),
+      boosts: effects.includes("boost_damage"),
+      boostValue: 0,
+      energyAfter,
+    };
+
+    if (effects.includes("damage") && defender) {
+      estimate.damage = this.estimateDamage(
+        action,
+        attacker,
+        defender,
+        context
+      );
+      estimate.lethal = estimate.damage >= defender.hp;
+    }
+
+    if (effects.includes("restore_hp")) {
+      estimate.healing = Math.min(
+        Math.floor(attacker.maxHp * (action.power / 100)),
+        attacker.maxHp - attacker.hp
+      );
+    }
+
+    if (effects.includes("restore_energy")) {
+      estimate.energyRestore = Math.min(
+        Math.floor(attacker.maxEnergy * (action.power / 100)),
+        attacker.maxEnergy - energyAfter
+      );
+    }
+
+    // A boost is worth the extra damage it adds to the best attack over its duration
+    if (estimate.boosts && defender) {
+      const bestAttack = Math.max(
+        0,
+        ...attacker.actions.map((actionId) => {
+          const other = attacker.customActions[actionId];
+          if (!other || !CombatAI.getEffectTypes(other).includes("damage")) {
+            return 0;
+          }
+          return this.estimateDamage(other, attacker, defender, context);
+        })
+      );
+      estimate.boostValue =
+        bestAttack * (action.power / 100) * Math.min(action.duration || 3, 3);
+    }
+
+    return estimate;
+  }
+
+  /**
+   * Estimate damage using the combat rules when available
+   */
+  estimateDamage(action, attacker, defender, context = {}) {
+    if (
+      context.combat &&
+      typeof context.combat.calculateDamage === "function"
+    ) {
+      // Expected damage: critical hits and misses count by their odds
+      const { combat } = context;
+      return Math.round(
+        combat.calculateDamage(action, attacker, defender) *
+          combat.getHitChance(action, attacker, defender)
+      );
+    }
+    return Math.max(1, action.power + attacker.attack - defender.defense);
+  }
+
+  /**
+   * Get the effect IDs of an action (entries may be strings or { type } objects)
+   * @param {Object} action - Action definition
+   */
+  static getEffectTypes(action) {
+    return (action.effects || []).map((entry) =>
+      typeof entry === "string" ? entry : entry.type
+    );
+  }
+
+  /**
+   * Check whether a fighter has an active status effect
+   * @param {Object} fighter - Fighter to check
+   * @param {string} effectId - Effect identifier
+   */
+  static hasEffect(fighter, effectId) {
+    const effect = fighter.statusEffects && fighter.statusEffects.get(effectId);
+    return !!effect && effect.duration > 0;
+  }
+
+  /**
+   * Debug logging helper
+   * @private
+   */
+  log(message) {
+    if (this.options.enableDebugLogs) {
+      console.log(`[CombatAI] ${message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CombatAI;
+}
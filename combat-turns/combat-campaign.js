@@ -0,0 +1,347 @@
+/**
+ * CombatCampaign - Campaign and Tower Runs
+ * Tracks a run through an ordered or branching list of encounters: where the
+ * run is, the party's carried-over health and energy, rest stops, difficulty
+ * ramping and run statistics. The run state is plain data so it can be saved.
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class CombatCampaign {
+  /**
+   * @param {Object} definition - { id, name, party, encounters, ramp, levelsPerBattle }
+   * @param {Object|null} state - Saved run state to resume, from toJSON()
+   * @param {Object} options - { enableDebugLogs }
+   */
+  constructor(definition, state = null, options = {}) {
+    // Configuration options
+    this.options = {
+      enableDebugLogs: false,
+      ...options,
+    };
+
+    if (!definition || !Array.isArray(definition.encounters)) {
+      throw new Error("Campaign definition needs an encounters array");
+    }
+
+    // Encounters get their index as ID when they don't have one
+    this.definition = {
+      ...definition,
+      encounters: definition.encounters.map((encounter, index) => ({
+        id: String(index),
+        ...encounter,
+      })),
+    };
+    this.encounters = new Map(
+      this.definition.encounters.map((encounter) => [encounter.id, encounter])
+    );
+
+    this.state = state ? { ...state } : this.createState();
+  }
+
+  /**
+   * Create the state of a fresh run
+   */
+  createState() {
+    const first = this.definition.encounters[0];
+
+    return {
+      campaignId: this.definition.id || null,
+      status: first ? "active" : "won", // 'active', 'won', 'lost' or 'abandoned'
+      currentId: first ? first.id : null,
+      choices: null, // Encounter IDs to pick from at a branch
+      path: first ? [first.id] : [],
+      battleCount: 0,
+      party: []
+        .concat(this.definition.party || [])
+        .map((member) =>
+          typeof member === "string" ? { templateId: member } : { ...member }
+        ),
+      stats: {
+        battlesWon: 0,
+        battlesLost: 0,
+        turns: 0,
+        damageDealt: 0,
+        damageTaken: 0,
+        experience: 0,
+        items: 0,
+        restsTaken: 0,
+        startedAt: Date.now(),
+        endedAt: null,
+      },
+    };
+  }
+
+  /**
+   * Get an encounter
+   * @param {string} encounterId - Encounter ID (default: the current one)
+   * @returns {Object|null}
+   */
+  getEncounter(encounterId = this.state.currentId) {
+    return this.encounters.get(encounterId) || null;
+  }
+
+  /**
+   * Get the IDs of the encounters that can follow one
+   * @param {Object} encounter - Encounter with an optional `next` (ID or array of IDs)
+   * @returns {Array} - Following encounter IDs; the next in order when `next` is missing
+   */
+  getNextIds(encounter) {
+    if (encounter.next !== undefined) {
+      return [].concat(encounter.next || []);
+    }
+
+    const index = this.definition.encounters.indexOf(encounter);
+    const following = this.definition.encounters[index + 1];
+    return following ? [following.id] : [];
+  }
+
+  /**
+   * Move past the current encounter
+   * @param {string|null} choice - Encounter ID to take at a branch
+   * @returns {Object} - { status: 'next'|'choice'|'won'|'invalid', encounter, choices }
+   */
+  advance(choice = null) {
+    const current = this.getEncounter();
+    const nextIds =
+      this.state.choices || (current ? this.getNextIds(current) : []);
+
+    if (nextIds.length === 0) {
+      this.finish("won");
+      return { status: "won" };
+    }
+
+    // Branches wait for a choice unless there's only one way on
+    const nextId = nextIds.length === 1 ? nextIds[0] : choice;
+    if (!nextId) {
+      this.state.choices = nextIds;
+      return {
+        status: "choice",
+        choices: nextIds.map((id) => this.getEncounter(id)).filter(Boolean),
+      };
+    }
+
+    if (!nextIds.includes(nextId) || !this.encounters.has(nextId)) {
+      this.log(`Can't go to ${nextId} from here`);
+      return { status: "invalid", choices: nextIds };
+    }
+
+    this.state.currentId = nextId;
+    this.state.choices = null;
+    this.state.path.push(nextId);
+
+    return { status: "next", encounter: this.getEncounter(nextId) };
+  }
+
+  /**
+   * Get the difficulty of a random encounter, ramping with each battle fought
+   * @param {Object} encounter - Encounter with an optional fixed `difficulty`
+   * @returns {string} - generateRandomEnemy() difficulty
+   */
+  getDifficulty(encounter) {
+    if (encounter.difficulty) return encounter.difficulty;
+
+    const ramp = this.definition.ramp || ["normal"];
+    return ramp[Math.min(this.state.battleCount, ramp.length - 1)];
+  }
+
+  /**
+   * Get the extra enemy levels a random encounter gets from ramping
+   * @returns {number}
+   */
+  getLevelBonus() {
+    return Math.floor(
+      this.state.battleCount * (this.definition.levelsPerBattle || 0)
+    );
+  }
+
+  /**
+   * Record a finished battle: carry the party's health and energy over and
+   * add to the run statistics
+   * @param {Object} results - Combat results (playerParty, winner, turns, battleLog)
+   * @param {Object} rewards - { experience, items } gained in the battle
+   */
+  recordBattle(results, rewards = {}) {
+    const stats = this.state.stats;
+    const won = results.winner === "player";
+
+    this.state.battleCount++;
+    stats.turns += results.turns || 0;
+    stats.experience += rewards.experience || 0;
+    stats.items += rewards.items || 0;
+    stats[won ? "battlesWon" : "battlesLost"]++;
+
+    const damage = this.sumDamage(results.battleLog || []);
+    stats.damageDealt += damage.dealt;
+    stats.damageTaken += damage.taken;
+
+    // Members who fell in a won battle get back up with 1 HP
+    this.state.party = this.state.party.map((member, index) => {
+      const fighter = (results.playerParty || [])[index];
+      if (!fighter) return member;
+
+      return {
+        ...member,
+        hp: Math.max(1, fighter.hp),
+        maxHp: fighter.maxHp,
+        energy: fighter.energy,
+        maxEnergy: fighter.maxEnergy,
+      };
+    });
+
+    if (!won) {
+      this.finish("lost");
+    }
+  }
+
+  /**
+   * Add up the damage each side dealt from a battle log
+   * @param {Array} battleLog - Combat battle log entries
+   * @returns {Object} - { dealt, taken } from the player's side
+   */
+  sumDamage(battleLog) {
+    const damage = { dealt: 0, taken: 0 };
+
+    battleLog.forEach((entry) => {
+      if (entry.type === "action") {
+        entry.targets.forEach((target) => {
+          if (!target.damage || target.side === entry.actor.side) return;
+          damage[entry.actor.side === "player" ? "dealt" : "taken"] +=
+            target.damage;
+        });
+      } else if (entry.type === "tick" && entry.damage > 0) {
+        damage[entry.fighter.side === "player" ? "taken" : "dealt"] +=
+          entry.damage;
+      }
+    });
+
+    return damage;
+  }
+
+  /**
+   * Rest the party at a rest stop
+   * @param {Object} encounter - Rest encounter ({ heal, energy } as fractions of max, default 0.5 and 1)
+   * @returns {Array} - [{ templateId, healed, restored }]
+   */
+  rest(encounter) {
+    const heal = encounter.heal ?? 0.5;
+    const energy = encounter.energy ?? 1;
+
+    this.state.stats.restsTaken++;
+
+    return this.state.party.map((member) => {
+      // Members who haven't fought yet are still fresh
+      if (member.hp === undefined) {
+        return { templateId: member.templateId, healed: 0, restored: 0 };
+      }
+
+      const hp = Math.min(
+        member.maxHp,
+        member.hp + Math.round(member.maxHp * heal)
+      );
+      const restored = Math.min(
+        member.maxEnergy,
+        member.energy + Math.round(member.maxEnergy * energy)
+      );
+      const result = {
+        templateId: member.templateId,
+        healed: hp - member.hp,
+        restored: restored - member.energy,
+      };
+
+      member.hp = hp;
+      member.energy = restored;
+      return result;
+    });
+  }
+
+  /**
+   * End the run
+   * @param {string} status - 'won', 'lost' or 'abandoned'
+   */
+  finish(status) {
+    this.state.status = status;
+    this.state.choices = null;
+    this.state.stats.endedAt = Date.now();
+    this.log(`Campaign ${status} after ${this.state.battleCount} battles`);
+  }
+
+  /**
+   * Check whether the run is still going
+   */
+  isActive() {
+    return this.state.status === "active";
+  }
+
+  /**
+   * Get run statistics
+   * @returns {Object} - Run stats plus encounters cleared and duration
+   */
+  getStats() {
+    const stats = this.state.stats;
+    return {
+      ...stats,
+      encountersCleared: this.state.path.length - (this.isActive() ? 1 : 0),
+      duration: (stats.endedAt || Date.now()) - stats.startedAt,
+    };
+  }
+
+  /**
+   * Convert the run to JSON for saving
+   * @returns {Object} - { definition, state }
+   */
+  toJSON() {
+    return {
+      definition: this.definition,
+      state: JSON.parse(JSON.stringify(this.state)),
+    };
+  }
+
+  /**
+   * Build a tower: a climb of random floors with rest stops and a boss on top
+   * @param {Object} options - { id, name, party, floors, restEvery, boss, ramp, levelsPerBattle }
+   * @returns {Object} - Campaign definition
+   */
+  static createTower(options = {}) {
+    const { floors = 10, restEvery = 0, boss = null, ...definition } = options;
+    const encounters = [];
+
+    for (let floor = 1; floor <= floors; floor++) {
+      const isTop = floor === floors && boss;
+      encounters.push({
+        id: `floor-${floor}`,
+        name: `Floor ${floor}`,
+        ...(isTop ? { enemy: boss } : { random: true }),
+      });
+
+      if (restEvery > 0 && floor % restEvery === 0 && floor < floors) {
+        encounters.push({
+          id: `rest-${floor}`,
+          name: `Rest after floor ${floor}`,
+          type: "rest",
+        });
+      }
+    }
+
+    return {
+      id: "tower",
+      name: "Tower",
+      ramp: ["easy", "normal", "normal", "hard", "hard", "nightmare"],
+      ...definition,
+      encounters,
+    };
+  }
+
+  /**
+   * Log debug message
+   * @param {string} message - Message to log
+   */
+  log(message) {
+    if (this.options.enableDebugLogs) {
+      console.log(`[CombatCampaign] ${message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CombatCampaign;
+}
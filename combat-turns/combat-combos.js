@@ -0,0 +1,184 @@
+/**
+ * CombatCombos - Action Combo Registry
+ * Declares combos: sequences of actions that earn the action finishing them
+ * bonus damage or extra effects when a fighter uses them on consecutive turns
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class CombatCombos {
+  constructor(options = {}) {
+    // Configuration options
+    this.options = {
+      enableDebugLogs: false,
+      ...options,
+    };
+
+    // Combos keyed by id: { name, icon, sequence, damageBonus, effects, description }
+    this.combos = new Map();
+
+    this.loadDefaultCombos();
+  }
+
+  /**
+   * Register the built-in combos
+   */
+  loadDefaultCombos() {
+    this.registerCombo("charged_strike", {
+      name: "Charged Strike",
+      icon: "⚡",
+      sequence: ["powerup", "heavy_attack"],
+      damageBonus: 0.25,
+      description: "A Power Strike right after a Power Up hits 25% harder",
+    });
+
+    this.registerCombo("flurry", {
+      name: "Flurry",
+      icon: "🌪️",
+      sequence: ["light_attack", "light_attack", "light_attack"],
+      damageBonus: 0.5,
+      effects: ["stun"],
+      description:
+        "Three Quick Strikes in a row - the last hits 50% harder and stuns",
+    });
+  }
+
+  /**
+   * Register a combo
+   * @param {string} comboId - Combo identifier
+   * @param {Object} definition - { name, icon, sequence: action IDs in the order they're used, damageBonus: fraction of damage added, effects: extra action effects, description }
+   */
+  registerCombo(comboId, definition) {
+    const { sequence } = definition;
+    if (!Array.isArray(sequence) || sequence.length < 2) {
+      throw new Error(
+        `Combo ${comboId} needs a sequence of at least 2 actions`
+      );
+    }
+
+    this.combos.set(comboId, {
+      icon: "🔗",
+      damageBonus: 0,
+      effects: [],
+      description: "",
+      ...definition,
+      id: comboId,
+      name: definition.name || comboId,
+    });
+    this.log(`Registered combo: ${comboId}`);
+  }
+
+  /**
+   * Get a combo definition
+   * @param {string} comboId - Combo identifier
+   */
+  getCombo(comboId) {
+    return this.combos.get(comboId) || null;
+  }
+
+  /**
+   * Get every registered combo
+   * @returns {Array} - Combo definitions
+   */
+  getCombos() {
+    return Array.from(this.combos.values());
+  }
+
+  /**
+   * Find how far using an action would take each combo
+   * @param {Array} queued - Action IDs used before it, in order (a fighter's combo chain)
+   * @param {string} actionId - Action about to be used
+   * @param {number} maxLength - Longest sequence to consider
+   * @returns {Array} - [{ combo, step, completes }] for combos the action starts, continues or finishes
+   */
+  getProgress(queued, actionId, maxLength = Infinity) {
+    const chain = [...queued, actionId];
+    const progress = [];
+
+    this.combos.forEach((combo) => {
+      const { sequence } = combo;
+      if (sequence.length > maxLength) return;
+
+      // The longest run at the end of the chain that opens the sequence
+      const longest = Math.min(sequence.length, chain.length);
+      for (let step = longest; step > 0; step--) {
+        const tail = chain.slice(chain.length - step);
+        if (tail.every((id, index) => id === sequence[index])) {
+          progress.push({
+            combo,
+            step,
+            completes: step === sequence.length,
+          });
+          return;
+        }
+      }
+    });
+
+    return progress;
+  }
+
+  /**
+   * Find the combos using an action would finish
+   * @param {Array} queued - Action IDs used before it, in order
+   * @param {string} actionId - Action about to be used
+   * @param {number} maxLength - Longest sequence to consider
+   * @returns {Array} - Completed combo definitions
+   */
+  findCompleted(queued, actionId, maxLength = Infinity) {
+    return this.getProgress(queued, actionId, maxLength)
+      .filter((entry) => entry.completes)
+      .map((entry) => entry.combo);
+  }
+
+  /**
+   * Add a used action to a fighter's combo chain. Finishing a combo starts
+   * the chain over, so one more Quick Strike doesn't finish Flurry again.
+   * @param {Array} chain - Action IDs the fighter used on its previous turns
+   * @param {string} actionId - Action just used
+   * @param {boolean} finished - Whether the action finished a combo
+   * @returns {Array} - New chain, only as long as a combo can still use
+   */
+  advanceChain(chain, actionId, finished = false) {
+    if (finished) return [];
+
+    const longest = this.getCombos().reduce(
+      (length, combo) => Math.max(length, combo.sequence.length),
+      0
+    );
+    // Only the last `longest - 1` actions can still start off a combo
+    const keep = longest - 1;
+    return keep > 0 ? [...chain, actionId].slice(-keep) : [];
+  }
+
+  /**
+   * Build the finishing action with the bonuses of the combos it completes
+   * @param {Object} action - Action definition
+   * @param {Array} combos - Completed combo definitions
+   * @returns {Object} - Action copy with `comboBonus` and the extra effects
+   */
+  applyBonuses(action, combos) {
+    if (combos.length === 0) return action;
+
+    return {
+      ...action,
+      effects: [
+        ...(action.effects || []),
+        ...combos.flatMap((combo) => combo.effects),
+      ],
+      comboBonus: combos.reduce((total, combo) => total + combo.damageBonus, 0),
+    };
+  }
+
+  /**
+   * Log debug message
+   * @param {string} message - Message to log
+   */
+  log(message) {
+    if (this.options.enableDebugLogs) {
+      console.log(`[CombatCombos] ${message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CombatCombos;
+}
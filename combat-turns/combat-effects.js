@@ -0,0 +1,331 @@
+/**
+ * CombatEffects - Action and Status Effect Registry
+ * Declares what each entry in an action's `effects` list does. Action effects
+ * resolve instantly; status effects stay on a fighter and hook into ticks,
+ * damage and hits until they expire.
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class CombatEffects {
+  constructor(options = {}) {
+    // Configuration options
+    this.options = {
+      enableDebugLogs: false,
+      ...options,
+    };
+
+    // Instant effects keyed by id: { resolve(context) }
+    this.actionEffects = new Map();
+
+    // Lasting effects keyed by id
+    this.statusEffects = new Map();
+
+    this.loadDefaultEffects();
+  }
+
+  /**
+   * Register the built-in action and status effects
+   */
+  loadDefaultEffects() {
+    // Instant action effects
+    this.registerActionEffect("damage", {
+      resolve({ combat, action, attacker, defender, result, roll }) {
+        combat.applyDamage(action, attacker, defender, result, roll);
+      },
+    });
+
+    // Percentages of the maximum from action power, or a flat entry `amount`
+    this.registerActionEffect("restore_hp", {
+      resolve({ combat, action, entry, recipient, result }) {
+        const amount =
+          entry.amount ?? Math.floor(recipient.maxHp * (action.power / 100));
+        result.healing += combat.healFighter(recipient, amount);
+      },
+    });
+
+    this.registerActionEffect("restore_energy", {
+      resolve({ action, entry, recipient, result }) {
+        const amount =
+          entry.amount ??
+          Math.floor(recipient.maxEnergy * (action.power / 100));
+        // Only what fits under max energy counts as restored
+        const before = recipient.energy;
+        recipient.energy = Math.min(
+          recipient.maxEnergy,
+          recipient.energy + amount
+        );
+        result.energyRestore += recipient.energy - before;
+      },
+    });
+
+    // Item effects, e.g. { type: "heal", amount: 50 } on a health potion
+    this.registerActionEffect("heal", {
+      resolve({ combat, entry, recipient, result }) {
+        result.healing += combat.healFighter(recipient, entry.amount || 0);
+      },
+    });
+
+    // Status effects
+    // Guarding fighters may also parry or counter (see Combat.rollHit)
+    this.registerStatusEffect("block_next_attack", {
+      name: "Guard",
+      icon: "🛡️",
+      description: "Blocks part of the next incoming attack",
+      target: "self",
+      duration: 1,
+      value: 50, // Percentage blocked
+      stacking: "replace",
+      consumeOnHit: true,
+      guard: true,
+      onApply: () => "Defense stance active",
+      modifyIncomingDamage(damage, { instance, result }) {
+        result.blocked = true;
+        return Math.floor(damage * (1 - instance.value / 100));
+      },
+    });
+
+    this.registerStatusEffect("boost_damage", {
+      name: "Power Up",
+      icon: "⚡",
+      description: "Increases outgoing damage",
+      target: "self",
+      duration: (action) => action.duration || 3,
+      value: (action) => action.power,
+      stacking: "replace",
+      onApply: ({ instance }) => `Damage boosted by ${instance.value}%`,
+      modifyOutgoingDamage(damage, { instance }) {
+        return Math.floor(damage * (1 + instance.value / 100));
+      },
+    });
+
+    this.registerStatusEffect("poison", {
+      name: "Poison",
+      icon: "☠️",
+      description: "Takes damage every turn, stacks up to 5 times",
+      target: "target",
+      duration: 3,
+      value: 5,
+      stacking: "stack",
+      maxStacks: 5,
+      onApply: ({ instance }) => `Poisoned (${instance.stacks})`,
+      onTick: ({ instance }) => ({ damage: instance.value * instance.stacks }),
+    });
+
+    this.registerStatusEffect("regen", {
+      name: "Regeneration",
+      icon: "💗",
+      description: "Recovers health every turn",
+      target: "self",
+      duration: 3,
+      value: 8,
+      stacking: "refresh",
+      onApply: () => "Regenerating",
+      onTick: ({ instance }) => ({ healing: instance.value }),
+    });
+
+    this.registerStatusEffect("stun", {
+      name: "Stun",
+      icon: "💫",
+      description: "Cannot act",
+      target: "target",
+      duration: 2, // Covers the rest of this turn and the next one
+      stacking: "ignore",
+      preventsAction: true,
+      onApply: () => "Stunned",
+    });
+
+    // Action-disabling statuses: the fighter can still act, just not with
+    // the actions they block
+    this.registerStatusEffect("disable", {
+      name: "Disable",
+      icon: "🚫",
+      description: "One action can't be used",
+      target: "target",
+      duration: 2,
+      stacking: "replace",
+      // Disables the entry `value` action, else the last one used, else the strongest attack
+      onApply({ combat, instance, fighter }) {
+        if (!instance.value) {
+          instance.value =
+            fighter.lastActionId || combat.getStrongestAttack(fighter);
+        }
+        const action = fighter.customActions[instance.value];
+        return `${action ? action.name : instance.value} disabled`;
+      },
+      blocksAction: (action, actionId, { instance }) =>
+        actionId === instance.value,
+    });
+
+    this.registerStatusEffect("silence", {
+      name: "Silence",
+      icon: "🔇",
+      description: "Can't use buffs, recovery or elemental actions",
+      target: "target",
+      duration: 2,
+      stacking: "refresh",
+      onApply: () => "Silenced",
+      blocksAction: (action) =>
+        action.type === "buff" ||
+        action.type === "recovery" ||
+        Boolean(action.element),
+    });
+
+    this.registerStatusEffect("seal", {
+      name: "Seal",
+      icon: "🔒",
+      description: "Can't use items",
+      target: "target",
+      duration: 3,
+      stacking: "refresh",
+      onApply: () => "Items sealed",
+      blocksAction: (action) => action.type === "item",
+    });
+
+    this.registerStatusEffect("shield", {
+      name: "Shield",
+      icon: "🔰",
+      description: "Absorbs damage until broken",
+      target: "self",
+      duration: 3,
+      value: 20,
+      stacking: "refresh",
+      onApply: ({ instance }) => `Shield absorbs ${instance.value} damage`,
+      modifyIncomingDamage(damage, { instance, remove, result }) {
+        const absorbed = Math.min(instance.value, damage);
+        instance.value -= absorbed;
+        result.absorbed = (result.absorbed || 0) + absorbed;
+        if (instance.value <= 0) remove();
+        return damage - absorbed;
+      },
+    });
+
+    this.registerStatusEffect("reflect", {
+      name: "Reflect",
+      icon: "🪞",
+      description: "Returns a share of damage taken to the attacker",
+      target: "self",
+      duration: 2,
+      value: 30, // Percentage reflected
+      stacking: "refresh",
+      onApply: ({ instance }) => `Reflecting ${instance.value}% of damage`,
+      onHit({ combat, instance, other, damage, result }) {
+        const reflected = Math.floor(damage * (instance.value / 100));
+        if (reflected > 0) {
+          other.hp = Math.max(0, other.hp - reflected);
+          result.reflected = (result.reflected || 0) + reflected;
+        }
+      },
+    });
+  }
+
+  /**
+   * Register an instant action effect
+   * @param {string} effectId - Name used in action `effects` lists
+   * @param {Object} definition - { resolve(context) }
+   */
+  registerActionEffect(effectId, definition) {
+    if (!definition || typeof definition.resolve !== "function") {
+      throw new Error(`Action effect ${effectId} must define resolve()`);
+    }
+
+    this.actionEffects.set(effectId, definition);
+    this.log(`Action effect registered: ${effectId}`);
+  }
+
+  /**
+   * Register a status effect
+   * @param {string} effectId - Name used in action `effects` lists
+   * @param {Object} definition - Status definition
+   *
+   * Definition fields (all optional):
+   * - name, icon, description: display data
+   * - target: 'self' or 'target' - who receives it when an action applies it
+   * - duration, value: numbers or (action) => number defaults
+   * - stacking: 'replace' | 'refresh' | 'extend' | 'stack' | 'ignore'
+   * - maxStacks: cap for 'stack'
+   * - consumeOnHit: removed after modifying one incoming attack
+   * - preventsAction: owner skips its actions while active
+   * - guard: owner may parry or counter incoming attacks while active
+   * - blocksAction(action, actionId, context) => true for actions the owner
+   *   can't select or use while active
+   * - onApply(context) => message, onTick(context) => { damage, healing },
+   *   onRemove(context), onHit(context)
+   * - modifyOutgoingDamage(damage, context), modifyIncomingDamage(damage, context)
+   */
+  registerStatusEffect(effectId, definition) {
+    if (!definition || typeof definition !== "object") {
+      throw new Error(`Status effect ${effectId} must be an object`);
+    }
+
+    this.statusEffects.set(effectId, {
+      name: effectId,
+      icon: "",
+      description: "",
+      target: "target",
+      duration: 1,
+      value: null,
+      stacking: "refresh",
+      maxStacks: 1,
+      ...definition,
+    });
+    this.log(`Status effect registered: ${effectId}`);
+  }
+
+  /**
+   * Get an action effect definition
+   * @param {string} effectId - Effect identifier
+   */
+  getActionEffect(effectId) {
+    return this.actionEffects.get(effectId) || null;
+  }
+
+  /**
+   * Get a status effect definition
+   * @param {string} effectId - Effect identifier
+   */
+  getStatusEffect(effectId) {
+    return this.statusEffects.get(effectId) || null;
+  }
+
+  /**
+   * Normalize an action's effects list to objects
+   * @param {Object} action - Action definition
+   * @returns {Array} - [{ type, ...overrides }]
+   */
+  normalize(action) {
+    return (action.effects || []).map((entry) =>
+      typeof entry === "string" ? { type: entry } : entry
+    );
+  }
+
+  /**
+   * Get the effect ids used by an action
+   * @param {Object} action - Action definition
+   */
+  getEffectTypes(action) {
+    return this.normalize(action).map((entry) => entry.type);
+  }
+
+  /**
+   * Resolve a definition default that may depend on the action
+   * @param {number|Function} param - Number or (action) => number
+   * @param {Object} action - Action applying the effect
+   */
+  resolveParam(param, action) {
+    return typeof param === "function" ? param(action || {}) : param;
+  }
+
+  /**
+   * Debug logging helper
+   * @private
+   */
+  log(message) {
+    if (this.options.enableDebugLogs) {
+      console.log(`[CombatEffects] ${message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CombatEffects;
+}
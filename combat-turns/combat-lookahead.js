@@ -0,0 +1,265 @@
+/**
+ * CombatLookahead - Search-Based "Hard" Enemy AI
+ * Plays out turns on cloned fighters with the Combat rules and picks the
+ * action with the best outcome a few turns deep. Never touches the DOM.
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class CombatLookahead {
+  constructor(options = {}) {
+    // Configuration options
+    this.options = {
+      depth: 3, // Turns to look ahead
+      nodeBudget: 5000, // Simulated turns per decision, null for no limit
+      timeBudget: null, // Milliseconds per decision, null for no limit - makes choices depend on machine speed
+      opponentModel: "minimax", // 'minimax' (worst case) or 'expectimax' (average reply)
+      hpWeight: 100,
+      energyWeight: 10,
+      winScore: 10000,
+      ...options,
+    };
+
+    this.name = "Hard";
+    this.description = "Searches several turns ahead for the best outcome";
+
+    // Search bookkeeping, reset per decision
+    this.deadline = null;
+    this.timedOut = false;
+    this.nodes = 0;
+    this.lastSearch = null;
+  }
+
+  /**
+   * Pick an action for the acting fighter (CombatAI strategy hook)
+   * @param {Object} context - AI context with self, opponent, availableActions and combat
+   * @returns {string|null} - Chosen action ID
+   */
+  chooseAction(context) {
+    const { self, opponent, combat, availableActions } = context;
+    if (!combat || !opponent || availableActions.length === 0) {
+      return availableActions[0] || null;
+    }
+
+    const root = {
+      self: combat.cloneFighter(self),
+      opponent: combat.cloneFighter(opponent),
+      // Equal-priority actions resolve player first, as in a real turn
+      selfFirst: (self.side || context.fighterId) !== "enemy",
+    };
+
+    this.nodes = 0;
+    this.timedOut = false;
+    this.deadline =
+      this.options.timeBudget != null
+        ? Date.now() + this.options.timeBudget
+        : null;
+
+    // Iterative deepening - keep the deepest search that finished within budget
+    let best = null;
+    for (let depth = 1; depth <= this.options.depth; depth++) {
+      const result = this.searchRoot(combat, root, availableActions, depth);
+      if (this.timedOut && best) break;
+      best = { ...result, depth };
+      if (this.timedOut) break;
+    }
+
+    this.lastSearch = { ...best, nodes: this.nodes, timedOut: this.timedOut };
+    return best.actionId;
+  }
+
+  /**
+   * Score every root action at a fixed depth
+   * @returns {Object} - { actionId, value, values } (pruned actions hold upper bounds)
+   */
+  searchRoot(combat, root, availableActions, depth) {
+    let bestId = availableActions[0];
+    let bestValue = -Infinity;
+    const values = {};
+
+    for (const actionId of availableActions) {
+      const value = this.replyValue(
+        combat,
+        root,
+        actionId,
+        depth,
+        bestValue,
+        Infinity
+      );
+      values[actionId] = value;
+
+      if (value > bestValue) {
+        bestValue = value;
+        bestId = actionId;
+      }
+
+      // Depth 1 always completes so there is a fallback answer
+      if (this.timedOut && depth > 1) break;
+    }
+
+    return { actionId: bestId, value: bestValue, values };
+  }
+
+  /**
+   * Value of a state where the searching fighter picks next
+   */
+  maxValue(combat, node, depth, alpha, beta) {
+    if (depth === 0 || this.isTerminal(node) || this.checkBudget()) {
+      return this.evaluate(node, depth);
+    }
+
+    const actions = this.getActions(combat, node.self);
+    let best = -Infinity;
+
+    for (const actionId of actions) {
+      best = Math.max(
+        best,
+        this.replyValue(combat, node, actionId, depth, alpha, beta)
+      );
+      alpha = Math.max(alpha, best);
+      if (alpha >= beta) break;
+    }
+
+    return best;
+  }
+
+  /**
+   * Value of the searching fighter's action once the opponent replies
+   */
+  replyValue(combat, node, actionId, depth, alpha, beta) {
+    const replies = this.getActions(combat, node.opponent);
+    const expectimax = this.options.opponentModel === "expectimax";
+    let total = 0;
+    let worst = Infinity;
+
+    for (const replyId of replies) {
+      const next = this.simulateTurn(combat, node, actionId, replyId);
+      const value = this.maxValue(
+        combat,
+        next,
+        depth - 1,
+        expectimax ? -Infinity : alpha,
+        expectimax ? Infinity : beta
+      );
+
+      if (expectimax) {
+        total += value;
+      } else {
+        worst = Math.min(worst, value);
+        beta = Math.min(beta, worst);
+        if (alpha >= beta) break;
+      }
+    }
+
+    return expectimax ? total / replies.length : worst;
+  }
+
+  /**
+   * Play one turn on copies of both fighters
+   * @param {Object} combat - Combat instance providing the rules
+   * @param {Object} node - { self, opponent }
+   * @param {string|null} actionId - Searching fighter's action
+   * @param {string|null} replyId - Opponent's action
+   */
+  simulateTurn(combat, node, actionId, replyId) {
+    this.nodes++;
+
+    const next = {
+      self: combat.cloneFighter(node.self),
+      opponent: combat.cloneFighter(node.opponent),
+      selfFirst: node.selfFirst,
+    };
+
+    const entries = [];
+    if (actionId) {
+      entries.push({
+        actionId,
+        action: next.self.customActions[actionId],
+        actor: next.self,
+        target: next.opponent,
+      });
+    }
+    if (replyId) {
+      const reply = {
+        actionId: replyId,
+        action: next.opponent.customActions[replyId],
+        actor: next.opponent,
+        target: next.self,
+      };
+      if (next.selfFirst) {
+        entries.push(reply);
+      } else {
+        entries.unshift(reply);
+      }
+    }
+
+    combat.orderActions(entries).forEach((entry) => {
+      combat.performAction(
+        entry.actor,
+        entry.actionId,
+        entry.action,
+        entry.target
+      );
+    });
+
+    [next.self, next.opponent].forEach((fighter) => {
+      combat.tickStatusEffects(fighter);
+      combat.tickCooldowns(fighter);
+    });
+
+    return next;
+  }
+
+  /**
+   * Actions a fighter could take; [null] means it passes the turn
+   */
+  getActions(combat, fighter) {
+    const actions = combat.getAIActions(fighter);
+    return actions.length > 0 ? actions : [null];
+  }
+
+  /**
+   * Check whether either fighter is down
+   */
+  isTerminal(node) {
+    return node.self.hp <= 0 || node.opponent.hp <= 0;
+  }
+
+  /**
+   * Score a state from the searching fighter's point of view
+   * @param {Object} node - { self, opponent }
+   * @param {number} depth - Remaining depth, rewards faster wins
+   */
+  evaluate(node, depth) {
+    const { self, opponent } = node;
+    const { hpWeight, energyWeight, winScore } = this.options;
+
+    if (self.hp <= 0 && opponent.hp <= 0) return 0;
+    if (opponent.hp <= 0) return winScore + depth;
+    if (self.hp <= 0) return -winScore - depth;
+
+    return (
+      (self.hp / self.maxHp - opponent.hp / opponent.maxHp) * hpWeight +
+      (self.energy / self.maxEnergy - opponent.energy / opponent.maxEnergy) *
+        energyWeight
+    );
+  }
+
+  /**
+   * Check the node and time budgets
+   * @returns {boolean} - True once either has run out
+   */
+  checkBudget() {
+    const { nodeBudget } = this.options;
+    if (
+      (nodeBudget != null && this.nodes >= nodeBudget) ||
+      (this.deadline !== null && Date.now() > this.deadline)
+    ) {
+      this.timedOut = true;
+    }
+    return this.timedOut;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CombatLookahead;
+}
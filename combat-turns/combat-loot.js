@@ -0,0 +1,145 @@
+/**
+ * CombatLoot - Weighted Loot Tables
+ * Rolls enemy loot tables into item drops: weighted picks, drop chances,
+ * quantity ranges and rarity rolls. Uses the seeded combat RNG when given.
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class CombatLoot {
+  constructor(options = {}) {
+    // Configuration options
+    this.options = {
+      enableDebugLogs: false,
+      ...options,
+    };
+  }
+
+  /**
+   * Roll a loot table
+   * @param {Object|Array} table - { rolls, entries } or just an entries array
+   * @param {Object} rng - Generator with next() (a CombatRNG)
+   * @returns {Array} - Drops: [{ itemId, quantity, rarity }]
+   */
+  rollTable(table, rng) {
+    if (!table) return [];
+
+    const { rolls = 1, entries = [] } = Array.isArray(table)
+      ? { entries: table }
+      : table;
+    const drops = [];
+
+    for (let i = 0; i < rolls; i++) {
+      const entry = this.pickWeighted(entries, rng);
+
+      // Entries without an item ("nothing") and failed chance rolls drop nothing
+      if (!entry || !entry.itemId) continue;
+      if (entry.chance !== undefined && rng.next() >= entry.chance) continue;
+
+      drops.push({
+        itemId: entry.itemId,
+        quantity: this.rollQuantity(entry.quantity, rng),
+        rarity: this.rollRarity(entry.rarity, rng),
+      });
+    }
+
+    return drops;
+  }
+
+  /**
+   * Roll the loot of every defeated enemy
+   * @param {Array} enemies - Enemies with optional `loot` tables
+   * @param {Object} rng - Generator with next()
+   * @returns {Array} - Drops merged by item and rarity
+   */
+  rollEnemies(enemies, rng) {
+    const drops = [];
+    enemies.forEach((enemy) => {
+      drops.push(...this.rollTable(enemy.loot, rng));
+    });
+
+    this.log(`Rolled ${drops.length} drops from ${enemies.length} enemies`);
+    return this.mergeDrops(drops);
+  }
+
+  /**
+   * Pick one entry by weight (default weight 1)
+   * @param {Array} entries - Loot table entries
+   * @param {Object} rng - Generator with next()
+   */
+  pickWeighted(entries, rng) {
+    const totalWeight = entries.reduce(
+      (total, entry) => total + (entry.weight ?? 1),
+      0
+    );
+    if (totalWeight <= 0) return null;
+
+    let roll = rng.next() * totalWeight;
+    for (const entry of entries) {
+      roll -= entry.weight ?? 1;
+      if (roll < 0) return entry;
+    }
+    return entries[entries.length - 1];
+  }
+
+  /**
+   * Roll a quantity
+   * @param {number|Array} quantity - Fixed amount or [min, max]
+   * @param {Object} rng - Generator with next()
+   */
+  rollQuantity(quantity = 1, rng) {
+    if (!Array.isArray(quantity)) return quantity;
+
+    const [min, max] = quantity;
+    return min + Math.floor(rng.next() * (max - min + 1));
+  }
+
+  /**
+   * Roll a rarity
+   * @param {string|Object|undefined} rarity - Fixed rarity or { rarity: weight }
+   * @param {Object} rng - Generator with next()
+   * @returns {string|null} - Rarity, null to keep the item template's
+   */
+  rollRarity(rarity, rng) {
+    if (!rarity) return null;
+    if (typeof rarity === "string") return rarity;
+
+    const entry = this.pickWeighted(
+      Object.entries(rarity).map(([name, weight]) => ({ name, weight })),
+      rng
+    );
+    return entry ? entry.name : null;
+  }
+
+  /**
+   * Combine drops of the same item and rarity
+   * @param {Array} drops - [{ itemId, quantity, rarity }]
+   */
+  mergeDrops(drops) {
+    const merged = [];
+    drops.forEach((drop) => {
+      const existing = merged.find(
+        (entry) => entry.itemId === drop.itemId && entry.rarity === drop.rarity
+      );
+      if (existing) {
+        existing.quantity += drop.quantity;
+      } else {
+        merged.push({ ...drop });
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Log debug message
+   * @param {string} message - Message to log
+   */
+  log(message) {
+    if (this.options.enableDebugLogs) {
+      console.log(`[CombatLoot] ${message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CombatLoot;
+}
@@ -18,14 +18,48 @@ class CombatManager {
       battleTransitions: true,
       persistBattleHistory: true,
       maxBattleHistory: 10,
-      enableMalfunction: false, // Optional malfunction system
+      enableMalfunction: false, // Random events that disable a player attack
       malfunctionChance: 0.1, // 10% chance per turn
+      malfunctionDuration: 1, // Turns a malfunction keeps the attack disabled
+      turnOrder: "priority", // 'priority' (action type) or 'initiative' (speed)
+      battleMode: "turn", // 'turn', or 'atb' (speed-filled gauges decide who acts)
+      turnTimer: 0, // Milliseconds the player has to choose each turn, 0 waits forever
+      timeoutAction: "defend", // Picked when the turn timer runs out: 'defend' or 'auto'
+      enableProgression: true, // Experience and levels for player fighters
+      progression: {}, // CombatProgression options (thresholds, growth, rewards)
+      enableLoot: true, // Roll enemy loot tables on victory
+      inventory: null, // InventoryManager receiving loot (defaults to game.inventory)
+      enableEquipment: true, // Dress player fighters in their inventory loadouts
+      enableItems: true, // Use Item action for inventory consumables
+      campaignStatePath: "combat.campaign", // GameStateManager path of the saved campaign run
+      enableNarration: true, // Announce actions and results to screen readers
+      reducedMotion: "auto", // true/false, or 'auto' to follow the system setting
       ...options,
     };
 
     // Core combat system
     this.combat = null;
 
+    // Experience, levels and stat growth rules
+    this.progression = new CombatProgression({
+      enableDebugLogs: this.options.enableDebugLogs,
+      ...this.options.progression,
+    });
+
+    // Player progress when no GameStateManager is attached
+    this.playerProgress = { level: 1, experience: 0 };
+
+    // Loot table rolls, and drops that didn't fit in the inventory
+    this.loot = new CombatLoot({
+      enableDebugLogs: this.options.enableDebugLogs,
+    });
+    this.pendingLoot = [];
+
+    // Encounter script triggers (boss phases) and which have fired
+    this.scripts = new CombatScripts({
+      enableDebugLogs: this.options.enableDebugLogs,
+    });
+
     // Fighter definitions and templates
     this.fighterTemplates = new Map();
     this.enemyTemplates = new Map();
@@ -34,6 +68,11 @@ class CombatManager {
     this.currentBattle = null;
     this.battleHistory = [];
     this.battleQueue = [];
+    this.replayOptions = null;
+
+    // Campaign definitions and the run in progress (a CombatCampaign)
+    this.campaigns = new Map();
+    this.campaign = null;
 
     // Integration state
     this.isInitialized = false;
@@ -53,6 +92,9 @@ class CombatManager {
       averageBattleLength: 0,
       favoriteAction: null,
       actionUsageCounts: new Map(),
+      totalCombos: 0,
+      favoriteCombo: null,
+      comboUsageCounts: new Map(),
     };
 
     // Enhanced visual feedback state
@@ -84,6 +126,13 @@ class CombatManager {
         turnDelay: 1000,
         animationDuration: 800,
         damageNumberDuration: 2500,
+        turnOrder: this.options.turnOrder,
+        battleMode: this.options.battleMode,
+        turnTimer: this.options.turnTimer,
+        timeoutAction: this.options.timeoutAction,
+        items: this.options.enableItems ? this.createItemSource() : null,
+        enableNarration: this.options.enableNarration,
+        reducedMotion: this.options.reducedMotion,
       });
 
       // Set up enhanced combat callbacks
@@ -151,6 +200,16 @@ class CombatManager {
     this.combat.setCallback("onBattleEnd", (data) => {
       this.handleBattleEnd(data);
     });
+
+    this.combat.setCallback("onEquipmentBroken", (data) => {
+      this.playSound("equipment_broken");
+      this.triggerGameEvent("onEquipmentBroken", data);
+    });
+
+    this.combat.setCallback("onTurnTimeout", (data) => {
+      this.playSound("turn_timeout");
+      this.triggerGameEvent("onTurnTimeout", data);
+    });
   }
 
   /**
@@ -167,7 +226,22 @@ class CombatManager {
         getStats: this.getStats.bind(this),
         addFighterTemplate: this.addFighterTemplate.bind(this),
         addEnemyTemplate: this.addEnemyTemplate.bind(this),
+        registerAIStrategy: this.registerAIStrategy.bind(this),
+        registerStatusEffect: this.registerStatusEffect.bind(this),
+        registerCombo: this.registerCombo.bind(this),
+        inflictStatus: this.inflictStatus.bind(this),
+        setReducedMotion: this.setReducedMotion.bind(this),
         queueBattle: this.queueBattle.bind(this),
+        getPlayerProgress: this.getPlayerProgress.bind(this),
+        awardExperience: this.awardExperience.bind(this),
+        replayBattle: this.replayBattle.bind(this),
+        exportBattleLog: this.exportBattleLog.bind(this),
+        registerCampaign: this.registerCampaign.bind(this),
+        startCampaign: this.startCampaign.bind(this),
+        resumeCampaign: this.resumeCampaign.bind(this),
+        chooseCampaignPath: this.chooseCampaignPath.bind(this),
+        continueCampaign: this.continueCampaign.bind(this),
+        getCampaignRun: this.getCampaignRun.bind(this),
         updateUI: this.updateUI.bind(this),
       };
 
@@ -189,7 +263,23 @@ class CombatManager {
       "onDamageDealt",
       "onDamageTaken",
       "onCriticalHit",
+      "onMiss",
+      "onCounter",
       "onStatusEffect",
+      "onExperienceGained",
+      "onLevelUp",
+      "onLootDropped",
+      "onLootOverflow",
+      "onEquipmentBroken",
+      "onPhaseChange",
+      "onBattleDialogue",
+      "onCampaignStart",
+      "onCampaignEncounter",
+      "onCampaignRest",
+      "onCampaignChoice",
+      "onCampaignEnd",
+      "onCombo",
+      "onTurnTimeout",
     ];
 
     events.forEach((eventName) => {
@@ -210,10 +300,13 @@ class CombatManager {
       maxEnergy: 20,
       attack: 10,
       defense: 5,
+      speed: 10,
       actions: ["light_attack", "heavy_attack", "defend", "powerup"],
       customActions: {
         // Uses combat system defaults
       },
+      growth: { maxHp: 8, maxEnergy: 1, attack: 1, defense: 1, speed: 0.5 },
+      unlocks: { 3: ["heal"], 5: ["restore_energy"] },
       sprite: "🥊",
       description: "A balanced fighter with standard abilities",
       visualTheme: "default",
@@ -226,6 +319,9 @@ class CombatManager {
       maxEnergy: 18,
       attack: 8,
       defense: 8,
+      speed: 7,
+      parryChance: 35, // Guarding is its specialty
+      counterChance: 40,
       actions: ["light_attack", "heavy_attack", "defend", "heal"],
       customActions: {
         defend: {
@@ -241,6 +337,8 @@ class CombatManager {
           icon: "🛡️",
         },
       },
+      growth: { maxHp: 12, maxEnergy: 1, attack: 0.5, defense: 1.5 },
+      unlocks: { 4: ["powerup"] },
       sprite: "🛡️",
       description: "A defensive specialist focused on protection and healing",
       visualTheme: "defensive",
@@ -253,6 +351,9 @@ class CombatManager {
       maxEnergy: 22,
       attack: 15,
       defense: 3,
+      speed: 12,
+      critChance: 15,
+      critMultiplier: 1.75,
       actions: ["light_attack", "heavy_attack", "powerup", "restore_energy"],
       customActions: {
         heavy_attack: {
@@ -267,6 +368,8 @@ class CombatManager {
           icon: "💥",
         },
       },
+      growth: { maxHp: 6, maxEnergy: 1, attack: 2, defense: 0.5, speed: 0.5 },
+      unlocks: { 3: ["defend"] },
       sprite: "⚔️",
       description: "An aggressive fighter that deals massive damage",
       visualTheme: "aggressive",
@@ -279,12 +382,14 @@ class CombatManager {
       maxEnergy: 25,
       attack: 12,
       defense: 4,
+      speed: 9,
       actions: ["light_attack", "heavy_attack", "heal", "powerup"],
       customActions: {
         heavy_attack: {
           id: "heavy_attack",
           name: "Fireball",
           type: "attack",
+          element: "fire",
           energyCost: 4,
           power: 45,
           effects: ["damage"],
@@ -299,11 +404,16 @@ class CombatManager {
           energyCost: 3,
           power: 35,
           effects: ["restore_hp"],
+          element: "light",
+          target: "ally",
           cooldown: 1,
-          description: "Restore health with divine magic",
+          description:
+            "Restore health to yourself or an ally with divine magic",
           icon: "✨",
         },
       },
+      growth: { maxHp: 5, maxEnergy: 2, attack: 1.5, defense: 0.5 },
+      unlocks: { 4: ["restore_energy"] },
       sprite: "🧙",
       description: "A spellcaster with powerful magic abilities",
       visualTheme: "magical",
@@ -316,8 +426,16 @@ class CombatManager {
       maxEnergy: 15,
       attack: 8,
       defense: 4,
+      speed: 3,
       actions: ["light_attack", "defend"],
       aiType: "basic",
+      weaknesses: ["fire"], // Straw burns
+      experienceReward: 20,
+      loot: [
+        { itemId: "health_potion", weight: 3, quantity: [1, 2] },
+        { itemId: "basic_item", weight: 2 },
+        { itemId: null, weight: 5 }, // Nothing
+      ],
       sprite: "🎯",
       description: "A simple opponent for practice",
     });
@@ -328,8 +446,20 @@ class CombatManager {
       maxEnergy: 20,
       attack: 12,
       defense: 6,
+      speed: 10,
       actions: ["light_attack", "heavy_attack", "defend", "powerup"],
       aiType: "balanced",
+      experienceReward: 45,
+      loot: [
+        { itemId: "health_potion", weight: 4, quantity: [1, 3] },
+        {
+          itemId: "iron_sword",
+          weight: 1,
+          rarity: { common: 80, uncommon: 20 },
+        },
+        { itemId: "leather_armor", weight: 1 },
+        { itemId: null, weight: 4 },
+      ],
       sprite: "⚔️",
       description: "A balanced opponent with varied tactics",
     });
@@ -340,8 +470,67 @@ class CombatManager {
       maxEnergy: 25,
       attack: 15,
       defense: 8,
+      speed: 11,
       actions: ["light_attack", "heavy_attack", "powerup", "heal"],
-      aiType: "aggressive",
+      aiType: "hard",
+      resistances: ["fire"],
+      experienceReward: 120,
+      loot: {
+        rolls: 2,
+        entries: [
+          {
+            itemId: "iron_sword",
+            weight: 2,
+            rarity: { uncommon: 50, rare: 35, epic: 12, legendary: 3 },
+          },
+          {
+            itemId: "leather_armor",
+            weight: 2,
+            rarity: { uncommon: 60, rare: 30, epic: 10 },
+          },
+          { itemId: "health_potion", weight: 3, quantity: [2, 4] },
+        ],
+      },
+      // Phase two at half health, one last rally at a quarter
+      script: [
+        {
+          id: "enraged",
+          when: { hpBelow: 0.5 },
+          do: {
+            actions: [
+              "light_attack",
+              "heavy_attack",
+              "powerup",
+              "crushing_blow",
+            ],
+            customActions: {
+              crushing_blow: {
+                id: "crushing_blow",
+                name: "Crushing Blow",
+                type: "attack",
+                energyCost: 6,
+                power: 55,
+                effects: ["damage"],
+                cooldown: 2,
+                description: "A furious strike that ends fights",
+                icon: "💢",
+              },
+            },
+            aiType: "aggressive",
+            sprite: "😡",
+            dialogue: "Enough! Now you face my true strength!",
+            music: "dramatic_moment",
+          },
+        },
+        {
+          id: "last_stand",
+          when: { hpBelow: 0.25 },
+          do: {
+            heal: 30,
+            dialogue: "I will not fall here!",
+          },
+        },
+      ],
       sprite: "👑",
       description: "A powerful boss enemy with advanced abilities",
     });
@@ -352,8 +541,36 @@ class CombatManager {
       maxEnergy: 22,
       attack: 14,
       defense: 5,
-      actions: ["light_attack", "heavy_attack", "restore_energy"],
+      speed: 16,
+      evasion: 15, // Percent taken off attackers' accuracy
+      critChance: 12,
+      actions: [
+        "light_attack",
+        "heavy_attack",
+        "dirty_trick",
+        "restore_energy",
+      ],
+      customActions: {
+        dirty_trick: {
+          id: "dirty_trick",
+          name: "Dirty Trick",
+          type: "attack",
+          energyCost: 3,
+          power: 15,
+          effects: ["damage", "disable"],
+          cooldown: 3,
+          description: "A cheap shot that disables the target's last action",
+          icon: "🪤",
+        },
+      },
       aiType: "aggressive",
+      element: "shadow",
+      experienceReward: 50,
+      loot: [
+        { itemId: "health_potion", weight: 3, quantity: [1, 2] },
+        { itemId: "iron_sword", weight: 1, chance: 0.5, rarity: "uncommon" },
+        { itemId: null, weight: 4 },
+      ],
       sprite: "🗡️",
       description: "A fast, agile opponent with quick strikes",
     });
@@ -371,12 +588,18 @@ class CombatManager {
     this.soundMappings.set("powerup", "powerup");
     this.soundMappings.set("restore_energy", "energy");
     this.soundMappings.set("damage_taken", "hurt");
+    this.soundMappings.set("equipment_broken", "break");
     this.soundMappings.set("victory", "victory");
     this.soundMappings.set("defeat", "defeat");
     this.soundMappings.set("critical_hit", "critical");
+    this.soundMappings.set("miss", "whoosh");
+    this.soundMappings.set("parry", "parry");
+    this.soundMappings.set("counter", "counter");
     this.soundMappings.set("action_select", "click");
     this.soundMappings.set("turn_start", "turn");
+    this.soundMappings.set("turn_timeout", "timeout");
     this.soundMappings.set("malfunction", "error");
+    this.soundMappings.set("level_up", "levelup");
 
     // Music mappings
     this.musicMappings.set("battle_start", "battle_music");
@@ -414,6 +637,76 @@ class CombatManager {
     this.log(`Enemy template added: ${templateId}`);
   }
 
+  /**
+   * Register a custom enemy AI strategy for use as a template aiType
+   * @param {string} name - aiType name
+   * @param {Object} strategy - Strategy with scoreAction(option, context) or chooseAction(context)
+   */
+  registerAIStrategy(name, strategy) {
+    this.combat.registerAIStrategy(name, strategy);
+    this.log(`AI strategy registered: ${name}`);
+  }
+
+  /**
+   * Get the names of all registered AI strategies
+   */
+  getAIStrategies() {
+    return this.combat ? this.combat.ai.getStrategyNames() : [];
+  }
+
+  /**
+   * Register a custom status effect that actions can list in `effects`
+   * @param {string} effectId - Effect identifier
+   * @param {Object} definition - Status definition (see CombatEffects.registerStatusEffect)
+   */
+  registerStatusEffect(effectId, definition) {
+    this.combat.registerStatusEffect(effectId, definition);
+    this.log(`Status effect registered: ${effectId}`);
+  }
+
+  /**
+   * Register a custom combo: an action sequence that earns its finishing
+   * action bonuses when a side queues it in order
+   * @param {string} comboId - Combo identifier
+   * @param {Object} definition - Combo definition (see CombatCombos.registerCombo)
+   */
+  registerCombo(comboId, definition) {
+    this.combat.registerCombo(comboId, definition);
+    this.log(`Combo registered: ${comboId}`);
+  }
+
+  /**
+   * Get all registered combos
+   */
+  getCombos() {
+    return this.combat ? this.combat.combos.getCombos() : [];
+  }
+
+  /**
+   * Put a status effect on a fighter in the current battle - for random
+   * events, traps and story beats outside of actions
+   * @param {string} fighterId - Combatant ID, or 'player'/'enemy' for the lead fighter
+   * @param {string} effectId - Status effect identifier, e.g. 'disable', 'silence' or 'seal'
+   * @param {Object} options - { duration, value } overriding the definition defaults
+   * @returns {Object|null} - Active effect instance, null if it didn't take
+   */
+  inflictStatus(fighterId, effectId, options = {}) {
+    if (!this.combat || !this.combat.state.isActive) return null;
+    return this.combat.inflictStatus(fighterId, effectId, options);
+  }
+
+  /**
+   * Turn reduced motion mode on or off - swaps shakes, particles and sprite
+   * animations for static indicators
+   * @param {boolean|string} reducedMotion - true, false or 'auto' to follow the system setting
+   */
+  setReducedMotion(reducedMotion) {
+    this.options.reducedMotion = reducedMotion;
+    if (this.combat) {
+      this.combat.setReducedMotion(reducedMotion);
+    }
+  }
+
   /**
    * Create a fighter from template
    * @param {string} templateId - Template to use
@@ -425,13 +718,55 @@ class CombatManager {
       throw new Error(`Fighter template not found: ${templateId}`);
     }
 
-    return {
-      ...template,
+    // Player fighters grow with the player's level
+    const leveled = this.options.enableProgression
+      ? this.progression.applyLevel(
+          template,
+          overrides.level || this.getPlayerProgress().level
+        )
+      : template;
+
+    const fighter = {
+      ...leveled,
       ...overrides,
-      hp: overrides.hp || template.maxHp,
-      energy: overrides.energy || template.maxEnergy,
+      hp: overrides.hp || leveled.maxHp,
+      energy: overrides.energy || leveled.maxEnergy,
       templateId: templateId,
     };
+
+    if (this.options.enableEquipment && !overrides.equipment) {
+      fighter.equipment = this.getFighterEquipment(fighter);
+    }
+
+    return fighter;
+  }
+
+  /**
+   * Get the inventory items a fighter has equipped. Loadouts are keyed by
+   * `characterId`, defaulting to the fighter's template ID.
+   * @param {Object} fighter - Fighter configuration
+   * @returns {Object} - { equipment slot: InventoryItem } for items whose requirements it meets
+   */
+  getFighterEquipment(fighter) {
+    const inventory = this.getInventory();
+    if (!inventory || !inventory.equipment) return {};
+
+    const characterId = fighter.characterId || fighter.templateId;
+    const equipment = {};
+
+    Object.entries(inventory.getEquippedItems(characterId)).forEach(
+      ([slot, item]) => {
+        if (inventory.equipment.checkRequirements(item, fighter).met) {
+          equipment[slot] = item;
+        } else {
+          this.log(
+            `${fighter.name} doesn't meet the requirements of ${item.name}`
+          );
+        }
+      }
+    );
+
+    return equipment;
   }
 
   /**
@@ -456,8 +791,8 @@ class CombatManager {
 
   /**
    * Start a new battle with enhanced visual setup
-   * @param {Object} playerFighter - Player fighter data or template ID
-   * @param {Object} enemyFighter - Enemy fighter data or template ID
+   * @param {Object|string|Array} playerFighter - Player fighter data or template ID, or an array of them for a party
+   * @param {Object|string|Array} enemyFighter - Enemy fighter data or template ID, or an array of them for a party
    * @param {Object} battleOptions - Battle configuration
    */
   startBattle(playerFighter, enemyFighter, battleOptions = {}) {
@@ -465,21 +800,35 @@ class CombatManager {
       this.log("Starting new battle...");
 
       // Create fighters from templates if needed
-      const player =
-        typeof playerFighter === "string"
-          ? this.createFighter(playerFighter)
-          : playerFighter;
+      const playerParty = []
+        .concat(playerFighter)
+        .map((fighter) =>
+          typeof fighter === "string" ? this.createFighter(fighter) : fighter
+        );
+
+      const enemyParty = []
+        .concat(enemyFighter)
+        .map((fighter) =>
+          typeof fighter === "string" ? this.createEnemy(fighter) : fighter
+        );
+
+      // Snapshot equipment stats so replays don't see later durability loss
+      [...playerParty, ...enemyParty].forEach((fighter) => {
+        if (fighter.equipment && !fighter.equipmentBonuses) {
+          fighter.equipmentBonuses = this.combat.getEquipmentBonuses(fighter);
+        }
+      });
 
-      const enemy =
-        typeof enemyFighter === "string"
-          ? this.createEnemy(enemyFighter)
-          : enemyFighter;
+      const player = playerParty[0];
+      const enemy = enemyParty[0];
 
       // Store current battle info
       this.currentBattle = {
         id: Date.now().toString(),
         player: player,
         enemy: enemy,
+        playerParty: playerParty,
+        enemyParty: enemyParty,
         options: battleOptions,
         startTime: Date.now(),
         status: "active",
@@ -493,8 +842,15 @@ class CombatManager {
         animationQueue: [],
       };
 
+      // Scripts start over; turn 1 triggers run as the battle starts
+      this.scripts.reset();
+
       // Start the combat
-      const success = this.combat.startBattle(player, enemy, battleOptions);
+      const success = this.combat.startBattle(
+        playerParty,
+        enemyParty,
+        battleOptions
+      );
 
       if (success) {
         // Enhanced battle start sequence
@@ -505,6 +861,8 @@ class CombatManager {
           battle: this.currentBattle,
           player: player,
           enemy: enemy,
+          playerParty: playerParty,
+          enemyParty: enemyParty,
         });
 
         this.log("Battle started successfully");
@@ -608,12 +966,18 @@ class CombatManager {
       const results = this.combat.getResults();
       this.currentBattle.results = results;
 
-      // Update statistics
-      this.updateStats(results);
+      // Replays don't count towards statistics or history
+      if (!this.currentBattle.isReplay) {
+        // Update statistics
+        this.updateStats(results);
 
-      // Add to battle history
-      if (this.options.persistBattleHistory) {
-        this.addToBattleHistory(this.currentBattle);
+        // Keep the durability weapons lost
+        this.saveEquipmentWear();
+
+        // Add to battle history
+        if (this.options.persistBattleHistory) {
+          this.addToBattleHistory(this.currentBattle);
+        }
       }
 
       // Play ending sequence
@@ -652,6 +1016,10 @@ class CombatManager {
       this.playMusic("victory");
       this.playSound("victory");
       this.showVictoryEffects();
+
+      if (this.currentBattle && this.currentBattle.rewards) {
+        this.showRewardsSummary(this.currentBattle.rewards);
+      }
     } else if (results.winner === "enemy") {
       this.playMusic("defeat");
       this.playSound("defeat");
@@ -673,8 +1041,12 @@ class CombatManager {
     if (container) {
       container.classList.add("victory-state");
 
-      // Create victory particles
-      this.createVictoryParticles();
+      // Create victory particles, or a still banner in reduced motion mode
+      if (this.isReducedMotion()) {
+        this.showVictoryIndicator();
+      } else {
+        this.createVictoryParticles();
+      }
 
       setTimeout(() => {
         container.classList.remove("victory-state");
@@ -682,6 +1054,63 @@ class CombatManager {
     }
   }
 
+  /**
+   * Show the experience and items won, and any loot that didn't fit
+   * @param {Object} rewards - { experience, items, overflow } from awardBattleLoot()
+   */
+  showRewardsSummary(rewards) {
+    const container = document.querySelector(".combat-container");
+    if (!container) return;
+
+    const existing = container.querySelector(".rewards-summary");
+    if (existing) existing.remove();
+
+    const listItems = (drops) =>
+      drops
+        .map(
+          (drop) =>
+            `<li class="reward-item rarity-${drop.rarity || "common"}">` +
+            `${drop.name} ×${drop.quantity}` +
+            `${
+              drop.rarity
+                ? ` <span class="reward-rarity">${drop.rarity}</span>`
+                : ""
+            }` +
+            `</li>`
+        )
+        .join("");
+
+    const summary = document.createElement("div");
+    summary.className = "rewards-summary";
+    summary.innerHTML = `
+      <h3>Rewards</h3>
+      ${
+        rewards.experience
+          ? `<div class="reward-experience">+${rewards.experience} XP</div>`
+          : ""
+      }
+      ${
+        rewards.items.length > 0
+          ? `<ul class="reward-list">${listItems(rewards.items)}</ul>`
+          : `<div class="reward-empty">No items dropped</div>`
+      }
+      ${
+        rewards.overflow.length > 0
+          ? `<div class="reward-overflow">
+              <div>No room in the inventory - kept for later:</div>
+              <ul class="reward-list">${listItems(rewards.overflow)}</ul>
+            </div>`
+          : ""
+      }
+    `;
+
+    container.appendChild(summary);
+
+    setTimeout(() => {
+      summary.remove();
+    }, 5000);
+  }
+
   /**
    * Show defeat visual effects
    */
@@ -696,6 +1125,32 @@ class CombatManager {
     }
   }
 
+  /**
+   * Show a static victory banner in place of the particles
+   */
+  showVictoryIndicator() {
+    const animationLayer = document.querySelector(".animation-layer");
+    if (!animationLayer) return;
+
+    const banner = document.createElement("div");
+    banner.className = "victory-indicator";
+    banner.textContent = "🏆 Victory!";
+    animationLayer.appendChild(banner);
+
+    setTimeout(() => {
+      if (banner.parentNode) {
+        banner.remove();
+      }
+    }, 3000);
+  }
+
+  /**
+   * Check whether the combat runs in reduced motion mode
+   */
+  isReducedMotion() {
+    return Boolean(this.combat && this.combat.isReducedMotion());
+  }
+
   /**
    * Create victory particle effects
    */
@@ -774,6 +1229,397 @@ class CombatManager {
     );
   }
 
+  /**
+   * Register a campaign that startCampaign() can start by ID
+   * @param {string} campaignId - Campaign identifier
+   * @param {Object} definition - Campaign definition ({ name, party, encounters, ramp, levelsPerBattle })
+   */
+  registerCampaign(campaignId, definition) {
+    if (!definition || !Array.isArray(definition.encounters)) {
+      throw new Error("Campaign definition missing encounters");
+    }
+
+    this.campaigns.set(campaignId, { ...definition, id: campaignId });
+    this.log(`Campaign registered: ${campaignId}`);
+  }
+
+  /**
+   * Start a campaign run and its first encounter
+   * @param {string|Object} campaign - Registered campaign ID or a definition
+   * @param {string|Array} party - Fighter template IDs (default: the campaign's party, or "default")
+   * @returns {boolean} - Whether the first encounter started
+   */
+  startCampaign(campaign, party = null) {
+    const definition =
+      typeof campaign === "string" ? this.campaigns.get(campaign) : campaign;
+    if (!definition) {
+      throw new Error(`Campaign not found: ${campaign}`);
+    }
+
+    this.campaign = new CombatCampaign(
+      { ...definition, party: party || definition.party || "default" },
+      null,
+      { enableDebugLogs: this.options.enableDebugLogs }
+    );
+
+    this.triggerGameEvent("onCampaignStart", {
+      campaign: this.getCampaignRun(),
+      resumed: false,
+    });
+    this.saveCampaign();
+
+    return this.playCampaignEncounter();
+  }
+
+  /**
+   * Resume the campaign run saved in the game state
+   * @returns {boolean} - Whether an unfinished run was found
+   */
+  resumeCampaign() {
+    const saved = this.hasGameState()
+      ? this.game.state.get(this.options.campaignStatePath, null)
+      : null;
+
+    if (!saved || !saved.state || saved.state.status !== "active") {
+      this.log("No campaign run to resume");
+      return false;
+    }
+
+    this.campaign = new CombatCampaign(saved.definition, saved.state, {
+      enableDebugLogs: this.options.enableDebugLogs,
+    });
+
+    this.triggerGameEvent("onCampaignStart", {
+      campaign: this.getCampaignRun(),
+      resumed: true,
+    });
+
+    // A run saved at a branch is still waiting for the player's choice
+    if (this.campaign.state.choices) {
+      this.triggerGameEvent("onCampaignChoice", {
+        choices: this.campaign.state.choices.map((id) =>
+          this.campaign.getEncounter(id)
+        ),
+        campaign: this.getCampaignRun(),
+      });
+      return true;
+    }
+
+    // A battle interrupted by the save starts over from before it
+    this.playCampaignEncounter();
+    return true;
+  }
+
+  /**
+   * Play the campaign's current encounter: a battle, or a rest stop
+   * @returns {boolean} - Whether the encounter was played
+   */
+  playCampaignEncounter() {
+    const campaign = this.campaign;
+    if (
+      !campaign ||
+      !campaign.isActive() ||
+      campaign.state.choices ||
+      this.currentBattle
+    ) {
+      return false;
+    }
+
+    const encounter = campaign.getEncounter();
+    if (!encounter) return false;
+
+    if (encounter.type === "rest") {
+      const party = campaign.rest(encounter);
+      this.playSound("heal");
+      this.triggerGameEvent("onCampaignRest", {
+        encounter,
+        party,
+        campaign: this.getCampaignRun(),
+      });
+      return this.advanceCampaign();
+    }
+
+    const started = this.startBattle(
+      this.createCampaignParty(),
+      this.createCampaignEnemies(encounter),
+      encounter.options || {}
+    );
+
+    if (started) {
+      this.currentBattle.campaign = {
+        campaignId: campaign.state.campaignId,
+        encounterId: encounter.id,
+      };
+      this.triggerGameEvent("onCampaignEncounter", {
+        encounter,
+        campaign: this.getCampaignRun(),
+      });
+    }
+
+    return started;
+  }
+
+  /**
+   * Create the campaign party with the health and energy carried over from
+   * earlier battles
+   * @returns {Array} - Fighter configurations
+   */
+  createCampaignParty() {
+    return this.campaign.state.party.map((member) => {
+      const { templateId, hp, energy, maxHp, maxEnergy, ...overrides } = member;
+      const fighter = this.createFighter(templateId, overrides);
+      if (hp === undefined) return fighter;
+
+      // Equipment or levels may have changed since the last battle
+      const bonuses = this.combat.getEquipmentBonuses(fighter);
+      fighter.hp = Math.min(hp, fighter.maxHp + (bonuses.maxHp || 0));
+      fighter.energy = Math.min(
+        energy,
+        fighter.maxEnergy + (bonuses.maxEnergy || 0)
+      );
+
+      return fighter;
+    });
+  }
+
+  /**
+   * Create the enemies of a campaign encounter
+   * @param {Object} encounter - { enemy } template ID(s) or fighters, or { random: true|count, difficulty }
+   * @returns {Array} - Enemy fighters or template IDs
+   */
+  createCampaignEnemies(encounter) {
+    if (!encounter.random) {
+      return [].concat(encounter.enemy || []);
+    }
+
+    // Random encounters ramp up with every battle of the run
+    const count = encounter.random === true ? 1 : encounter.random;
+    const level =
+      this.getPlayerProgress().level + this.campaign.getLevelBonus();
+    const difficulty = this.campaign.getDifficulty(encounter);
+
+    const enemies = [];
+    for (let i = 0; i < count; i++) {
+      const enemy = this.generateRandomEnemy(level, difficulty);
+      if (enemy) enemies.push(enemy);
+    }
+
+    if (enemies.length === 0) {
+      console.error("Random campaign encounters need autoGenerateEnemies");
+    }
+    return enemies;
+  }
+
+  /**
+   * Record a finished campaign battle and move the run on
+   * @param {Object} battle - The finished battle
+   * @param {Object} results - Combat results
+   */
+  finishCampaignBattle(battle, results) {
+    const campaign = this.campaign;
+    if (!campaign || !campaign.isActive()) return;
+
+    const rewards = battle.rewards || { items: [] };
+    campaign.recordBattle(results, {
+      experience: battle.experience ? battle.experience.gained : 0,
+      items: rewards.items.reduce((total, drop) => total + drop.quantity, 0),
+    });
+
+    if (campaign.isActive()) {
+      this.advanceCampaign();
+    } else {
+      this.endCampaign();
+    }
+  }
+
+  /**
+   * Move the campaign past its current encounter. The next encounter starts
+   * after a transition when battleTransitions is on; call continueCampaign()
+   * otherwise.
+   * @param {string|null} choice - Encounter ID to take at a branch
+   * @returns {boolean} - False if the choice isn't a way on
+   */
+  advanceCampaign(choice = null) {
+    const outcome = this.campaign.advance(choice);
+
+    if (outcome.status === "invalid") {
+      return false;
+    }
+
+    if (outcome.status === "won") {
+      this.endCampaign();
+      return true;
+    }
+
+    this.saveCampaign();
+
+    if (outcome.status === "choice") {
+      this.triggerGameEvent("onCampaignChoice", {
+        choices: outcome.choices,
+        campaign: this.getCampaignRun(),
+      });
+    } else if (this.options.battleTransitions) {
+      setTimeout(() => {
+        this.playCampaignEncounter();
+      }, 2000);
+    }
+
+    return true;
+  }
+
+  /**
+   * Take a path at a campaign branch
+   * @param {string} encounterId - One of the encounter IDs offered by onCampaignChoice
+   * @returns {boolean} - Whether the path was taken
+   */
+  chooseCampaignPath(encounterId) {
+    if (!this.campaign || !this.campaign.state.choices) {
+      return false;
+    }
+    return this.advanceCampaign(encounterId);
+  }
+
+  /**
+   * Play the campaign's current encounter when the run isn't moving on by itself
+   */
+  continueCampaign() {
+    return this.playCampaignEncounter();
+  }
+
+  /**
+   * Give up the campaign run; a battle in progress plays out as a normal battle
+   */
+  abandonCampaign() {
+    if (!this.campaign || !this.campaign.isActive()) {
+      return false;
+    }
+
+    this.campaign.finish("abandoned");
+    this.endCampaign();
+    return true;
+  }
+
+  /**
+   * Save the finished run and report its outcome
+   */
+  endCampaign() {
+    this.saveCampaign();
+    this.triggerGameEvent("onCampaignEnd", {
+      status: this.campaign.state.status,
+      stats: this.campaign.getStats(),
+      campaign: this.getCampaignRun(),
+    });
+    this.log(`Campaign ended: ${this.campaign.state.status}`);
+  }
+
+  /**
+   * Save the campaign run through the GameStateManager
+   */
+  saveCampaign() {
+    if (!this.campaign || !this.hasGameState()) return;
+    this.game.state.set(this.options.campaignStatePath, this.campaign.toJSON());
+  }
+
+  /**
+   * Get the campaign run in progress (or just finished)
+   * @returns {Object|null} - { campaignId, name, status, encounter, choices, path, party, stats }
+   */
+  getCampaignRun() {
+    if (!this.campaign) return null;
+
+    const { state, definition } = this.campaign;
+    return {
+      campaignId: state.campaignId,
+      name: definition.name || state.campaignId,
+      status: state.status,
+      encounter: this.campaign.getEncounter(),
+      choices: state.choices ? [...state.choices] : null,
+      path: [...state.path],
+      party: state.party.map((member) => ({ ...member })),
+      stats: this.campaign.getStats(),
+    };
+  }
+
+  /**
+   * Replay a battle from history turn by turn with the same results
+   * @param {number|Object} battle - Index into the battle history or a history entry
+   * @param {Object} replayOptions - { autoPlay: step turns automatically, turnDelay }
+   */
+  replayBattle(battle = 0, replayOptions = {}) {
+    const entry =
+      typeof battle === "number" ? this.battleHistory[battle] : battle;
+
+    if (!entry || entry.seed === undefined || !entry.actionLog) {
+      console.error("Failed to replay battle: no seed or action log recorded");
+      return false;
+    }
+
+    this.replayOptions = {
+      autoPlay: true,
+      turnDelay: this.combat.options.turnDelay,
+      ...replayOptions,
+    };
+
+    this.currentBattle = {
+      id: Date.now().toString(),
+      replayOf: entry.id,
+      isReplay: true,
+      player: entry.playerParty[0],
+      enemy: entry.enemyParty[0],
+      playerParty: entry.playerParty,
+      enemyParty: entry.enemyParty,
+      options: entry.options || {},
+      startTime: Date.now(),
+      status: "active",
+    };
+
+    this.scripts.reset();
+
+    const success = this.combat.replayBattle(
+      {
+        playerParty: entry.playerParty,
+        enemyParty: entry.enemyParty,
+        seed: entry.seed,
+        actionLog: entry.actionLog,
+      },
+      {
+        ...(entry.options || {}),
+        // ATB gauges decide who acts each turn, so replay in the same mode
+        ...(entry.battleMode ? { battleMode: entry.battleMode } : {}),
+      }
+    );
+
+    if (success) {
+      this.playBattleStartSequence();
+      this.triggerGameEvent("onBattleStart", {
+        battle: this.currentBattle,
+        player: this.currentBattle.player,
+        enemy: this.currentBattle.enemy,
+        playerParty: this.currentBattle.playerParty,
+        enemyParty: this.currentBattle.enemyParty,
+      });
+      this.scheduleReplayTurn();
+      this.log(`Replaying battle ${entry.id} (seed ${entry.seed})`);
+    } else {
+      this.currentBattle = null;
+    }
+
+    return success;
+  }
+
+  /**
+   * Play the next replay turn after the replay delay when auto play is on
+   */
+  scheduleReplayTurn() {
+    if (!this.replayOptions || !this.replayOptions.autoPlay) return;
+
+    setTimeout(() => {
+      if (this.combat && this.combat.isReplaying()) {
+        this.combat.playReplayTurn();
+      }
+    }, this.replayOptions.turnDelay);
+  }
+
   /**
    * Handle turn start event from combat system
    * @param {Object} data - Turn start data
@@ -792,7 +1638,7 @@ class CombatManager {
     // Apply malfunction if enabled
     if (
       this.options.enableMalfunction &&
-      Math.random() < this.options.malfunctionChance
+      this.combat.rng.chance(this.options.malfunctionChance)
     ) {
       this.applyMalfunction();
     }
@@ -801,6 +1647,14 @@ class CombatManager {
     this.visualState.combatPhase = "turn-starting";
     this.updateCombatState();
 
+    // Turn numbers reached and status damage taken between turns
+    this.runEncounterScripts();
+
+    // Keep a replay moving
+    if (this.combat.isReplaying()) {
+      this.scheduleReplayTurn();
+    }
+
     // Auto-save if enabled
     if (this.options.enableAutoSave && this.game && this.game.save) {
       this.game.save();
@@ -817,9 +1671,6 @@ class CombatManager {
     // Update statistics
     this.stats.totalTurns++;
 
-    // Clear malfunction
-    this.clearMalfunction();
-
     // Update visual state
     this.visualState.combatPhase = "turn-ending";
     this.updateCombatState();
@@ -862,16 +1713,25 @@ class CombatManager {
     // Play action sound with enhanced audio feedback
     this.playActionSound(action.action.id, result);
 
-    // Check for critical hits
-    const isCritical =
-      result.damage > 0 && result.damage >= attacker.attack * 1.5;
+    // Critical hits, misses and counters come from the combat's hit rolls
+    const isCritical = Boolean(result.critical);
     if (isCritical) {
       this.handleCriticalHit(data);
     }
+    if (result.missed) {
+      this.triggerGameEvent("onMiss", data);
+    }
+    if (result.countered > 0) {
+      this.playSound("counter");
+      this.triggerGameEvent("onCounter", {
+        ...data,
+        damage: result.countered,
+      });
+    }
 
     // Update damage statistics
     if (result.damage > 0) {
-      if (attacker.templateId) {
+      if (attacker.side === "player") {
         // Player dealt damage
         this.stats.totalDamageDealt += result.damage;
         this.triggerGameEvent("onDamageDealt", {
@@ -897,9 +1757,35 @@ class CombatManager {
       this.handleStatusEffects(result.effects, attacker, defender);
     }
 
+    // Count the combos the action finished - a prevented finisher earns none
+    const combos = result.prevented
+      ? []
+      : (action.combos || [])
+          .map((comboId) => this.combat.combos.getCombo(comboId))
+          .filter(Boolean);
+    combos.forEach((combo) => {
+      this.stats.totalCombos++;
+      this.stats.comboUsageCounts.set(
+        combo.id,
+        (this.stats.comboUsageCounts.get(combo.id) || 0) + 1
+      );
+    });
+    if (combos.length > 0) {
+      this.stats.favoriteCombo = this.getMostUsed(this.stats.comboUsageCounts);
+      this.triggerGameEvent("onCombo", {
+        combos,
+        actor: attacker,
+        action: action.action,
+        fighter: attacker.side,
+      });
+    }
+
     // Trigger action execute event
     this.triggerGameEvent("onActionExecute", data);
 
+    // HP thresholds crossed and statuses applied by the action
+    this.runEncounterScripts(this.getAppliedStatuses(data));
+
     // Update UI with enhanced feedback
     this.updateUI();
   }
@@ -918,6 +1804,14 @@ class CombatManager {
     // Show critical hit indicator
     this.showCriticalHitIndicator(data.defender);
 
+    if (data.defender) {
+      this.combat.recordEvent("critical", {
+        target: this.combat.describeFighter(data.defender),
+        damage: data.result ? data.result.damage : 0,
+        message: `Critical hit on ${data.defender.name}!`,
+      });
+    }
+
     // Trigger game event
     this.triggerGameEvent("onCriticalHit", data);
   }
@@ -945,6 +1839,148 @@ class CombatManager {
     });
   }
 
+  /**
+   * Run the encounter script triggers the current battle state sets off
+   * @param {Object} statuses - Combatant ID -> effect IDs just applied to it
+   */
+  runEncounterScripts(statuses = {}) {
+    if (!this.combat.state.isActive) return;
+
+    this.combat.getAllCombatants().forEach((fighter) => {
+      const triggers = this.scripts.check(fighter, {
+        turn: this.combat.state.turn,
+        statuses: statuses[fighter.combatantId] || [],
+      });
+
+      triggers.forEach((trigger) => this.runScriptTrigger(fighter, trigger));
+    });
+  }
+
+  /**
+   * Work out which combatants an action put status effects on
+   * @param {Object} data - Action execution data
+   * @returns {Object} - Combatant ID -> applied effect IDs
+   */
+  getAppliedStatuses(data) {
+    const { action, result, attacker } = data;
+    const allyTargeting = this.combat.isAllyTargeting(action.action);
+    const statuses = {};
+
+    (result.targets || []).forEach((entry) => {
+      (entry.applied || []).forEach(({ effectId, target }) => {
+        // Self effects land on the ally when the action is aimed at one
+        const combatantId =
+          target === "self" && !allyTargeting
+            ? attacker.combatantId
+            : entry.combatantId;
+
+        statuses[combatantId] = statuses[combatantId] || [];
+        statuses[combatantId].push(effectId);
+      });
+    });
+
+    return statuses;
+  }
+
+  /**
+   * Carry out a fired script trigger
+   * @param {Object} fighter - Scripted combatant
+   * @param {Object} trigger - Script entry ({ id, when, repeat, do })
+   */
+  runScriptTrigger(fighter, trigger) {
+    const changes = trigger.do || {};
+    const { healed } = this.scripts.apply(fighter, changes, this.combat);
+
+    if (healed > 0) {
+      this.combat.showDamageNumber(fighter.combatantId, healed, true);
+    }
+
+    this.combat.recordEvent("phase", {
+      fighter: this.combat.describeFighter(fighter),
+      phase: trigger.id || null,
+      healed,
+      message: trigger.id
+        ? `${fighter.name} enters phase: ${trigger.id}`
+        : `${fighter.name} changes tactics`,
+    });
+
+    if (changes.dialogue) {
+      this.showBattleDialogue(fighter, changes.dialogue);
+    }
+
+    // Music types resolve through setMusicMapping like the battle's own music
+    if (changes.music) {
+      this.playMusic(changes.music);
+    }
+    if (changes.sound) {
+      this.playSound(changes.sound);
+    }
+
+    if (changes.conversation && this.game && this.game.startDialogue) {
+      this.game.startDialogue(
+        changes.conversation,
+        { battle: this.currentBattle, fighter },
+        fighter.templateId
+      );
+    }
+
+    this.combat.updateUI();
+
+    this.triggerGameEvent("onPhaseChange", {
+      fighter,
+      phase: trigger.id || null,
+      changes,
+      turn: this.combat.state.turn,
+      battle: this.currentBattle,
+    });
+  }
+
+  /**
+   * Show a line spoken by a fighter in a bubble over its card
+   * @param {Object} fighter - Speaking combatant
+   * @param {string|Object} dialogue - Text, or { text, speaker, duration }
+   */
+  showBattleDialogue(fighter, dialogue) {
+    const line = {
+      speaker: fighter.name,
+      duration: 3000,
+      ...(typeof dialogue === "string" ? { text: dialogue } : dialogue),
+    };
+
+    this.triggerGameEvent("onBattleDialogue", { fighter, ...line });
+    this.combat.recordEvent("dialogue", {
+      fighter: this.combat.describeFighter(fighter),
+      speaker: line.speaker,
+      text: line.text,
+      message: `${line.speaker}: "${line.text}"`,
+    });
+
+    // Lead fighters have their own card, other party members a roster entry
+    const card =
+      this.combat.state.fighters[fighter.side] === fighter
+        ? this.combat.elements[`${fighter.side}Fighter`]
+        : document.querySelector(
+            `.party-member[data-combatant="${fighter.combatantId}"]`
+          );
+    const anchor = card || document.querySelector(".combat-container");
+    if (!anchor) return;
+
+    const existing = anchor.querySelector(".battle-dialogue");
+    if (existing) existing.remove();
+
+    const bubble = document.createElement("div");
+    bubble.className = "battle-dialogue";
+    bubble.innerHTML = `
+      <span class="battle-dialogue-speaker">${line.speaker}</span>
+      <span class="battle-dialogue-text">${line.text}</span>
+    `;
+    anchor.appendChild(bubble);
+
+    setTimeout(() => {
+      bubble.remove();
+    }, line.duration);
+  }
+
   /**
    * Handle animation start event from combat system
    * @param {Object} data - Animation start data
@@ -982,11 +2018,29 @@ class CombatManager {
   handleBattleEnd(data) {
     const { winner, reason } = data;
 
+    // Replays only need to wrap up
+    if (this.currentBattle && this.currentBattle.isReplay) {
+      this.endBattle(reason);
+      return;
+    }
+
+    const battle = this.currentBattle;
+
     // Update win/loss statistics
     if (winner === "player") {
       this.stats.battlesWon++;
       this.triggerGameEvent("onPlayerVictory", data);
 
+      // Experience for every defeated enemy
+      if (this.options.enableProgression && this.currentBattle) {
+        this.currentBattle.experience = this.awardBattleExperience();
+      }
+
+      // Loot from every defeated enemy
+      if (this.options.enableLoot && this.currentBattle) {
+        this.currentBattle.rewards = this.awardBattleLoot();
+      }
+
       // Achievement integration
       if (
         this.options.enableAchievements &&
@@ -1012,68 +2066,324 @@ class CombatManager {
         this.startNextBattle();
       }, 2000);
     }
+
+    // Campaign runs carry on from the battle's outcome
+    if (battle && battle.campaign) {
+      this.finishCampaignBattle(battle, data);
+    }
   }
 
   /**
-   * Apply malfunction to random action
+   * Award the experience for the current battle's enemy party
+   * @returns {Object} - Result of awardExperience()
    */
-  applyMalfunction() {
-    if (!this.combat || !this.combat.state.fighters.player) return;
-
-    const player = this.combat.state.fighters.player;
-    const attackActions = player.actions.filter(
-      (action) =>
-        player.customActions[action] &&
-        player.customActions[action].type === "attack"
+  awardBattleExperience() {
+    const amount = this.currentBattle.enemyParty.reduce(
+      (total, enemy) => total + this.progression.getExperienceReward(enemy),
+      0
     );
 
-    if (attackActions.length > 0) {
-      const malfunctionedAction =
-        attackActions[Math.floor(Math.random() * attackActions.length)];
+    return this.awardExperience(amount, this.currentBattle.playerParty);
+  }
 
-      // Add malfunction visual indicator
-      this.showMalfunctionIndicator(malfunctionedAction);
+  /**
+   * Give the player experience, leveling up when a threshold is crossed
+   * @param {number} amount - Experience to add
+   * @param {Array} fighters - Fighters to report level up changes for (default: all templates)
+   * @returns {Object} - { gained, experience, level, previousLevel, levelsGained, fighters }
+   */
+  awardExperience(amount, fighters = null) {
+    const progress = this.getPlayerProgress();
+    const outcome = this.progression.addExperience(progress.experience, amount);
 
-      // Play malfunction sound
-      this.playSound("malfunction");
+    this.setPlayerProgress(outcome.level, outcome.experience);
 
-      this.log(`Action ${malfunctionedAction} is malfunctioning this turn`);
+    const result = { gained: amount, ...outcome, fighters: [] };
+    this.triggerGameEvent("onExperienceGained", result);
+
+    if (outcome.levelsGained > 0) {
+      // What each fighter template gained with the new level(s)
+      const templateIds = fighters
+        ? [...new Set(fighters.map((fighter) => fighter.templateId))]
+        : Array.from(this.fighterTemplates.keys());
+
+      result.fighters = templateIds
+        .filter((templateId) => this.fighterTemplates.has(templateId))
+        .map((templateId) => {
+          const template = this.fighterTemplates.get(templateId);
+          return {
+            templateId,
+            name: template.name,
+            ...this.progression.getLevelUpChanges(
+              template,
+              outcome.previousLevel,
+              outcome.level
+            ),
+          };
+        });
+
+      this.playSound("level_up");
+      this.triggerGameEvent("onLevelUp", result);
+      this.log(`Player reached level ${outcome.level}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the player's level and experience, read from the game state when a
+   * GameStateManager is attached
+   * @returns {Object} - { level, experience, currentLevelAt, nextLevelAt, progress }
+   */
+  getPlayerProgress() {
+    const experience = this.hasGameState()
+      ? this.game.state.get("player.experience", 0)
+      : this.playerProgress.experience;
+
+    return this.progression.getProgress(experience);
+  }
+
+  /**
+   * Store the player's level and experience
+   * @param {number} level - Player level
+   * @param {number} experience - Total experience
+   */
+  setPlayerProgress(level, experience) {
+    this.playerProgress = { level, experience };
+
+    // Persist through the GameStateManager player schema
+    if (this.hasGameState()) {
+      this.game.state.set("player.level", level);
+      this.game.state.set("player.experience", experience);
     }
   }
 
   /**
-   * Clear malfunction effects
+   * Check whether the game exposes a GameStateManager state API
+   */
+  hasGameState() {
+    return Boolean(
+      this.game && this.game.state && typeof this.game.state.get === "function"
+    );
+  }
+
+  /**
+   * Roll the current battle's enemy loot tables and add the drops to the
+   * inventory
+   * @returns {Object} - { experience, items, overflow }
    */
-  clearMalfunction() {
-    // Remove malfunction visual indicators
-    const malfunctionedButtons = document.querySelectorAll(
-      ".combat-action.malfunctioned"
+  awardBattleLoot() {
+    const drops = this.loot.rollEnemies(
+      this.currentBattle.enemyParty,
+      this.combat.rng
     );
-    malfunctionedButtons.forEach((button) => {
-      button.classList.remove("malfunctioned");
+    const { items, overflow } = this.deliverLoot(drops);
+    const experience = this.currentBattle.experience;
+
+    const rewards = {
+      experience: experience ? experience.gained : 0,
+      items,
+      overflow,
+    };
+
+    if (items.length > 0 || overflow.length > 0) {
+      this.triggerGameEvent("onLootDropped", rewards);
+    }
+
+    return rewards;
+  }
+
+  /**
+   * Add drops to the inventory; whatever doesn't fit is kept as pending loot
+   * @param {Array} drops - [{ itemId, quantity, rarity }]
+   * @returns {Object} - { items, overflow } with the quantities added and left over
+   */
+  deliverLoot(drops) {
+    const inventory = this.getInventory();
+    const items = [];
+    const overflow = [];
+
+    drops.forEach((drop) => {
+      const overrides = drop.rarity ? { rarity: drop.rarity } : {};
+      let remaining = drop.quantity;
+      let delivered = 0;
+      let name = drop.name || drop.itemId;
+
+      // Items are created a stack at a time - the item clamps to its max stack size
+      while (inventory && remaining > 0) {
+        const item = inventory.createItem(drop.itemId, {
+          ...overrides,
+          quantity: remaining,
+        });
+        if (!item) {
+          console.warn(`[Enhanced Combat] Unknown loot item: ${drop.itemId}`);
+          remaining = 0;
+          break;
+        }
+
+        name = item.name;
+        const stackQuantity = item.quantity;
+        const added = inventory.addItem(item)
+          ? stackQuantity
+          : stackQuantity - item.quantity; // Partly stacked onto existing items
+
+        delivered += added;
+        remaining -= added;
+        if (added < stackQuantity) break;
+      }
+
+      if (delivered > 0) {
+        items.push({ ...drop, name, quantity: delivered });
+      }
+      if (remaining > 0) {
+        overflow.push({ ...drop, name, quantity: remaining });
+      }
     });
+
+    if (overflow.length > 0) {
+      this.pendingLoot = this.loot.mergeDrops([
+        ...this.pendingLoot,
+        ...overflow,
+      ]);
+      this.triggerGameEvent("onLootOverflow", {
+        overflow,
+        pending: this.pendingLoot,
+      });
+      this.log(
+        `Inventory full - ${overflow.length} drops kept as pending loot`
+      );
+    }
+
+    return { items, overflow };
   }
 
   /**
-   * Show malfunction indicator
-   * @param {string} actionId - Action that's malfunctioning
+   * Retry adding pending loot, e.g. after the player freed inventory space
+   * @returns {Object} - { items, overflow } like deliverLoot()
    */
-  showMalfunctionIndicator(actionId) {
-    const button = document.querySelector(`[data-action="${actionId}"]`);
-    if (button) {
-      button.classList.add("malfunctioned");
+  claimPendingLoot() {
+    const pending = this.pendingLoot;
+    this.pendingLoot = [];
+    return this.deliverLoot(pending);
+  }
+
+  /**
+   * Get loot that didn't fit in the inventory
+   * @returns {Array} - [{ itemId, name, quantity, rarity }]
+   */
+  getPendingLoot() {
+    return [...this.pendingLoot];
+  }
+
+  /**
+   * Item source for the Use Item action: inventory consumables with effects,
+   * consumed through InventoryManager.useItem()
+   * @returns {Object} - { getItems(fighter), consumeItem(itemId, fighter) }
+   */
+  createItemSource() {
+    return {
+      getItems: () => {
+        const inventory = this.getInventory();
+        if (!inventory) return [];
+
+        return inventory
+          .findItems({ type: "consumable" })
+          .filter(({ item }) => item.effects.length > 0 && item.canUse())
+          .map(({ item }) => ({
+            id: item.id,
+            name: item.name,
+            description: item.description,
+            quantity: item.quantity,
+            effects: item.effects,
+          }));
+      },
+      consumeItem: (itemId) => {
+        const inventory = this.getInventory();
+        const slotIndex = inventory
+          ? inventory.slots.findIndex((item) => item && item.id === itemId)
+          : -1;
+
+        if (slotIndex === -1 || !inventory.useItem(slotIndex, 1)) {
+          console.warn(`[Enhanced Combat] Failed to consume item: ${itemId}`);
+          return false;
+        }
+        return true;
+      },
+    };
+  }
+
+  /**
+   * Save the inventory after a battle wore down equipped weapons
+   */
+  saveEquipmentWear() {
+    const inventory = this.getInventory();
+    const wearsEquipment = this.currentBattle.playerParty.some(
+      (fighter) => fighter.equipment && Object.keys(fighter.equipment).length
+    );
+
+    if (inventory && wearsEquipment) {
+      inventory.saveInventory();
+      inventory.refreshUI();
+    }
+  }
+
+  /**
+   * Inventory for loot and equipment: the inventory option, else game.inventory
+   * @returns {InventoryManager|null} - Initialized inventory, or null
+   */
+  getInventory() {
+    const inventory =
+      this.options.inventory || (this.game && this.game.inventory) || null;
+
+    // addItem() defers (and reports failure) until the inventory is initialized
+    return inventory && inventory.isInitialized ? inventory : null;
+  }
+
+  /**
+   * Malfunction a random player attack: disable it for a few turns
+   */
+  applyMalfunction() {
+    if (!this.combat || !this.combat.state.fighters.player) return;
+
+    const player = this.combat.state.fighters.player;
+    const attackActions = player.actions.filter(
+      (action) =>
+        player.customActions[action] &&
+        player.customActions[action].type === "attack"
+    );
+
+    if (attackActions.length > 0) {
+      const malfunctionedAction = this.combat.rng.pick(attackActions);
+
+      const instance = this.combat.inflictStatus(
+        player.combatantId,
+        "disable",
+        {
+          duration: this.options.malfunctionDuration,
+          value: malfunctionedAction,
+        }
+      );
+      if (!instance) return;
+
+      // Play malfunction sound
+      this.playSound("malfunction");
+
+      this.log(`Action ${malfunctionedAction} malfunctioned`);
     }
   }
 
   /**
-   * Add screen shake effect
+   * Add screen shake effect - a static impact border in reduced motion mode
    */
   addScreenShake() {
     const container = document.querySelector(".combat-container");
     if (container) {
-      container.classList.add("screen-shake");
+      const className = this.isReducedMotion()
+        ? "impact-indicator"
+        : "screen-shake";
+      container.classList.add(className);
       setTimeout(() => {
-        container.classList.remove("screen-shake");
+        container.classList.remove(className);
       }, 500);
     }
   }
@@ -1125,7 +2435,12 @@ class CombatManager {
     let volume = 0.7;
 
     // Modify sound based on result
-    if (result.blocked) {
+    if (result.missed) {
+      soundId = "miss";
+      volume = 0.5;
+    } else if (result.parried) {
+      soundId = "parry";
+    } else if (result.blocked) {
       soundId = "block_sound";
       volume = 0.5;
     } else if (result.damage > 0) {
@@ -1159,17 +2474,26 @@ class CombatManager {
    * Update favorite action based on usage counts
    */
   updateFavoriteAction() {
+    this.stats.favoriteAction = this.getMostUsed(this.stats.actionUsageCounts);
+  }
+
+  /**
+   * Find the most used entry of a usage count map
+   * @param {Map} counts - ID -> times used
+   * @returns {string|null} - ID used most, the first one on ties
+   */
+  getMostUsed(counts) {
     let maxCount = 0;
-    let favoriteAction = null;
+    let mostUsed = null;
 
-    this.stats.actionUsageCounts.forEach((count, actionId) => {
+    counts.forEach((count, id) => {
       if (count > maxCount) {
         maxCount = count;
-        favoriteAction = actionId;
+        mostUsed = id;
       }
     });
 
-    this.stats.favoriteAction = favoriteAction;
+    return mostUsed;
   }
 
   /**
@@ -1195,7 +2519,15 @@ class CombatManager {
    * @param {Object} battle - Battle data to add
    */
   addToBattleHistory(battle) {
-    this.battleHistory.unshift(battle);
+    // Seed and action log let the battle be replayed later
+    const results = battle.results || {};
+    this.battleHistory.unshift({
+      ...battle,
+      seed: results.seed,
+      battleMode: results.battleMode,
+      actionLog: results.actionLog || [],
+      battleLog: results.battleLog || [],
+    });
 
     // Limit history size
     if (this.battleHistory.length > this.options.maxBattleHistory) {
@@ -1359,8 +2691,13 @@ class CombatManager {
           energy: template.maxEnergy,
           attack: template.attack,
           defense: template.defense,
+          speed: template.speed || 0,
         },
+        element: template.element || null,
+        weaknesses: template.weaknesses || [],
+        resistances: template.resistances || [],
         actions: template.actions,
+        unlocks: template.unlocks || {},
         sprite: template.sprite,
         visualTheme: template.visualTheme,
       })
@@ -1380,9 +2717,15 @@ class CombatManager {
         energy: template.maxEnergy,
         attack: template.attack,
         defense: template.defense,
+        speed: template.speed || 0,
       },
+      element: template.element || null,
+      weaknesses: template.weaknesses || [],
+      resistances: template.resistances || [],
       actions: template.actions,
       aiType: template.aiType,
+      experienceReward: this.progression.getExperienceReward(template),
+      phases: (template.script || []).map((trigger) => trigger.id),
       sprite: template.sprite,
     }));
   }
@@ -1392,14 +2735,16 @@ class CombatManager {
    * @param {number} playerLevel - Player's current level
    * @param {string} difficulty - Difficulty setting
    */
-  generateRandomEnemy(playerLevel = 1, difficulty = "normal") {
+  generateRandomEnemy(
+    playerLevel = this.getPlayerProgress().level,
+    difficulty = "normal"
+  ) {
     if (!this.options.autoGenerateEnemies) {
       return null;
     }
 
     const templates = Array.from(this.enemyTemplates.keys());
-    const baseTemplate =
-      templates[Math.floor(Math.random() * templates.length)];
+    const baseTemplate = this.combat.rng.pick(templates);
 
     const multipliers = {
       easy: 0.8,
@@ -1419,6 +2764,9 @@ class CombatManager {
       maxEnergy: Math.floor(baseEnemy.maxEnergy * finalMultiplier),
       attack: Math.floor(baseEnemy.attack * finalMultiplier),
       defense: Math.floor(baseEnemy.defense * finalMultiplier),
+      experienceReward: Math.floor(
+        this.progression.getExperienceReward(baseEnemy) * finalMultiplier
+      ),
       name: `${baseEnemy.name} (Lv.${playerLevel})`,
     });
   }
@@ -1469,6 +2817,49 @@ class CombatManager {
     return [...this.battleHistory];
   }
 
+  /**
+   * Export a battle's structured log
+   * @param {number|Object} battle - Index into the battle history or a history entry
+   * @param {string} format - 'json' or 'text'
+   * @returns {string|null} - Transcript, or null if the battle has no log
+   */
+  exportBattleLog(battle = 0, format = "json") {
+    const entry =
+      typeof battle === "number" ? this.battleHistory[battle] : battle;
+    if (!entry || !entry.battleLog) {
+      console.error("Failed to export battle log: no log recorded");
+      return null;
+    }
+
+    const results = entry.results || {};
+
+    if (format === "text") {
+      const header = [
+        `Battle ${entry.id} (seed ${entry.seed})`,
+        `Result: ${results.winner || "unknown"} - ${results.reason || ""}`,
+        "",
+      ];
+      const lines = entry.battleLog.map(
+        (logEntry) =>
+          `[Turn ${logEntry.turn}] ${this.combat.describeLogEntry(logEntry)}`
+      );
+      return [...header, ...lines].join("\n");
+    }
+
+    return JSON.stringify(
+      {
+        id: entry.id,
+        seed: entry.seed,
+        winner: results.winner || null,
+        reason: results.reason || null,
+        turns: results.turns || null,
+        log: entry.battleLog,
+      },
+      null,
+      2
+    );
+  }
+
   /**
    * Clear battle history
    */
@@ -1488,6 +2879,8 @@ class CombatManager {
       fighterTemplates: Array.from(this.fighterTemplates.entries()),
       enemyTemplates: Array.from(this.enemyTemplates.entries()),
       visualState: this.visualState,
+      playerProgress: this.playerProgress,
+      pendingLoot: this.pendingLoot,
       timestamp: Date.now(),
       gameId: this.getGameId(),
     };
@@ -1560,6 +2953,17 @@ class CombatManager {
         if (importData.battleHistory) {
           this.battleHistory = [...importData.battleHistory];
         }
+
+        if (importData.playerProgress) {
+          this.setPlayerProgress(
+            importData.playerProgress.level,
+            importData.playerProgress.experience
+          );
+        }
+
+        if (importData.pendingLoot) {
+          this.pendingLoot = [...importData.pendingLoot];
+        }
       }
 
       this.log("Combat data imported successfully");
@@ -1585,6 +2989,9 @@ class CombatManager {
       averageBattleLength: 0,
       favoriteAction: null,
       actionUsageCounts: new Map(),
+      totalCombos: 0,
+      favoriteCombo: null,
+      comboUsageCounts: new Map(),
     };
 
     // Reset visual state
@@ -1600,6 +3007,11 @@ class CombatManager {
     this.battleQueue = [];
     this.clearBattleHistory();
 
+    // Progress kept in the GameStateManager belongs to the game
+    this.playerProgress = { level: 1, experience: 0 };
+    this.pendingLoot = [];
+    this.campaign = null;
+
     // Reset templates if requested
     if (!keepTemplates) {
       this.fighterTemplates.clear();
@@ -1669,3 +3081,8 @@ class CombatManager {
     this.log("Enhanced CombatManager destroyed");
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CombatManager;
+}
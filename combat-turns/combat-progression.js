@@ -0,0 +1,211 @@
+/**
+ * CombatProgression - Experience, Levels and Stat Growth
+ * Level thresholds, per-template stat growth curves, action unlocks and
+ * enemy experience rewards. Pure rules: persistence is up to the caller.
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class CombatProgression {
+  constructor(options = {}) {
+    // Configuration options
+    this.options = {
+      maxLevel: 50,
+      levelThresholds: null, // Total experience needed for level 1, 2, 3, ... (overrides the curve)
+      baseExperience: 100, // Experience needed for level 2
+      experienceExponent: 1.5, // How steeply later levels get more expensive
+      defaultGrowth: { maxHp: 8, maxEnergy: 1, attack: 1, defense: 1 }, // Per level
+      defaultExperienceReward: 10, // For enemy templates without experienceReward
+      enableDebugLogs: false,
+      ...options,
+    };
+  }
+
+  /**
+   * Total experience needed to reach a level
+   * @param {number} level - Level to reach
+   */
+  getExperienceForLevel(level) {
+    if (level <= 1) return 0;
+
+    const thresholds = this.options.levelThresholds;
+    if (thresholds) {
+      return thresholds[Math.min(level, thresholds.length) - 1];
+    }
+
+    return Math.floor(
+      this.options.baseExperience *
+        Math.pow(level - 1, this.options.experienceExponent)
+    );
+  }
+
+  /**
+   * Highest level reached with an amount of experience
+   * @param {number} experience - Total experience
+   */
+  getLevelForExperience(experience) {
+    const maxLevel = this.options.levelThresholds
+      ? this.options.levelThresholds.length
+      : this.options.maxLevel;
+
+    let level = 1;
+    while (
+      level < maxLevel &&
+      experience >= this.getExperienceForLevel(level + 1)
+    ) {
+      level++;
+    }
+    return level;
+  }
+
+  /**
+   * Describe progress towards the next level
+   * @param {number} experience - Total experience
+   * @returns {Object} - { level, experience, currentLevelAt, nextLevelAt, progress }
+   */
+  getProgress(experience) {
+    const level = this.getLevelForExperience(experience);
+    const currentLevelAt = this.getExperienceForLevel(level);
+    const nextLevelAt = this.getExperienceForLevel(level + 1);
+    const isMaxLevel = nextLevelAt <= currentLevelAt;
+
+    return {
+      level,
+      experience,
+      currentLevelAt,
+      nextLevelAt: isMaxLevel ? null : nextLevelAt,
+      progress: isMaxLevel
+        ? 1
+        : (experience - currentLevelAt) / (nextLevelAt - currentLevelAt),
+    };
+  }
+
+  /**
+   * Add experience and report any level ups
+   * @param {number} experience - Total experience before the gain
+   * @param {number} amount - Experience gained
+   * @returns {Object} - { experience, level, previousLevel, levelsGained }
+   */
+  addExperience(experience, amount) {
+    const previousLevel = this.getLevelForExperience(experience);
+    const total = experience + Math.max(0, amount);
+    const level = this.getLevelForExperience(total);
+
+    if (level > previousLevel) {
+      this.log(`Level up: ${previousLevel} -> ${level}`);
+    }
+
+    return {
+      experience: total,
+      level,
+      previousLevel,
+      levelsGained: level - previousLevel,
+    };
+  }
+
+  /**
+   * Stat bonus a template gains by a level
+   * @param {Object} template - Fighter template with an optional `growth`
+   * @param {number} level - Fighter level
+   * @returns {Object} - Stat name -> bonus over the level 1 stats
+   */
+  getStatGrowth(template, level) {
+    const growth = template.growth || this.options.defaultGrowth;
+    const bonuses = {};
+
+    Object.entries(growth).forEach(([stat, curve]) => {
+      // A number grows linearly, a function returns the total bonus at a level
+      const bonus =
+        typeof curve === "function" ? curve(level) : curve * (level - 1);
+      bonuses[stat] = Math.floor(bonus);
+    });
+
+    return bonuses;
+  }
+
+  /**
+   * Actions a template has unlocked by a level
+   * @param {Object} template - Fighter template with optional `unlocks` ({ level: [actionIds] })
+   * @param {number} level - Fighter level
+   */
+  getUnlockedActions(template, level) {
+    return Object.entries(template.unlocks || {})
+      .filter(([unlockLevel]) => Number(unlockLevel) <= level)
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .flatMap(([, actionIds]) => [].concat(actionIds));
+  }
+
+  /**
+   * Build a template's stats and actions at a level
+   * @param {Object} template - Fighter template (level 1 stats)
+   * @param {number} level - Fighter level
+   * @returns {Object} - Copy of the template with grown stats and unlocked actions
+   */
+  applyLevel(template, level) {
+    const leveled = { ...template, level };
+
+    Object.entries(this.getStatGrowth(template, level)).forEach(
+      ([stat, bonus]) => {
+        leveled[stat] = (template[stat] || 0) + bonus;
+      }
+    );
+
+    const actions = [...(template.actions || [])];
+    this.getUnlockedActions(template, level).forEach((actionId) => {
+      if (!actions.includes(actionId)) {
+        actions.push(actionId);
+      }
+    });
+    leveled.actions = actions;
+
+    return leveled;
+  }
+
+  /**
+   * Changes between two levels of a template, for level up feedback
+   * @param {Object} template - Fighter template
+   * @param {number} fromLevel - Previous level
+   * @param {number} toLevel - New level
+   * @returns {Object} - { statGains, unlockedActions }
+   */
+  getLevelUpChanges(template, fromLevel, toLevel) {
+    const before = this.getStatGrowth(template, fromLevel);
+    const after = this.getStatGrowth(template, toLevel);
+    const statGains = {};
+
+    Object.keys(after).forEach((stat) => {
+      const gain = after[stat] - (before[stat] || 0);
+      if (gain > 0) statGains[stat] = gain;
+    });
+
+    const known = this.getUnlockedActions(template, fromLevel);
+    const unlockedActions = this.getUnlockedActions(template, toLevel).filter(
+      (actionId) => !known.includes(actionId)
+    );
+
+    return { statGains, unlockedActions };
+  }
+
+  /**
+   * Experience for defeating an enemy
+   * @param {Object} enemy - Enemy fighter or template with optional `experienceReward`
+   */
+  getExperienceReward(enemy) {
+    return enemy.experienceReward !== undefined
+      ? enemy.experienceReward
+      : this.options.defaultExperienceReward;
+  }
+
+  /**
+   * Log debug message
+   * @param {string} message - Message to log
+   */
+  log(message) {
+    if (this.options.enableDebugLogs) {
+      console.log(`[CombatProgression] ${message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CombatProgression;
+}
@@ -0,0 +1,94 @@
+/**
+ * CombatRNG - Seeded Random Number Generator
+ * Small deterministic generator (mulberry32) so battles with the same seed
+ * roll the same numbers
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class CombatRNG {
+  /**
+   * @param {number|string|null} seed - Seed value, random when omitted
+   */
+  constructor(seed = null) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reset the generator to a seed
+   * @param {number|string|null} seed - Seed value, random when omitted
+   */
+  setSeed(seed = null) {
+    this.seed =
+      seed === null || seed === undefined ? CombatRNG.randomSeed() : seed;
+    this.state = CombatRNG.hashSeed(this.seed);
+  }
+
+  /**
+   * Get the seed the generator was started with
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random integer in [min, max]
+   * @param {number} min - Lowest value
+   * @param {number} max - Highest value
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Roll against a probability
+   * @param {number} probability - Chance between 0 and 1
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element of an array
+   * @param {Array} items - Items to pick from
+   */
+  pick(items) {
+    return items.length > 0
+      ? items[Math.floor(this.next() * items.length)]
+      : undefined;
+  }
+
+  /**
+   * Turn any seed into a 32-bit integer state
+   * @param {number|string} seed - Seed value
+   */
+  static hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Create a fresh seed for unseeded battles
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CombatRNG;
+}
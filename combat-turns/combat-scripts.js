@@ -0,0 +1,128 @@
+/**
+ * CombatScripts - Declarative Encounter Scripts
+ * Decides when the script triggers on a fighter's template fire (HP
+ * thresholds, turn numbers, applied status effects) and applies their
+ * rule changes: new actions or AI, healing and sprite swaps
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class CombatScripts {
+  constructor(options = {}) {
+    // Configuration options
+    this.options = {
+      enableDebugLogs: false,
+      ...options,
+    };
+
+    // Combatant ID -> keys of triggers that have fired
+    this.fired = new Map();
+  }
+
+  /**
+   * Forget fired triggers for a new battle
+   */
+  reset() {
+    this.fired.clear();
+  }
+
+  /**
+   * Find the triggers a battle event sets off. A trigger fires once when all
+   * of its conditions hold; with `repeat` it fires again after they stop
+   * holding and hold once more.
+   * @param {Object} fighter - Combatant with a `script` array
+   * @param {Object} event - { turn: current turn, statuses: effect IDs just applied to the fighter }
+   * @returns {Array} - Triggers to run, in script order
+   */
+  check(fighter, event = {}) {
+    if (!Array.isArray(fighter.script) || fighter.hp <= 0) return [];
+
+    const fired = this.fired.get(fighter.combatantId) || new Set();
+    this.fired.set(fighter.combatantId, fired);
+
+    return fighter.script.filter((trigger, index) => {
+      const key = trigger.id || index;
+
+      if (!this.matches(trigger.when || {}, fighter, event)) {
+        if (trigger.repeat) fired.delete(key);
+        return false;
+      }
+
+      if (fired.has(key)) return false;
+      fired.add(key);
+
+      this.log(`${fighter.name}: ${trigger.id || `trigger ${index}`} fired`);
+      return true;
+    });
+  }
+
+  /**
+   * Check a trigger's conditions against the fighter and event
+   * @param {Object} when - { hpBelow: fraction of max HP, turn: turn reached, statusApplied: effect ID }
+   * @param {Object} fighter - Scripted combatant
+   * @param {Object} event - Battle event from check()
+   */
+  matches(when, fighter, event) {
+    const conditions = Object.keys(when);
+    if (conditions.length === 0) return false;
+
+    return conditions.every((condition) => {
+      const value = when[condition];
+
+      switch (condition) {
+        case "hpBelow":
+          return fighter.hp <= fighter.maxHp * value;
+        case "turn":
+          return (event.turn || 0) >= value;
+        case "statusApplied":
+          return (event.statuses || []).includes(value);
+        default:
+          this.log(`Unknown script condition: ${condition}`);
+          return false;
+      }
+    });
+  }
+
+  /**
+   * Apply the rule changes of a trigger's `do` block to a fighter
+   * @param {Object} fighter - Scripted combatant
+   * @param {Object} changes - { actions, customActions, aiType, heal, sprite }
+   * @param {Combat} combat - Combat instance running the battle
+   * @returns {Object} - { healed } health restored
+   */
+  apply(fighter, changes = {}, combat) {
+    if (changes.actions) {
+      fighter.actions = [...changes.actions];
+    }
+    if (changes.customActions) {
+      fighter.customActions = {
+        ...fighter.customActions,
+        ...changes.customActions,
+      };
+    }
+    if (changes.aiType) {
+      fighter.aiType = changes.aiType;
+    }
+    if (changes.sprite) {
+      fighter.sprite = changes.sprite;
+    }
+
+    const healed =
+      changes.heal > 0 ? combat.healFighter(fighter, changes.heal) : 0;
+
+    return { healed };
+  }
+
+  /**
+   * Log debug message
+   * @param {string} message - Message to log
+   */
+  log(message) {
+    if (this.options.enableDebugLogs) {
+      console.log(`[CombatScripts] ${message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CombatScripts;
+}
@@ -0,0 +1,366 @@
+/**
+ * CombatSimulator - Headless Battle Simulator for Balance Testing
+ * Runs many battles through a headless Combat (no DOM, animations or delays)
+ * with both sides driven by AI, and reports win rates, turn counts, action
+ * usage and damage distributions
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class CombatSimulator {
+  constructor(options = {}) {
+    // Configuration options
+    this.options = {
+      battles: 1000,
+      seed: "simulation", // Same seed, same report
+      maxTurns: 100, // Battles still running after this count as timeouts
+      playerAIType: "balanced", // Strategy for player fighters without an aiType
+      histogramBucket: 10, // Width of damage histogram buckets
+      manager: null, // CombatManager used to resolve template IDs
+      combatOptions: {},
+      enableDebugLogs: false,
+      ...options,
+    };
+
+    // Rules-only combat engine; the lookahead AI searches to a fixed depth so
+    // results don't depend on machine speed
+    this.combat = new Combat({
+      headless: true,
+      enableAnimations: false,
+      turnDelay: 0,
+      animationDuration: 0,
+      aiLookahead: { depth: 2, timeBudget: null },
+      seed: this.options.seed,
+      enableDebugLogs: this.options.enableDebugLogs,
+      ...this.options.combatOptions,
+    });
+
+    // Resolves the battle step waiting for the current turn to finish
+    this.pendingTurn = null;
+    this.currentBattle = null;
+
+    this.setupCallbacks();
+  }
+
+  /**
+   * Track every executed action and wake the battle loop after each turn
+   */
+  setupCallbacks() {
+    const finishTurn = () => {
+      if (this.pendingTurn) {
+        const resolve = this.pendingTurn;
+        this.pendingTurn = null;
+        resolve();
+      }
+    };
+
+    this.combat.setCallback("onTurnStart", finishTurn);
+    this.combat.setCallback("onBattleEnd", finishTurn);
+    this.combat.setCallback("onActionExecute", (data) => {
+      if (!this.currentBattle) return;
+
+      const side = data.attacker.side;
+      this.currentBattle.actions.push({
+        side,
+        actionId: data.action.actionId,
+        damage: data.result.damage || 0,
+        healing: data.result.healing || 0,
+      });
+      this.currentBattle.damage[side] += data.result.damage || 0;
+    });
+  }
+
+  /**
+   * Simulate a series of battles between two fighters or parties
+   * @param {Object|string|Array} playerFighter - Fighter, template ID, or an array of them
+   * @param {Object|string|Array} enemyFighter - Fighter, template ID, or an array of them
+   * @param {Object} runOptions - Per-run overrides (battles, seed, maxTurns, battleOptions)
+   * @returns {Promise<Object>} - Balance report
+   */
+  async run(playerFighter, enemyFighter, runOptions = {}) {
+    const options = { ...this.options, ...runOptions };
+    const playerParty = this.resolveParty(playerFighter, "player");
+    const enemyParty = this.resolveParty(enemyFighter, "enemy");
+
+    // Each battle's seed is drawn from the run seed
+    this.combat.rng.setSeed(options.seed);
+
+    const battles = [];
+    for (let i = 0; i < options.battles; i++) {
+      battles.push(
+        await this.runBattle(playerParty, enemyParty, {
+          ...options.battleOptions,
+          maxTurns: options.maxTurns,
+        })
+      );
+    }
+
+    const report = this.buildReport(battles, options);
+    report.player = playerParty.map((fighter) => fighter.name);
+    report.enemy = enemyParty.map((fighter) => fighter.name);
+
+    this.log(
+      `${report.player.join(", ")} vs ${report.enemy.join(", ")}: ` +
+        `${(report.winRate.player * 100).toFixed(1)}% player wins`
+    );
+
+    return report;
+  }
+
+  /**
+   * Play one battle to the end with AI on both sides
+   * @param {Array} playerParty - Player fighter configurations
+   * @param {Array} enemyParty - Enemy fighter configurations
+   * @param {Object} battleOptions - Battle options plus maxTurns
+   * @returns {Promise<Object>} - { winner, reason, turns, seed, actions, damage }
+   */
+  async runBattle(playerParty, enemyParty, battleOptions = {}) {
+    const { maxTurns, ...options } = battleOptions;
+    const combat = this.combat;
+
+    this.currentBattle = { actions: [], damage: { player: 0, enemy: 0 } };
+
+    if (!combat.startBattle(playerParty, enemyParty, options)) {
+      throw new Error("Simulated battle failed to start");
+    }
+
+    while (combat.state.isActive) {
+      if (maxTurns && combat.state.turn > maxTurns) {
+        combat.endBattle("draw", "Turn limit reached");
+        break;
+      }
+
+      const turnDone = new Promise((resolve) => {
+        this.pendingTurn = resolve;
+      });
+
+      combat.getLivingMembers("player").forEach((fighter) => {
+        if (combat.isAwaitingAction(fighter)) {
+          combat.selectAIAction(this.withPlayerAI(fighter));
+        }
+      });
+
+      // Nobody on the player side could act - let the enemies go anyway
+      if (combat.state.phase === "select") {
+        combat.generateEnemyActions();
+      }
+
+      await turnDone;
+    }
+
+    const results = combat.getResults();
+    const battle = {
+      winner: results.winner,
+      reason: results.reason,
+      turns: results.turns,
+      seed: results.seed,
+      timedOut: results.reason === "Turn limit reached",
+      ...this.currentBattle,
+    };
+
+    this.currentBattle = null;
+    return battle;
+  }
+
+  /**
+   * Give player fighters without an aiType the simulator's player strategy
+   * @param {Object} fighter - Player fighter in the battle
+   */
+  withPlayerAI(fighter) {
+    if (!fighter.aiType) {
+      fighter.aiType = this.options.playerAIType;
+    }
+    return fighter;
+  }
+
+  /**
+   * Turn fighters or template IDs into fighter configurations
+   * @param {Object|string|Array} fighters - Fighter, template ID, or an array of them
+   * @param {string} side - 'player' or 'enemy'
+   */
+  resolveParty(fighters, side) {
+    return [].concat(fighters).map((fighter) => {
+      if (typeof fighter !== "string") return fighter;
+
+      const manager = this.options.manager;
+      const created =
+        manager &&
+        (side === "player"
+          ? manager.createFighter(fighter)
+          : manager.createEnemy(fighter));
+
+      if (!created) {
+        throw new Error(
+          `Unknown ${side} template: ${fighter} (pass a CombatManager as options.manager)`
+        );
+      }
+      return created;
+    });
+  }
+
+  /**
+   * Summarize simulated battles
+   * @param {Array} battles - Results from runBattle()
+   * @param {Object} options - Run options
+   */
+  buildReport(battles, options) {
+    const count = battles.length;
+    const wins = { player: 0, enemy: 0, draw: 0 };
+    battles.forEach((battle) => {
+      wins[battle.winner] = (wins[battle.winner] || 0) + 1;
+    });
+
+    const turns = battles.map((battle) => battle.turns);
+
+    return {
+      battles: count,
+      seed: options.seed,
+      wins,
+      winRate: {
+        player: count ? wins.player / count : 0,
+        enemy: count ? wins.enemy / count : 0,
+        draw: count ? wins.draw / count : 0,
+      },
+      timeouts: battles.filter((battle) => battle.timedOut).length,
+      turns: this.summarize(turns),
+      actions: {
+        player: this.summarizeActions(battles, "player", options),
+        enemy: this.summarizeActions(battles, "enemy", options),
+      },
+      damagePerBattle: {
+        player: this.distribution(
+          battles.map((battle) => battle.damage.player),
+          options.histogramBucket
+        ),
+        enemy: this.distribution(
+          battles.map((battle) => battle.damage.enemy),
+          options.histogramBucket
+        ),
+      },
+    };
+  }
+
+  /**
+   * Usage and damage per action for one side
+   * @param {Array} battles - Results from runBattle()
+   * @param {string} side - 'player' or 'enemy'
+   * @param {Object} options - Run options
+   */
+  summarizeActions(battles, side, options) {
+    const byAction = {};
+    let total = 0;
+
+    battles.forEach((battle) => {
+      battle.actions
+        .filter((entry) => entry.side === side)
+        .forEach((entry) => {
+          if (!byAction[entry.actionId]) {
+            byAction[entry.actionId] = { damage: [], healing: 0 };
+          }
+          byAction[entry.actionId].damage.push(entry.damage);
+          byAction[entry.actionId].healing += entry.healing;
+          total++;
+        });
+    });
+
+    const summary = {};
+    Object.entries(byAction).forEach(([actionId, data]) => {
+      summary[actionId] = {
+        uses: data.damage.length,
+        usageRate: total ? data.damage.length / total : 0,
+        usesPerBattle: battles.length ? data.damage.length / battles.length : 0,
+        totalHealing: data.healing,
+        damage: this.distribution(data.damage, options.histogramBucket),
+      };
+    });
+
+    return summary;
+  }
+
+  /**
+   * Summary statistics plus a histogram
+   * @param {Array} values - Numbers to describe
+   * @param {number} bucketSize - Histogram bucket width
+   */
+  distribution(values, bucketSize) {
+    const histogram = {};
+    values.forEach((value) => {
+      const start = Math.floor(value / bucketSize) * bucketSize;
+      const bucket = `${start}-${start + bucketSize - 1}`;
+      histogram[bucket] = (histogram[bucket] || 0) + 1;
+    });
+
+    return { ...this.summarize(values), histogram };
+  }
+
+  /**
+   * Min, max, average and median of a list of numbers
+   * @param {Array} values - Numbers to describe
+   */
+  summarize(values) {
+    if (values.length === 0) {
+      return { total: 0, average: 0, min: 0, max: 0, median: 0 };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+    const middle = Math.floor(sorted.length / 2);
+
+    return {
+      total,
+      average: total / sorted.length,
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      median:
+        sorted.length % 2
+          ? sorted[middle]
+          : (sorted[middle - 1] + sorted[middle]) / 2,
+    };
+  }
+
+  /**
+   * Log debug message
+   * @param {string} message - Message to log
+   */
+  log(message) {
+    if (this.options.enableDebugLogs) {
+      console.log(`[CombatSimulator] ${message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CombatSimulator;
+}
+
+// Command line: node combat-simulator.js <player> <enemy> [battles] [seed]
+// Comma-separated template IDs make a party, e.g. default,mage boss
+if (typeof require !== "undefined" && require.main === module) {
+  global.CombatRNG = require("./combat-rng.js");
+  global.CombatLookahead = require("./combat-lookahead.js");
+  global.CombatAI = require("./combat-ai.js");
+  global.CombatEffects = require("./combat-effects.js");
+  global.CombatCombos = require("./combat-combos.js");
+  global.CombatProgression = require("./combat-progression.js");
+  global.CombatLoot = require("./combat-loot.js");
+  global.CombatScripts = require("./combat-scripts.js");
+  global.CombatCampaign = require("./combat-campaign.js");
+  global.Combat = require("./combat.js");
+  global.CombatManager = require("./combat-manager.js");
+
+  const [player = "default", enemy = "basic", battles = "1000", seed] =
+    process.argv.slice(2);
+  const manager = new CombatManager(null, { persistBattleHistory: false });
+  const simulator = new CombatSimulator({
+    manager,
+    battles: Number(battles),
+    ...(seed !== undefined ? { seed } : {}),
+  });
+
+  simulator
+    .run(player.split(","), enemy.split(","))
+    .then((report) => console.log(JSON.stringify(report, null, 2)))
+    .catch((error) => {
+      console.error("Simulation failed:", error);
+      process.exitCode = 1;
+    });
+}
@@ -15,6 +15,42 @@ class Combat {
       animationDuration: 800,
       damageNumberDuration: 2000,
       autoSave: true,
+      defaultAIType: "basic", // Strategy for enemies without an aiType
+      aiLookahead: { depth: 3, nodeBudget: 5000, timeBudget: null }, // Settings for the "hard" AI
+      turnOrder: "priority", // 'priority' (action type) or 'initiative' (fighter speed)
+      seed: null, // RNG seed, random when null
+      rng: null, // Custom generator with the CombatRNG interface
+      headless: typeof document === "undefined", // Rules only - no DOM, animations or delays
+      elementMatrix: {}, // Rows replace the default element effectiveness rows
+      weaknessMultiplier: 2, // Damage taken from elements in a fighter's weaknesses
+      resistanceMultiplier: 0.5, // Damage taken from elements in a fighter's resistances
+      equipmentStats: [
+        "maxHp",
+        "maxEnergy",
+        "attack",
+        "defense",
+        "speed",
+        "evasion",
+        "critChance",
+      ], // Item stats added to fighters
+      weaponDurabilityLoss: 1, // Weapon durability lost per attack
+      items: null, // Item source for the Use Item action: { getItems(fighter), consumeItem(itemId, fighter) }
+      combatLogLimit: 100, // Entries shown in the combat log panel (the battle log keeps all)
+      enableCombos: true, // Bonuses for action sequences a fighter uses on consecutive turns
+      battleMode: "turn", // 'turn', or 'atb' (fighters act when their speed-filled gauge is full)
+      turnTimer: 0, // Milliseconds the player has to choose each turn, 0 waits forever
+      timeoutAction: "defend", // Picked for the player when the timer runs out: 'defend' or 'auto' (AI choice)
+      clockInterval: 100, // Milliseconds between turn timer and ATB gauge ticks
+      atbGaugeRate: 5, // ATB gauge filled per tick on top of the fighter's speed
+      enableHitRolls: true, // Roll attacks for accuracy, critical hits, parries and counters
+      critChance: 5, // Critical hit chance (%) of fighters without their own
+      critMultiplier: 1.5, // Critical hit damage multiplier of fighters without their own
+      parryChance: 20, // Chance (%) a guarding fighter without its own parries a hit outright
+      counterChance: 30, // Chance (%) a guarding fighter without its own strikes back
+      counterPower: 20, // Power of counterattacks
+      enableNarration: true, // Announce turns, actions and results through an ARIA live region
+      narrationLimit: 5, // Announcements kept in the live region
+      reducedMotion: "auto", // true/false, or 'auto' to follow the prefers-reduced-motion setting
       ...options,
     };
 
@@ -22,7 +58,8 @@ class Combat {
     this.state = {
       isActive: false,
       turn: 1,
-      phase: "select", // 'select', 'animate', 'resolve'
+      phase: "select", // 'charging' (ATB), 'select', 'animate', 'resolve'
+      paused: false,
       currentFighter: "player",
       turnType: "player", // For UI styling
       animating: false, // Disable interactions during animations
@@ -31,9 +68,25 @@ class Combat {
         enemy: [],
       },
       fighters: {
-        player: null,
-        enemy: null,
+        player: null, // Player member currently selecting
+        enemy: null, // First standing enemy
       },
+      parties: {
+        player: [],
+        enemy: [],
+      },
+      targets: {
+        enemy: null, // Combatant ID the player's hostile actions aim at
+        ally: null, // Combatant ID the player's ally actions aim at
+      },
+      turnOrder: [], // Initiative order for the current turn
+      seed: null, // Seed the current battle was rolled with
+      actionLog: [], // Every selected action, in selection order
+      battleLog: [], // Structured record of what happened, see recordEvent()
+      replay: null, // Logged actions still to play back during a replay
+      gauges: {}, // ATB gauge (0-100) per combatant ID
+      ready: [], // Combatant IDs whose ATB gauge filled for this turn
+      timer: null, // { duration, remaining } while the turn timer runs
       battleResults: null,
     };
 
@@ -90,6 +143,7 @@ class Combat {
         type: "attack",
         energyCost: 4,
         power: 50,
+        accuracy: 85, // Percent chance to hit before evasion
         effects: ["damage"],
         cooldown: 0,
         description: "Slow attack with high damage",
@@ -106,6 +160,30 @@ class Combat {
         description: "Restore 40% of maximum energy",
         icon: "🔄",
       },
+      use_item: {
+        id: "use_item",
+        name: "Use Item",
+        type: "item",
+        energyCost: 0,
+        power: 0,
+        effects: [], // Replaced by the chosen item's effects
+        cooldown: 0,
+        target: "ally",
+        description: "Use a consumable from the inventory",
+        icon: "🎒",
+      },
+    };
+
+    // Elemental effectiveness: attacking element -> defender element -> multiplier
+    this.elementMatrix = {
+      fire: { ice: 2, earth: 2, water: 0.5, fire: 0.5 },
+      water: { fire: 2, earth: 2, water: 0.5, ice: 0.5 },
+      ice: { earth: 2, lightning: 2, fire: 0.5, ice: 0.5 },
+      lightning: { water: 2, ice: 2, lightning: 0.5, earth: 0 },
+      earth: { lightning: 2, fire: 2, water: 0.5, earth: 0.5 },
+      light: { shadow: 2, light: 0.5 },
+      shadow: { light: 2, shadow: 0.5 },
+      ...this.options.elementMatrix,
     };
 
     // Event callbacks
@@ -117,17 +195,42 @@ class Combat {
       onBattleEnd: null,
       onAnimationStart: null,
       onAnimationEnd: null,
+      onEquipmentBroken: null,
+      onTurnTimeout: null,
     };
 
     // UI element references
     this.elements = {};
 
+    // Interval driving the turn timer and ATB gauges
+    this.clock = null;
+
     // Active effects tracking
     this.activeEffects = {
       player: new Map(),
       enemy: new Map(),
     };
 
+    // Seeded random rolls - every random combat roll goes through this
+    this.rng = this.options.rng || new CombatRNG(this.options.seed);
+
+    // Action and status effect definitions keyed by effect ID
+    this.effects = new CombatEffects({
+      enableDebugLogs: this.options.enableDebugLogs,
+    });
+
+    // Action sequences that earn bonuses on the fighter's consecutive turns
+    this.combos = new CombatCombos({
+      enableDebugLogs: this.options.enableDebugLogs,
+    });
+
+    // Enemy AI strategies keyed by aiType
+    this.ai = new CombatAI({
+      defaultStrategy: this.options.defaultAIType,
+      lookahead: this.options.aiLookahead,
+      enableDebugLogs: this.options.enableDebugLogs,
+    });
+
     this.init();
   }
 
@@ -137,8 +240,13 @@ class Combat {
   init() {
     try {
       this.log("Initializing Enhanced Combat system...");
-      this.bindUIElements();
-      this.setupEventListeners();
+
+      // Headless battles (e.g. under Node) only run the battle rules
+      if (!this.options.headless) {
+        this.bindUIElements();
+        this.setupEventListeners();
+      }
+
       this.log("Enhanced Combat system initialized successfully");
       return true;
     } catch (error) {
@@ -168,6 +276,8 @@ class Combat {
 
     // Action buttons
     this.elements.actionButtons = document.querySelectorAll(".combat-action");
+    this.elements.actionButtonsContainer =
+      document.querySelector(".action-buttons");
 
     // Stats displays
     this.elements.playerStats =
@@ -177,6 +287,10 @@ class Combat {
       document.querySelector(".enemy-fighter .fighter-stats") ||
       document.querySelector(".enemy-stats");
 
+    // Party rosters for battles with more than one fighter per side
+    this.elements.playerParty = document.querySelector(".player-party");
+    this.elements.enemyParty = document.querySelector(".enemy-party");
+
     // Health and energy bars
     this.elements.playerHpBar =
       document.querySelector(".player-fighter .hp-bar-fill") ||
@@ -194,6 +308,17 @@ class Combat {
     // Turn indicator
     this.elements.turnIndicator = document.querySelector(".turn-indicator");
 
+    // Initiative order display
+    this.elements.turnOrder = document.querySelector(".turn-order");
+
+    // Optional turn timer bar
+    this.elements.turnTimer = document.querySelector(".turn-timer");
+
+    // Optional combat log panel
+    this.elements.combatLog = document.querySelector(".combat-log");
+    this.elements.combatLogEntries =
+      document.querySelector(".combat-log-entries") || this.elements.combatLog;
+
     // Tooltip
     this.elements.tooltip = document.querySelector(".combat-tooltip");
 
@@ -206,6 +331,30 @@ class Combat {
       this.elements.animationLayer.className = "animation-layer";
       this.elements.container.appendChild(this.elements.animationLayer);
     }
+
+    // Screen reader narration - created off-screen when the page has none
+    this.elements.liveRegion = document.querySelector(".combat-narration");
+    if (!this.elements.liveRegion && this.elements.container) {
+      this.elements.liveRegion = document.createElement("div");
+      this.elements.liveRegion.className = "combat-narration combat-sr-only";
+      this.elements.container.appendChild(this.elements.liveRegion);
+    }
+    if (this.elements.liveRegion) {
+      this.elements.liveRegion.setAttribute("role", "log");
+      this.elements.liveRegion.setAttribute("aria-live", "polite");
+      this.elements.liveRegion.setAttribute("aria-relevant", "additions");
+    }
+
+    // Arrow keys move between the action buttons (see handleActionKeydown)
+    if (this.elements.actionButtonsContainer) {
+      this.elements.actionButtonsContainer.setAttribute("role", "toolbar");
+      this.elements.actionButtonsContainer.setAttribute(
+        "aria-label",
+        "Combat actions"
+      );
+    }
+
+    this.updateContainerState();
   }
 
   /**
@@ -219,7 +368,7 @@ class Combat {
           this.handleActionClick(e);
         });
 
-        // Tooltip display
+        // Tooltip display, for keyboard focus too
         if (this.options.enableTooltips) {
           button.addEventListener("mouseenter", (e) => {
             this.showTooltip(e.target);
@@ -228,10 +377,51 @@ class Combat {
           button.addEventListener("mouseleave", (e) => {
             this.hideTooltip();
           });
+
+          button.addEventListener("focus", (e) => {
+            this.showTooltip(e.currentTarget);
+          });
+
+          button.addEventListener("blur", (e) => {
+            this.hideTooltip();
+          });
         }
+
+        // Arrow keys move between action buttons
+        button.addEventListener("keydown", (e) => {
+          this.handleActionKeydown(e);
+        });
       });
     }
 
+    // Target selection from party rosters, by click or Enter/Space
+    ["playerParty", "enemyParty"].forEach((key) => {
+      if (this.elements[key]) {
+        this.elements[key].addEventListener("click", (e) => {
+          const card = e.target.closest("[data-combatant]");
+          if (card) {
+            this.setTarget(card.dataset.combatant);
+          }
+        });
+
+        this.elements[key].addEventListener("keydown", (e) => {
+          const card = e.target.closest("[data-combatant]");
+          if (card && (e.key === "Enter" || e.key === " ")) {
+            e.preventDefault();
+            this.setTarget(card.dataset.combatant);
+          }
+        });
+      }
+    });
+
+    // Follow the system reduced motion setting as it changes
+    if (typeof window !== "undefined" && window.matchMedia) {
+      const query = window.matchMedia("(prefers-reduced-motion: reduce)");
+      if (typeof query.addEventListener === "function") {
+        query.addEventListener("change", () => this.updateContainerState());
+      }
+    }
+
     // Keyboard shortcuts
     document.addEventListener("keydown", (e) => {
       this.handleKeyboardInput(e);
@@ -240,18 +430,25 @@ class Combat {
 
   /**
    * Start a new battle
-   * @param {Object} playerFighter - Player fighter configuration
-   * @param {Object} enemyFighter - Enemy fighter configuration
-   * @param {Object} battleOptions - Battle-specific options
+   * @param {Object|Array} playerFighter - Player fighter configuration or party
+   * @param {Object|Array} enemyFighter - Enemy fighter configuration or party
+   * @param {Object} battleOptions - Battle-specific options, plus replay: { actionLog } to play a recorded battle back
    */
   startBattle(playerFighter, enemyFighter, battleOptions = {}) {
     try {
+      const { replay = null, ...options } = battleOptions;
       this.log("Starting new battle...");
 
+      const playerParty = [].concat(playerFighter);
+      const enemyParty = [].concat(enemyFighter);
+
       // Validate fighters
       if (
-        !this.validateFighter(playerFighter) ||
-        !this.validateFighter(enemyFighter)
+        playerParty.length === 0 ||
+        enemyParty.length === 0 ||
+        ![...playerParty, ...enemyParty].every((fighter) =>
+          this.validateFighter(fighter)
+        )
       ) {
         throw new Error("Invalid fighter configuration");
       }
@@ -263,29 +460,58 @@ class Combat {
       this.state.currentFighter = "player";
       this.state.turnType = "player";
       this.state.animating = false;
-      this.state.fighters.player = this.initializeFighter(playerFighter);
-      this.state.fighters.enemy = this.initializeFighter(enemyFighter);
+      this.state.paused = false;
+      this.state.parties = {
+        player: this.initializeParty(playerParty, "player"),
+        enemy: this.initializeParty(enemyParty, "enemy"),
+      };
+      this.state.fighters.player = this.state.parties.player[0];
+      this.state.fighters.enemy = this.state.parties.enemy[0];
+      this.state.targets = { enemy: null, ally: null };
       this.state.selectedActions = { player: [], enemy: [] };
+      this.state.actionLog = [];
+      this.state.battleLog = [];
+      // Replay mode is on before the first turn opens
+      this.state.replay = replay ? { actionLog: [...replay.actionLog] } : null;
+      this.state.timer = null;
+      this.state.ready = [];
+      this.state.gauges = {};
+      this.getAllCombatants().forEach((fighter) => {
+        this.state.gauges[fighter.combatantId] = 0;
+      });
       this.state.battleResults = null;
+      this.clearCombatLog();
 
       // Clear active effects
       this.activeEffects.player.clear();
       this.activeEffects.enemy.clear();
 
       // Apply battle options
-      this.applyBattleOptions(battleOptions);
-
-      // Update UI with enhanced visual states
-      this.updateUI();
-      this.showActionSelection();
-
-      // Trigger callback
-      this.triggerCallback("onTurnStart", {
-        turn: this.state.turn,
-        player: this.state.fighters.player,
-        enemy: this.state.fighters.enemy,
+      this.applyBattleOptions(options);
+
+      // Every battle gets its own seed so it can be replayed
+      this.state.seed =
+        options.seed !== undefined && options.seed !== null
+          ? options.seed
+          : this.rng.int(0, 4294967295);
+      this.rng.setSeed(this.state.seed);
+
+      // Roll initiative for the first turn
+      this.rollInitiative();
+
+      this.recordEvent("battle_start", {
+        player: this.getParty("player").map((fighter) =>
+          this.describeFighter(fighter)
+        ),
+        enemy: this.getParty("enemy").map((fighter) =>
+          this.describeFighter(fighter)
+        ),
+        seed: this.state.seed,
       });
 
+      // Open the first turn (ATB battles charge gauges first)
+      this.beginTurn();
+
       this.log("Battle started successfully");
       return true;
     } catch (error) {
@@ -294,6 +520,74 @@ class Combat {
     }
   }
 
+  /**
+   * Start a replay of a recorded battle. The same fighters, seed and logged
+   * actions reproduce the original results; call playReplayTurn() to step.
+   * @param {Object} replay - { playerParty, enemyParty, seed, actionLog }
+   * @param {Object} battleOptions - Options the original battle used
+   */
+  replayBattle(replay, battleOptions = {}) {
+    if (!replay || !Array.isArray(replay.actionLog)) {
+      console.error("Failed to start replay: no action log");
+      return false;
+    }
+
+    const started = this.startBattle(replay.playerParty, replay.enemyParty, {
+      ...battleOptions,
+      seed: replay.seed,
+      replay: { actionLog: replay.actionLog },
+    });
+
+    if (started) {
+      this.log(`Replaying battle with seed ${replay.seed}`);
+    }
+
+    return started;
+  }
+
+  /**
+   * Play the logged actions of the current turn during a replay
+   * @returns {boolean} - Whether a turn was played
+   */
+  playReplayTurn() {
+    const replay = this.state.replay;
+    if (
+      !replay ||
+      !this.state.isActive ||
+      this.state.phase !== "select" ||
+      this.state.animating
+    ) {
+      return false;
+    }
+
+    const entries = replay.actionLog.filter(
+      (entry) => entry.turn === this.state.turn
+    );
+    if (entries.length === 0) {
+      this.log(`Replay has no actions for turn ${this.state.turn}`);
+      return false;
+    }
+
+    entries.forEach((entry) => {
+      this.selectAction(
+        entry.actorId,
+        entry.actionId,
+        entry.targetId,
+        entry.item || null
+      );
+    });
+    this.processTurn();
+
+    return true;
+  }
+
+  /**
+   * Check whether a replay is being played back
+   */
+  isReplaying() {
+    return this.state.replay !== null;
+  }
+
   /**
    * Validate fighter configuration
    * @param {Object} fighter - Fighter to validate
@@ -307,20 +601,69 @@ class Combat {
     );
   }
 
+  /**
+   * Initialize every fighter of one side, numbering duplicate names
+   * @param {Array} fighters - Fighter configurations
+   * @param {string} side - 'player' or 'enemy'
+   */
+  initializeParty(fighters, side) {
+    const nameCounts = {};
+
+    return fighters.map((fighter, index) => {
+      const member = this.initializeFighter(fighter, side, index);
+
+      nameCounts[member.name] = (nameCounts[member.name] || 0) + 1;
+      if (nameCounts[member.name] > 1) {
+        member.name = `${member.name} ${nameCounts[member.name]}`;
+      }
+
+      return member;
+    });
+  }
+
   /**
    * Initialize fighter with default values
    * @param {Object} fighter - Fighter configuration
+   * @param {string} side - 'player' or 'enemy'
+   * @param {number} index - Position in the side's party
    */
-  initializeFighter(fighter) {
+  initializeFighter(fighter, side = "player", index = 0) {
     const initialized = {
       ...fighter,
+      side: side,
+      partyIndex: index,
+      combatantId: `${side}-${index}`,
       hp: fighter.hp || fighter.maxHp,
-      energy: fighter.energy || fighter.maxEnergy,
+      energy: fighter.energy ?? fighter.maxEnergy,
       actions: fighter.actions || Object.keys(this.defaultActions).slice(0, 4),
       statusEffects: new Map(),
       cooldowns: new Map(),
+      comboChain: [], // Actions used on this fighter's previous turns, for combos
     };
 
+    // Player fighters can use items when the battle has an item source
+    if (
+      side === "player" &&
+      this.options.items &&
+      !initialized.actions.includes("use_item")
+    ) {
+      initialized.actions = [...initialized.actions, "use_item"];
+    }
+
+    // Equipped items add their stats for the whole battle
+    const bonuses =
+      fighter.equipmentBonuses || this.getEquipmentBonuses(fighter);
+    Object.entries(bonuses).forEach(([stat, bonus]) => {
+      initialized[stat] = (fighter[stat] || 0) + bonus;
+    });
+    initialized.equipmentBonuses = bonuses;
+
+    // Fighters starting at full health also get the extra max HP and energy
+    if (initialized.hp === fighter.maxHp) initialized.hp = initialized.maxHp;
+    if (initialized.energy === fighter.maxEnergy) {
+      initialized.energy = initialized.maxEnergy;
+    }
+
     // Merge custom actions with defaults
     if (fighter.customActions) {
       initialized.customActions = {
@@ -343,6 +686,206 @@ class Combat {
     Object.assign(this.options, battleOptions);
   }
 
+  /**
+   * Get every fighter on one side
+   * @param {string} side - 'player' or 'enemy'
+   */
+  getParty(side) {
+    return this.state.parties[side] || [];
+  }
+
+  /**
+   * Get the fighters on one side that are still standing
+   * @param {string} side - 'player' or 'enemy'
+   */
+  getLivingMembers(side) {
+    return this.getParty(side).filter((fighter) => fighter.hp > 0);
+  }
+
+  /**
+   * Get every fighter in the battle, player side first
+   */
+  getAllCombatants() {
+    return [...this.getParty("player"), ...this.getParty("enemy")];
+  }
+
+  /**
+   * Find a fighter by combatant ID (e.g. 'enemy-1')
+   * @param {string} combatantId - Combatant identifier
+   */
+  getCombatant(combatantId) {
+    return (
+      this.getAllCombatants().find(
+        (fighter) => fighter.combatantId === combatantId
+      ) || null
+    );
+  }
+
+  /**
+   * Get the side opposing a fighter's side
+   * @param {string} side - 'player' or 'enemy'
+   */
+  getOpposingSide(side) {
+    return side === "player" ? "enemy" : "player";
+  }
+
+  /**
+   * Resolve a fighter reference: a combatant ID, or a side name meaning the
+   * member of that side selecting next
+   * @param {string} fighterId - Combatant ID or 'player'/'enemy'
+   */
+  resolveFighter(fighterId) {
+    if (fighterId === "player" || fighterId === "enemy") {
+      return (
+        this.getNextSelectingMember(fighterId) || this.state.fighters[fighterId]
+      );
+    }
+    return this.getCombatant(fighterId);
+  }
+
+  /**
+   * Get who an action is aimed at
+   * @param {Object} action - Action definition
+   * @returns {string} - 'enemy', 'all_enemies', 'ally', 'all_allies' or 'self'
+   */
+  getActionTargeting(action) {
+    if (action.target) {
+      return action.target;
+    }
+
+    // Actions that hurt or afflict aim at an enemy, everything else at the user
+    const hostile = this.effects.normalize(action).some((entry) => {
+      if (entry.type === "damage") return true;
+      const definition = this.effects.getStatusEffect(entry.type);
+      return !!definition && (entry.target || definition.target) === "target";
+    });
+
+    return hostile ? "enemy" : "self";
+  }
+
+  /**
+   * Check whether an action is aimed at the user's own side
+   * @param {Object} action - Action definition
+   */
+  isAllyTargeting(action) {
+    const targeting = this.getActionTargeting(action);
+    return targeting === "ally" || targeting === "all_allies";
+  }
+
+  /**
+   * Resolve the fighters an action hits when it executes; a fallen single
+   * target is replaced by the first standing fighter of the same side
+   * @param {Object} actor - Acting fighter
+   * @param {Object} action - Action definition
+   * @param {string|null} targetId - Chosen combatant ID
+   * @returns {Array} - Target fighters
+   */
+  resolveTargets(actor, action, targetId = null) {
+    const allies = this.getLivingMembers(actor.side);
+    const opponents = this.getLivingMembers(this.getOpposingSide(actor.side));
+    const chosen = targetId ? this.getCombatant(targetId) : null;
+
+    switch (this.getActionTargeting(action)) {
+      case "self":
+        return [actor];
+
+      case "all_enemies":
+        return opponents;
+
+      case "all_allies":
+        return allies;
+
+      case "ally":
+        return [allies.includes(chosen) ? chosen : actor];
+
+      case "enemy":
+      default:
+        if (opponents.includes(chosen)) return [chosen];
+        return opponents.length > 0 ? [opponents[0]] : [];
+    }
+  }
+
+  /**
+   * Set the player's target for upcoming actions
+   * @param {string} combatantId - Enemy or ally combatant ID
+   */
+  setTarget(combatantId) {
+    const fighter = this.getCombatant(combatantId);
+    if (!fighter || fighter.hp <= 0) return false;
+
+    this.state.targets[fighter.side === "player" ? "ally" : "enemy"] =
+      combatantId;
+    this.updateUI();
+    this.narrate(`Target: ${this.describeHealth(fighter)}`);
+    return true;
+  }
+
+  /**
+   * Move the enemy target to the next standing enemy
+   * @param {number} step - 1 for the next enemy, -1 for the previous one
+   * @returns {boolean} - Whether the target changed
+   */
+  cycleTarget(step = 1) {
+    const enemies = this.getLivingMembers("enemy");
+    if (enemies.length < 2) return false;
+
+    const current = enemies.findIndex(
+      (enemy) => enemy.combatantId === this.state.targets.enemy
+    );
+    const next = (current + step + enemies.length) % enemies.length;
+    return this.setTarget(enemies[next].combatantId);
+  }
+
+  /**
+   * Get the next standing member of a side that has not chosen an action
+   * @param {string} side - 'player' or 'enemy'
+   */
+  getNextSelectingMember(side) {
+    return (
+      this.getLivingMembers(side).find((fighter) =>
+        this.isAwaitingAction(fighter)
+      ) || null
+    );
+  }
+
+  /**
+   * Check whether a fighter already chose an action this turn
+   * @param {Object} fighter - Fighter to check
+   */
+  hasSelectedAction(fighter) {
+    return this.state.selectedActions[fighter.side].some(
+      (selection) => selection.actorId === fighter.combatantId
+    );
+  }
+
+  /**
+   * Check whether a fighter still has to choose an action this turn. In ATB
+   * battles only fighters whose gauge filled choose.
+   * @param {Object} fighter - Fighter to check
+   */
+  isAwaitingAction(fighter) {
+    return (
+      fighter.hp > 0 &&
+      !this.hasSelectedAction(fighter) &&
+      (!this.isATB() || this.state.ready.includes(fighter.combatantId))
+    );
+  }
+
+  /**
+   * Point the displayed fighters at the current selector and first standing enemy
+   */
+  updateLeadFighters() {
+    ["player", "enemy"].forEach((side) => {
+      const lead =
+        this.getNextSelectingMember(side) ||
+        this.getLivingMembers(side)[0] ||
+        this.getParty(side)[0];
+      if (lead) {
+        this.state.fighters[side] = lead;
+      }
+    });
+  }
+
   /**
    * Handle action button click
    * @param {Event} event - Click event
@@ -351,7 +894,8 @@ class Combat {
     if (
       this.state.phase !== "select" ||
       this.state.currentFighter !== "player" ||
-      this.state.animating
+      this.state.animating ||
+      this.state.replay
     ) {
       return;
     }
@@ -366,18 +910,39 @@ class Combat {
 
   /**
    * Select an action for a fighter
-   * @param {string} fighterId - 'player' or 'enemy'
+   * @param {string} fighterId - 'player'/'enemy' (next member to choose) or a combatant ID
    * @param {string} actionId - ID of action to select
+   * @param {string|null} targetId - Combatant to aim at (defaults to the player's current target)
+   * @param {string|Object|null} item - Item ID (or recorded item) for the Use Item action
    */
-  selectAction(fighterId, actionId) {
+  selectAction(fighterId, actionId, targetId = null, item = null) {
     try {
-      const fighter = this.state.fighters[fighterId];
-      const action = fighter.customActions[actionId];
+      const fighter = this.resolveFighter(fighterId);
+      if (!fighter) {
+        throw new Error(`Fighter not found: ${fighterId}`);
+      }
+
+      const side = fighter.side;
+      let action = fighter.customActions[actionId];
 
       if (!action) {
         throw new Error(`Action not found: ${actionId}`);
       }
 
+      // Item actions need an item - let the player pick one first
+      if (action.type === "item") {
+        const picked = this.resolveItem(fighter, item);
+        if (!picked) {
+          if (item) {
+            this.showError("Item not available!");
+          } else {
+            this.showItemPicker(fighter, actionId);
+          }
+          return false;
+        }
+        action = this.createItemAction(action, picked);
+      }
+
       // Check energy cost
       if (fighter.energy < action.energyCost) {
         this.showError("Not enough energy!");
@@ -393,40 +958,99 @@ class Combat {
         return false;
       }
 
+      // Check disable, silence and seal
+      const blockedBy = this.getBlockingEffect(fighter, actionId, action);
+      if (blockedBy) {
+        const definition = this.effects.getStatusEffect(blockedBy);
+        this.showError(`${definition.name}: can't use ${action.name}!`);
+        return false;
+      }
+
+      // ATB fighters wait for their gauge
+      if (
+        this.isATB() &&
+        !this.hasSelectedAction(fighter) &&
+        !this.isAwaitingAction(fighter)
+      ) {
+        this.showError("Not ready yet!");
+        return false;
+      }
+
       // Check action limit
       if (
-        this.state.selectedActions[fighterId].length >=
-        this.options.maxActionsPerTurn
+        !this.isAwaitingAction(fighter) ||
+        this.state.selectedActions[side].length >=
+          Math.max(this.options.maxActionsPerTurn, this.getParty(side).length)
       ) {
         this.showError("Maximum actions selected!");
         return false;
       }
 
+      // Player actions aim at the chosen target unless one is given
+      if (!targetId && side === "player") {
+        targetId = this.isAllyTargeting(action)
+          ? this.state.targets.ally
+          : this.state.targets.enemy;
+      }
+
+      // Finishing a combo powers up this action
+      const combos = this.getComboProgress(fighter, actionId)
+        .filter((entry) => entry.completes)
+        .map((entry) => entry.combo);
+      if (combos.length > 0) {
+        this.log(
+          `${fighter.name} completed ${combos.map((c) => c.name).join(", ")}`
+        );
+      }
+
       // Add action to selection
-      this.state.selectedActions[fighterId].push({
+      this.state.selectedActions[side].push({
         actionId,
-        action: { ...action },
-        fighter: fighterId,
+        action: this.combos.applyBonuses({ ...action }, combos),
+        fighter: side,
+        actorId: fighter.combatantId,
+        targetId,
+        combos: combos.map((combo) => combo.id),
       });
+      this.state.actionLog.push({
+        turn: this.state.turn,
+        actorId: fighter.combatantId,
+        actionId,
+        targetId,
+        ...(action.item ? { item: action.item } : {}),
+      });
+
+      if (side === "player") {
+        this.hideItemPicker();
+      }
+
+      // Move on to the next party member
+      this.updateLeadFighters();
 
       // Update UI
-      this.updateActionDisplay(fighterId);
+      this.updateActionDisplay(side);
+      this.updateUI();
+
+      if (side === "player" && !this.state.replay) {
+        this.announceSelection(`${fighter.name} will use ${action.name}.`);
+      }
 
       // Trigger callback
       this.triggerCallback("onActionSelect", {
-        fighter: fighterId,
+        fighter: side,
+        actor: fighter,
         action: action,
-        selectedCount: this.state.selectedActions[fighterId].length,
+        targetId,
+        combos,
+        selectedCount: this.state.selectedActions[side].length,
       });
 
-      // Check if turn is complete
+      // Enemies choose once the whole player party has (replays log theirs)
       if (
-        this.state.selectedActions.player.length > 0 &&
-        this.state.selectedActions.enemy.length > 0
+        side === "player" &&
+        !this.state.replay &&
+        !this.getNextSelectingMember("player")
       ) {
-        this.processTurn();
-      } else if (fighterId === "player") {
-        // Generate enemy actions
         this.generateEnemyActions();
       }
 
@@ -438,64 +1062,232 @@ class Combat {
   }
 
   /**
-   * Generate AI actions for enemy
+   * Generate AI actions for every standing enemy using the strategy for its
+   * aiType, then process the turn
    */
   generateEnemyActions() {
-    const enemy = this.state.fighters.enemy;
-    const player = this.state.fighters.player;
+    this.getLivingMembers("enemy").forEach((enemy) => {
+      if (this.isAwaitingAction(enemy)) {
+        this.selectAIAction(enemy);
+      }
+    });
 
-    // Simple AI logic - can be overridden
-    let selectedAction = null;
-
-    // Priority system
-    if (enemy.hp < enemy.maxHp * 0.3 && enemy.energy >= 3) {
-      // Low health - try to heal
-      selectedAction = "heal";
-    } else if (enemy.energy < enemy.maxEnergy * 0.5 && enemy.energy >= 0) {
-      // Low energy - restore energy
-      selectedAction = "restore_energy";
-    } else if (player.hp > player.maxHp * 0.7 && enemy.energy >= 4) {
-      // Player healthy - use heavy attack
-      selectedAction = "heavy_attack";
-    } else if (enemy.energy >= 2) {
-      // Default - light attack
-      selectedAction = "light_attack";
-    } else {
-      // No energy - defend
-      selectedAction = "defend";
+    this.processTurn();
+  }
+
+  /**
+   * Let the AI strategy for a fighter's aiType pick its action and target
+   * @param {Object} fighter - Fighter to choose for (either side)
+   * @returns {boolean} - Whether an action was selected
+   */
+  selectAIAction(fighter) {
+    const availableActions = this.getAIActions(fighter);
+    if (availableActions.length === 0) {
+      // Nothing affordable - this fighter sits the turn out
+      this.log(`${fighter.name} has no available actions`);
+      return false;
     }
 
-    // Fallback to available actions
-    const availableActions = enemy.actions.filter((actionId) => {
-      const action = enemy.customActions[actionId];
-      return (
-        enemy.energy >= action.energyCost &&
-        (!enemy.cooldowns.has(actionId) || enemy.cooldowns.get(actionId) <= 0)
-      );
+    const allies = this.getLivingMembers(fighter.side);
+    const opponents = this.getLivingMembers(this.getOpposingSide(fighter.side));
+    const opponent = this.ai.selectFocus(opponents);
+
+    const selectedAction = this.ai.chooseAction({
+      self: fighter,
+      opponent,
+      allies,
+      opponents,
+      fighterId: fighter.combatantId,
+      availableActions,
+      turn: this.state.turn,
+      state: this.state,
+      combat: this,
     });
 
-    if (
-      availableActions.length > 0 &&
-      !availableActions.includes(selectedAction)
-    ) {
-      selectedAction =
-        availableActions[Math.floor(Math.random() * availableActions.length)];
-    }
+    if (!selectedAction) return false;
 
-    if (selectedAction) {
-      this.selectAction("enemy", selectedAction);
-    }
+    const action = fighter.customActions[selectedAction];
+    const targetId = this.isAllyTargeting(action)
+      ? this.ai.selectAlly(allies).combatantId
+      : opponent && opponent.combatantId;
+    return this.selectAction(fighter.combatantId, selectedAction, targetId);
   }
 
   /**
-   * Process the turn with selected actions
+   * Get the actions a fighter can currently afford and use
+   * @param {Object} fighter - Fighter to check
+   * @returns {Array} - Action IDs off cooldown with enough energy and not
+   * blocked by a status effect
    */
-  processTurn() {
-    try {
-      this.state.phase = "animate";
-      this.state.animating = true;
-      this.state.turnType = "processing";
-      this.log(`Processing turn ${this.state.turn}...`);
+  getAvailableActions(fighter) {
+    return fighter.actions.filter((actionId) => {
+      const action = fighter.customActions[actionId];
+      return (
+        action &&
+        fighter.energy >= action.energyCost &&
+        (!fighter.cooldowns.has(actionId) ||
+          fighter.cooldowns.get(actionId) <= 0) &&
+        (action.type !== "item" || this.getUsableItems(fighter).length > 0) &&
+        !this.getBlockingEffect(fighter, actionId, action)
+      );
+    });
+  }
+
+  /**
+   * Get a fighter's hardest-hitting attack
+   * @param {Object} fighter - Fighter to check
+   * @returns {string|null} - Action ID or null without attacks
+   */
+  getStrongestAttack(fighter) {
+    return fighter.actions.reduce((strongest, actionId) => {
+      const action = fighter.customActions[actionId];
+      if (!action || action.type !== "attack") return strongest;
+      return !strongest || action.power > fighter.customActions[strongest].power
+        ? actionId
+        : strongest;
+    }, null);
+  }
+
+  /**
+   * Get the actions AI strategies choose from - available actions minus
+   * item use, which needs a picked item
+   * @param {Object} fighter - Fighter to check
+   */
+  getAIActions(fighter) {
+    return this.getAvailableActions(fighter).filter(
+      (actionId) => fighter.customActions[actionId].type !== "item"
+    );
+  }
+
+  /**
+   * Get the items a fighter can use, less those already picked this turn
+   * @param {Object} fighter - Fighter to check
+   * @returns {Array} - [{ id, name, quantity, effects, ... }] from the item source
+   */
+  getUsableItems(fighter) {
+    const source = this.options.items;
+    if (!source) return [];
+
+    const reserved = {};
+    this.state.selectedActions[fighter.side].forEach(({ action }) => {
+      if (action.itemId) {
+        reserved[action.itemId] = (reserved[action.itemId] || 0) + 1;
+      }
+    });
+
+    return source
+      .getItems(fighter)
+      .map((item) => ({
+        ...item,
+        quantity: item.quantity - (reserved[item.id] || 0),
+      }))
+      .filter((item) => item.quantity > 0);
+  }
+
+  /**
+   * Find the item a Use Item action refers to
+   * @param {Object} fighter - Fighter using the item
+   * @param {string|Object|null} item - Item ID, or a recorded item during replays
+   * @returns {Object|null} - Item with `effects`
+   */
+  resolveItem(fighter, item) {
+    if (!item) return null;
+
+    // Replays use the recorded item - the inventory has moved on since
+    if (typeof item === "object" && this.state.replay) return item;
+
+    const itemId = typeof item === "object" ? item.id : item;
+    return this.getUsableItems(fighter).find((entry) => entry.id === itemId);
+  }
+
+  /**
+   * Build the action for using a specific item
+   * @param {Object} action - Use Item action definition
+   * @param {Object} item - Item with `effects`
+   */
+  createItemAction(action, item) {
+    const recorded = {
+      id: item.id,
+      name: item.name,
+      effects: item.effects || [],
+      target: item.target,
+    };
+
+    // Items that hurt are thrown at an enemy, the rest go to the chosen ally
+    const hostile =
+      this.getActionTargeting({ effects: recorded.effects }) === "enemy";
+
+    return {
+      ...action,
+      name: item.name,
+      description: item.description || action.description,
+      effects: recorded.effects,
+      target: item.target || (hostile ? "enemy" : action.target),
+      itemId: item.id,
+      item: recorded,
+    };
+  }
+
+  /**
+   * Register a custom enemy AI strategy
+   * @param {string} name - aiType the strategy handles
+   * @param {Object} strategy - Strategy with scoreAction(option, context) or chooseAction(context)
+   */
+  registerAIStrategy(name, strategy) {
+    this.ai.registerStrategy(name, strategy);
+  }
+
+  /**
+   * Register a custom status effect
+   * @param {string} effectId - Name used in action `effects` lists
+   * @param {Object} definition - Status definition (see CombatEffects.registerStatusEffect)
+   */
+  registerStatusEffect(effectId, definition) {
+    this.effects.registerStatusEffect(effectId, definition);
+  }
+
+  /**
+   * Register a custom instant action effect
+   * @param {string} effectId - Name used in action `effects` lists
+   * @param {Object} definition - { resolve(context) }
+   */
+  registerActionEffect(effectId, definition) {
+    this.effects.registerActionEffect(effectId, definition);
+  }
+
+  /**
+   * Register a custom combo
+   * @param {string} comboId - Combo identifier
+   * @param {Object} definition - Combo definition (see CombatCombos.registerCombo)
+   */
+  registerCombo(comboId, definition) {
+    this.combos.registerCombo(comboId, definition);
+  }
+
+  /**
+   * Find how far an action would take each combo if a fighter used it next.
+   * Combos follow the actions the fighter used on its previous turns.
+   * @param {Object} fighter - Fighter about to queue the action
+   * @param {string} actionId - Action identifier
+   * @returns {Array} - [{ combo, step, completes }] (see CombatCombos.getProgress)
+   */
+  getComboProgress(fighter, actionId) {
+    if (!this.options.enableCombos) return [];
+
+    return this.combos.getProgress(fighter.comboChain || [], actionId);
+  }
+
+  /**
+   * Process the turn with selected actions
+   */
+  processTurn() {
+    try {
+      this.hideItemPicker();
+      this.state.timer = null;
+      this.state.phase = "animate";
+      this.state.animating = true;
+      this.state.turnType = "processing";
+      this.log(`Processing turn ${this.state.turn}...`);
 
       // Update UI to show processing state
       this.updateUI();
@@ -525,11 +1317,115 @@ class Combat {
       })),
     ];
 
-    // Sort by action priority (defense first, then attacks)
-    return allActions.sort((a, b) => {
-      const priorityOrder = { defense: 0, buff: 1, recovery: 2, attack: 3 };
-      return priorityOrder[a.action.type] - priorityOrder[b.action.type];
+    return this.orderActions(allActions);
+  }
+
+  /**
+   * Order action entries using the configured turn order mode
+   * @param {Array} actions - Entries with an `action` and an `actor` or `actorId`
+   */
+  orderActions(actions) {
+    return this.options.turnOrder === "initiative"
+      ? this.sortActionsByInitiative(actions)
+      : this.sortActionsByPriority(actions);
+  }
+
+  /**
+   * Sort action entries by the acting fighter's speed, fastest first; equal
+   * speeds fall back to this turn's initiative rolls
+   * @param {Array} actions - Entries with an `actor` or `actorId`
+   */
+  sortActionsByInitiative(actions) {
+    const rolls = new Map(
+      this.state.turnOrder.map((entry) => [entry.combatantId, entry.roll])
+    );
+    const actorOf = (entry) => entry.actor || this.getCombatant(entry.actorId);
+
+    return actions.sort((a, b) => {
+      const actorA = actorOf(a);
+      const actorB = actorOf(b);
+      return (
+        this.getFighterSpeed(actorB) - this.getFighterSpeed(actorA) ||
+        (rolls.get(actorB.combatantId) || 0) -
+          (rolls.get(actorA.combatantId) || 0)
+      );
+    });
+  }
+
+  /**
+   * Roll initiative for every standing fighter and store this turn's order
+   * @returns {Array} - [{ combatantId, name, side, speed, roll }] fastest first
+   */
+  rollInitiative() {
+    this.state.turnOrder = this.getAllCombatants()
+      .filter((fighter) => fighter.hp > 0)
+      .map((fighter) => ({
+        combatantId: fighter.combatantId,
+        name: fighter.name,
+        side: fighter.side,
+        speed: this.getFighterSpeed(fighter),
+        roll: this.rng.next(), // Only decides ties
+      }))
+      .sort((a, b) => b.speed - a.speed || b.roll - a.roll);
+
+    return this.state.turnOrder;
+  }
+
+  /**
+   * Get a fighter's speed (equipment bonuses are added at battle start)
+   * @param {Object} fighter - Fighter to check
+   */
+  getFighterSpeed(fighter) {
+    return fighter.speed || 0;
+  }
+
+  /**
+   * Total the equipment stats a fighter gains from its items
+   * @param {Object} fighter - Fighter with an optional `equipment` list or slot map
+   * @returns {Object} - Stat name -> bonus, for options.equipmentStats
+   */
+  getEquipmentBonuses(fighter) {
+    const bonuses = {};
+    this.options.equipmentStats.forEach((stat) => {
+      const bonus = this.getEquipmentBonus(fighter, stat);
+      if (bonus) bonuses[stat] = bonus;
     });
+    return bonuses;
+  }
+
+  /**
+   * Sum a stat across a fighter's equipped items
+   * @param {Object} fighter - Fighter with an optional `equipment` list or slot map
+   * @param {string} stat - Stat name, e.g. 'speed'
+   */
+  getEquipmentBonus(fighter, stat) {
+    if (!fighter.equipment) return 0;
+
+    return Object.values(fighter.equipment).reduce((total, item) => {
+      if (!item) return total;
+      const stats =
+        typeof item.getEffectiveStats === "function"
+          ? item.getEffectiveStats()
+          : item.stats || {};
+      return total + (Number(stats[stat]) || 0);
+    }, 0);
+  }
+
+  /**
+   * Sort action entries by action priority (defense first, then attacks);
+   * types without a priority go with the attacks
+   * @param {Array} actions - Entries with an `action` definition
+   */
+  sortActionsByPriority(actions) {
+    const priorityOrder = {
+      defense: 0,
+      buff: 1,
+      recovery: 2,
+      item: 2,
+      attack: 3,
+    };
+    const priorityOf = (entry) => priorityOrder[entry.action.type] ?? 3;
+    return actions.sort((a, b) => priorityOf(a) - priorityOf(b));
   }
 
   /**
@@ -542,6 +1438,12 @@ class Combat {
       await this.wait(this.options.animationDuration);
     }
 
+    // Turns nobody acted in still end asynchronously, so back-to-back empty
+    // ATB turns don't pile up on the stack
+    if (actionOrder.length === 0) {
+      await this.wait(0);
+    }
+
     // Resolve turn
     this.resolveTurn();
   }
@@ -551,37 +1453,84 @@ class Combat {
    * @param {Object} actionData - Action data to execute
    */
   async executeAction(actionData) {
-    const { fighter: fighterId, action, actionId } = actionData;
-    const attacker = this.state.fighters[fighterId];
-    const defender =
-      this.state.fighters[fighterId === "player" ? "enemy" : "player"];
+    const { fighter: side, action, actionId } = actionData;
+    const attacker =
+      this.getCombatant(actionData.actorId) || this.state.fighters[side];
+
+    // Fighters defeated earlier in the turn lose their action
+    if (!attacker || attacker.hp <= 0) {
+      return null;
+    }
+
+    const targets = this.resolveTargets(attacker, action, actionData.targetId);
+    const defender = targets[0] || null;
 
     try {
-      // Deduct energy cost
-      attacker.energy = Math.max(0, attacker.energy - action.energyCost);
+      let result;
+      const preventedBy = this.getPreventingEffect(attacker, actionId, action);
 
-      // Apply cooldown
-      if (action.cooldown > 0) {
-        attacker.cooldowns.set(actionId, action.cooldown);
-      }
+      if (preventedBy) {
+        // Stunned fighters, and fighters whose action got blocked after they
+        // picked it, lose the action without paying for it
+        result = this.createPreventedResult(attacker, preventedBy, action);
+        result.targets = [];
+
+        // A lost turn breaks the fighter's combo chain
+        attacker.comboChain = [];
+      } else {
+        attacker.lastActionId = actionId;
+        attacker.comboChain = this.combos.advanceChain(
+          attacker.comboChain || [],
+          actionId,
+          (actionData.combos || []).length > 0
+        );
+
+        // Deduct energy and start cooldown
+        this.payActionCost(attacker, actionId, action);
+
+        // Roll each hit, then execute action effects against each target
+        const outcomes = [];
+        for (const target of targets) {
+          const roll = this.rollHit(action, attacker, target);
+          outcomes.push({
+            target,
+            result: await this.applyActionEffects(
+              action,
+              attacker,
+              target,
+              roll
+            ),
+          });
+        }
+        result = this.mergeActionResults(outcomes);
 
-      // Execute action effects
-      const result = await this.applyActionEffects(action, attacker, defender);
+        // Replays play back a battle whose wear and items were already counted
+        if (action.type === "attack" && !this.isReplaying()) {
+          this.wearWeapon(attacker);
+        }
+        if (action.itemId && !this.isReplaying()) {
+          this.options.items.consumeItem(action.itemId, attacker);
+        }
+      }
 
       // Trigger animation
-      if (this.options.enableAnimations) {
+      if (this.options.enableAnimations && !this.options.headless) {
         await this.playActionAnimation(actionData, result);
       }
 
       // Update UI immediately after action
+      this.updateLeadFighters();
       this.updateUI();
 
+      this.recordAction(attacker, actionData, result);
+
       // Trigger callback
       this.triggerCallback("onActionExecute", {
         action: actionData,
         result: result,
         attacker: attacker,
         defender: defender,
+        targets: targets,
       });
 
       return result;
@@ -592,65 +1541,550 @@ class Combat {
   }
 
   /**
-   * Apply action effects
-   * @param {Object} action - Action definition
-   * @param {Object} attacker - Acting fighter
-   * @param {Object} defender - Target fighter
+   * Combine per-target results into one action result
+   * @param {Array} outcomes - [{ target, result }]
+   * @returns {Object} - Summed result with a `targets` breakdown
+   */
+  mergeActionResults(outcomes) {
+    const merged = this.createActionResult();
+    merged.targets = [];
+
+    outcomes.forEach(({ target, result }) => {
+      [
+        "damage",
+        "healing",
+        "energyRestore",
+        "reflected",
+        "absorbed",
+        "countered",
+      ].forEach((key) => {
+        if (result[key]) {
+          merged[key] = (merged[key] || 0) + result[key];
+        }
+      });
+      merged.blocked = merged.blocked || result.blocked;
+      merged.critical = merged.critical || result.critical;
+      merged.parried = merged.parried || result.parried;
+      merged.effectiveness = merged.effectiveness || result.effectiveness;
+      merged.effects.push(...result.effects);
+      merged.applied.push(...result.applied);
+      merged.targets.push({ combatantId: target.combatantId, ...result });
+    });
+
+    // An action misses when it misses every target
+    merged.missed =
+      outcomes.length > 0 && outcomes.every(({ result }) => result.missed);
+
+    return merged;
+  }
+
+  /**
+   * Drain durability from a fighter's weapon after an attack
+   * @param {Object} fighter - Attacking fighter
+   */
+  wearWeapon(fighter) {
+    const weapon = this.getWeapon(fighter);
+    if (
+      !weapon ||
+      weapon.durability === null ||
+      weapon.durability === undefined ||
+      typeof weapon.loseDurability !== "function"
+    ) {
+      return;
+    }
+
+    const wasIntact = weapon.durability > 0;
+    weapon.loseDurability(this.options.weaponDurabilityLoss);
+
+    if (wasIntact && weapon.durability === 0) {
+      this.log(`${fighter.name}'s ${weapon.name} broke`);
+      this.triggerCallback("onEquipmentBroken", { fighter, item: weapon });
+    }
+  }
+
+  /**
+   * Get a fighter's equipped weapon
+   * @param {Object} fighter - Fighter with an optional `equipment` list or slot map
+   * @returns {Object|null} - Weapon item
+   */
+  getWeapon(fighter) {
+    const equipment = fighter.equipment;
+    if (!equipment) return null;
+
+    if (Array.isArray(equipment)) {
+      return equipment.find((item) => item && item.type === "weapon") || null;
+    }
+    return equipment.weapon || null;
+  }
+
+  /**
+   * Deduct an action's energy cost and start its cooldown
+   * @param {Object} fighter - Acting fighter
+   * @param {string} actionId - Action identifier
+   * @param {Object} action - Action definition
+   */
+  payActionCost(fighter, actionId, action) {
+    fighter.energy = Math.max(0, fighter.energy - action.energyCost);
+
+    if (action.cooldown > 0) {
+      fighter.cooldowns.set(actionId, action.cooldown);
+    }
+  }
+
+  /**
+   * Perform an action synchronously - pays its cost and resolves its effects
+   * unless the fighter is down or a status effect prevents it from acting.
+   * Used by AI simulations.
+   * @param {Object} attacker - Acting fighter
+   * @param {string} actionId - Action identifier
+   * @param {Object} action - Action definition
+   * @param {Object} defender - Target fighter
+   */
+  performAction(attacker, actionId, action, defender) {
+    if (attacker.hp <= 0) {
+      return this.createActionResult();
+    }
+
+    const preventedBy = this.getPreventingEffect(attacker, actionId, action);
+    if (preventedBy) {
+      return this.createPreventedResult(attacker, preventedBy, action);
+    }
+
+    attacker.lastActionId = actionId;
+    this.payActionCost(attacker, actionId, action);
+    return this.resolveActionEffects(action, attacker, defender);
+  }
+
+  /**
+   * Find an active status effect that stops a fighter from acting, or from
+   * using the given action
+   * @param {Object} fighter - Fighter to check
+   * @param {string} actionId - Action about to be used (optional)
+   * @param {Object} action - Action definition (optional)
+   * @returns {string|null} - Effect ID or null
+   */
+  getPreventingEffect(fighter, actionId = null, action = null) {
+    for (const [effectId, effect] of fighter.statusEffects) {
+      const definition = this.effects.getStatusEffect(effectId);
+      if (definition && definition.preventsAction && effect.duration > 0) {
+        return effectId;
+      }
+    }
+    return actionId ? this.getBlockingEffect(fighter, actionId, action) : null;
+  }
+
+  /**
+   * Find an active status effect that blocks one action (disable, silence,
+   * seal) through its blocksAction() hook
+   * @param {Object} fighter - Fighter to check
+   * @param {string} actionId - Action identifier
+   * @param {Object} action - Action definition (default: the fighter's)
+   * @returns {string|null} - Effect ID or null
+   */
+  getBlockingEffect(fighter, actionId, action = null) {
+    action = action || fighter.customActions[actionId];
+    if (!action) return null;
+
+    let blockedBy = null;
+    this.forEachStatusHook(fighter, "blocksAction", (hook, context) => {
+      if (!blockedBy && hook(action, actionId, context)) {
+        blockedBy = context.effectId;
+      }
+    });
+    return blockedBy;
+  }
+
+  /**
+   * Build the result of an action that was prevented
+   * @param {Object} fighter - Fighter that could not act
+   * @param {string} effectId - Effect that prevented the action
+   * @param {Object} action - Action that was blocked (optional)
+   */
+  createPreventedResult(fighter, effectId, action = null) {
+    const definition = this.effects.getStatusEffect(effectId);
+    const result = this.createActionResult();
+    result.prevented = effectId;
+    result.effects.push(
+      action && !definition.preventsAction
+        ? `${fighter.name} can't use ${action.name} (${definition.name})`
+        : `${fighter.name} cannot act (${definition.name})`
+    );
+    return result;
+  }
+
+  /**
+   * Create an empty action result
+   */
+  createActionResult() {
+    return {
+      damage: 0,
+      healing: 0,
+      energyRestore: 0,
+      blocked: false,
+      missed: false,
+      critical: false,
+      parried: false, // A guarding defender turned the hit aside
+      effectiveness: null, // 'super_effective', 'resisted' or 'immune' for elemental hits
+      effects: [], // Messages from applied status effects
+      applied: [], // { effectId, target: 'self'|'target' } for each status applied
+    };
+  }
+
+  /**
+   * Apply action effects
+   * @param {Object} action - Action definition
+   * @param {Object} attacker - Acting fighter
+   * @param {Object} defender - Target fighter
+   * @param {Object|null} roll - Hit roll from rollHit()
+   */
+  async applyActionEffects(action, attacker, defender, roll = null) {
+    return this.resolveActionEffects(action, attacker, defender, roll);
+  }
+
+  /**
+   * Resolve action effects synchronously - shared by battles and AI simulations
+   * @param {Object} action - Action definition
+   * @param {Object} attacker - Acting fighter
+   * @param {Object} defender - Target fighter
+   * @param {Object|null} roll - Hit roll from rollHit(); without one, attacks resolve with expected values
+   */
+  resolveActionEffects(action, attacker, defender, roll = null) {
+    const result = this.createActionResult();
+
+    // A missed attack lands none of its effects
+    if (roll && roll.missed) {
+      result.missed = true;
+      return result;
+    }
+
+    // Healing and self buffs land on the ally an action is aimed at
+    const recipient = this.isAllyTargeting(action) ? defender : attacker;
+
+    this.effects.normalize(action).forEach((entry) => {
+      const actionEffect = this.effects.getActionEffect(entry.type);
+      if (actionEffect) {
+        actionEffect.resolve({
+          combat: this,
+          action,
+          entry,
+          attacker,
+          defender,
+          recipient,
+          result,
+          roll,
+        });
+        return;
+      }
+
+      if (this.effects.getStatusEffect(entry.type)) {
+        this.applyStatusEffect(
+          entry,
+          action,
+          attacker,
+          defender,
+          result,
+          recipient
+        );
+        return;
+      }
+
+      this.log(`Unknown effect: ${entry.type}`);
+    });
+
+    return result;
+  }
+
+  /**
+   * Apply a status effect from an action entry
+   * @param {Object} entry - Normalized effect entry ({ type, duration, value, target })
+   * @param {Object} action - Action applying the effect
+   * @param {Object} attacker - Acting fighter
+   * @param {Object} defender - Target fighter
+   * @param {Object} result - Action result to record into
+   * @param {Object} recipient - Fighter receiving 'self' effects (defaults to attacker)
+   */
+  applyStatusEffect(
+    entry,
+    action,
+    attacker,
+    defender,
+    result,
+    recipient = attacker
+  ) {
+    const definition = this.effects.getStatusEffect(entry.type);
+    const target = entry.target || definition.target;
+    const fighter = target === "self" ? recipient : defender;
+    const duration =
+      entry.duration ?? this.effects.resolveParam(definition.duration, action);
+    const value =
+      entry.value ?? this.effects.resolveParam(definition.value, action);
+
+    const instance = this.addEffect(fighter, entry.type, duration, value);
+    if (!instance) return;
+
+    result.applied.push({ effectId: entry.type, target });
+
+    if (typeof definition.onApply === "function") {
+      const message = definition.onApply({
+        combat: this,
+        effectId: entry.type,
+        instance,
+        fighter,
+        source: attacker,
+        action,
+      });
+      if (message) {
+        result.effects.push(message);
+      }
+    }
+  }
+
+  /**
+   * Deal an action's damage, running the defender's status effect hooks and
+   * guard reactions
+   * @param {Object} action - Attack action
+   * @param {Object} attacker - Attacking fighter
+   * @param {Object} defender - Defending fighter
+   * @param {Object} result - Action result to record into
+   * @param {Object|null} roll - Hit roll from rollHit(); without one, misses, parries and counters count by their odds
+   */
+  applyDamage(action, attacker, defender, result, roll = null) {
+    const breakdown = this.calculateDamageBreakdown(
+      action,
+      attacker,
+      defender,
+      roll
+    );
+    let damage = breakdown.total;
+    result.effectiveness = this.getEffectivenessLabel(breakdown.element);
+
+    // Guard reactions depend on the guard the incoming modifiers may consume
+    const expected = !roll && this.isRolledAttack(action, attacker, defender);
+    const reactions = this.getReactionChances(defender);
+    const hitChance = expected
+      ? this.getHitChance(action, attacker, defender)
+      : 1;
+
+    // Incoming modifiers (guard, shield) may reduce or absorb the hit
+    this.forEachStatusHook(
+      defender,
+      "modifyIncomingDamage",
+      (hook, context) => {
+        damage = Math.max(
+          0,
+          hook(damage, { ...context, other: attacker, result })
+        );
+        if (context.definition.consumeOnHit) {
+          context.remove();
+        }
+      }
+    );
+
+    // A parried hit deals nothing
+    if (roll && roll.parried) {
+      damage = 0;
+      result.parried = true;
+    } else if (expected) {
+      damage = Math.round(damage * hitChance * (1 - reactions.parry));
+    }
+    result.critical = Boolean(roll && roll.critical && !roll.parried);
+
+    defender.hp = Math.max(0, defender.hp - damage);
+    result.damage += damage;
+    result.breakdown = {
+      ...breakdown,
+      block: breakdown.total - damage,
+      total: damage,
+    };
+
+    // On-hit reactions (reflect) see the final damage
+    this.forEachStatusHook(defender, "onHit", (hook, context) => {
+      hook({ ...context, other: attacker, damage, result });
+    });
+
+    // A guarding defender still standing may strike back
+    const counterShare = roll
+      ? Number(roll.countered)
+      : expected
+      ? hitChance * (1 - reactions.parry) * reactions.counter
+      : 0;
+    if (counterShare > 0 && defender.hp > 0) {
+      const countered = Math.round(
+        this.calculateCounterDamage(defender, attacker) * counterShare
+      );
+      attacker.hp = Math.max(0, attacker.hp - countered);
+      result.countered = (result.countered || 0) + countered;
+    }
+  }
+
+  /**
+   * Check whether an action's hits are rolled - actions that deal damage to
+   * an opponent, while hit rolls are enabled
+   * @param {Object} action - Action definition
+   * @param {Object} attacker - Acting fighter
+   * @param {Object} defender - Target fighter
+   */
+  isRolledAttack(action, attacker, defender) {
+    return (
+      this.options.enableHitRolls &&
+      Boolean(defender) &&
+      defender.side !== attacker.side &&
+      this.effects.getEffectTypes(action).includes("damage")
+    );
+  }
+
+  /**
+   * Get the chance an attack hits: action accuracy minus defender evasion
+   * @param {Object} action - Action with an optional `accuracy` (percent, default 100)
+   * @param {Object} attacker - Acting fighter
+   * @param {Object} defender - Fighter with an optional `evasion` (percent)
+   * @returns {number} - Chance from 0 to 1
+   */
+  getHitChance(action, attacker, defender) {
+    if (!this.isRolledAttack(action, attacker, defender)) return 1;
+
+    const accuracy = action.accuracy ?? 100;
+    return Math.min(100, Math.max(0, accuracy - (defender.evasion || 0))) / 100;
+  }
+
+  /**
+   * Get a fighter's critical hit chance
+   * @param {Object} fighter - Fighter with an optional `critChance` (percent)
+   * @returns {number} - Chance from 0 to 1
+   */
+  getCritChance(fighter) {
+    const chance = fighter.critChance ?? this.options.critChance;
+    return Math.min(100, Math.max(0, chance)) / 100;
+  }
+
+  /**
+   * Get a fighter's critical hit damage multiplier
+   * @param {Object} fighter - Fighter with an optional `critMultiplier`
+   */
+  getCritMultiplier(fighter) {
+    return fighter.critMultiplier ?? this.options.critMultiplier;
+  }
+
+  /**
+   * Check whether a fighter is guarding - has an active status flagged `guard`
+   * @param {Object} fighter - Fighter to check
+   */
+  isGuarding(fighter) {
+    for (const [effectId, effect] of fighter.statusEffects) {
+      const definition = this.effects.getStatusEffect(effectId);
+      if (definition && definition.guard && effect.duration > 0) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get how likely a fighter is to parry or counter an attack - both are
+   * zero unless it's guarding
+   * @param {Object} fighter - Fighter with optional `parryChance` and `counterChance` (percent)
+   * @returns {Object} - { parry, counter } chances from 0 to 1; counter applies to hits not parried
+   */
+  getReactionChances(fighter) {
+    if (!this.options.enableHitRolls || !this.isGuarding(fighter)) {
+      return { parry: 0, counter: 0 };
+    }
+
+    const chance = (value) => Math.min(100, Math.max(0, value)) / 100;
+    return {
+      parry: chance(fighter.parryChance ?? this.options.parryChance),
+      counter: chance(fighter.counterChance ?? this.options.counterChance),
+    };
+  }
+
+  /**
+   * Roll whether an attack hits, whether it's critical and how a guarding
+   * defender reacts. Only battles roll - AI simulations resolve attacks with
+   * expected values, so they never draw from the battle's RNG.
+   * @param {Object} action - Action definition
+   * @param {Object} attacker - Acting fighter
+   * @param {Object} defender - Target fighter
+   * @returns {Object|null} - { missed, critical, parried, countered }, null for actions that aren't rolled
+   */
+  rollHit(action, attacker, defender) {
+    if (!this.isRolledAttack(action, attacker, defender)) return null;
+
+    const roll = {
+      missed: !this.rng.chance(this.getHitChance(action, attacker, defender)),
+      critical: false,
+      parried: false,
+      countered: false,
+    };
+    if (roll.missed) return roll;
+
+    roll.critical = this.rng.chance(this.getCritChance(attacker));
+
+    const reactions = this.getReactionChances(defender);
+    if (reactions.parry > 0 || reactions.counter > 0) {
+      roll.parried = this.rng.chance(reactions.parry);
+      roll.countered = !roll.parried && this.rng.chance(reactions.counter);
+    }
+
+    return roll;
+  }
+
+  /**
+   * Calculate the damage of a counterattack
+   * @param {Object} fighter - Countering fighter, with an optional `counterPower`
+   * @param {Object} target - Fighter whose attack is countered
+   */
+  calculateCounterDamage(fighter, target) {
+    const counter = {
+      id: "counter",
+      name: "Counter",
+      type: "attack",
+      power: fighter.counterPower ?? this.options.counterPower,
+      effects: ["damage"],
+    };
+    return this.calculateDamage(counter, fighter, target, { critical: false });
+  }
+
+  /**
+   * Restore a fighter's health, capped at max HP
+   * @param {Object} fighter - Fighter to heal
+   * @param {number} amount - Health to restore
+   * @returns {number} - Health actually gained
    */
-  async applyActionEffects(action, attacker, defender) {
-    const result = {
-      damage: 0,
-      healing: 0,
-      energyRestore: 0,
-      blocked: false,
-      effects: [],
-    };
+  healFighter(fighter, amount) {
+    const before = fighter.hp;
+    fighter.hp = Math.min(fighter.maxHp, fighter.hp + amount);
+    return fighter.hp - before;
+  }
 
-    for (const effect of action.effects) {
-      switch (effect) {
-        case "damage":
-          result.damage = this.calculateDamage(action, attacker, defender);
-          if (this.hasActiveEffect(defender, "block_next_attack")) {
-            result.damage = Math.floor(result.damage * 0.5);
-            result.blocked = true;
-            this.removeEffect(defender, "block_next_attack");
-          }
-          defender.hp = Math.max(0, defender.hp - result.damage);
-          break;
-
-        case "restore_hp":
-          result.healing = Math.floor(attacker.maxHp * (action.power / 100));
-          attacker.hp = Math.min(attacker.maxHp, attacker.hp + result.healing);
-          break;
-
-        case "restore_energy":
-          result.energyRestore = Math.floor(
-            attacker.maxEnergy * (action.power / 100)
-          );
-          attacker.energy = Math.min(
-            attacker.maxEnergy,
-            attacker.energy + result.energyRestore
-          );
-          break;
-
-        case "block_next_attack":
-          this.addEffect(attacker, "block_next_attack", 1);
-          result.effects.push("Defense stance active");
-          break;
-
-        case "boost_damage":
-          this.addEffect(
-            attacker,
-            "boost_damage",
-            action.duration || 3,
-            action.power
-          );
-          result.effects.push(`Damage boosted by ${action.power}%`);
-          break;
-      }
-    }
+  /**
+   * Call a hook on each active status effect of a fighter that defines it
+   * @param {Object} fighter - Fighter whose effects to visit
+   * @param {string} hookName - Definition method name
+   * @param {Function} callback - (hook, context) with context { combat, effectId, instance, definition, fighter, remove }
+   */
+  forEachStatusHook(fighter, hookName, callback) {
+    Array.from(fighter.statusEffects.entries()).forEach(
+      ([effectId, instance]) => {
+        const definition = this.effects.getStatusEffect(effectId);
+        if (
+          !definition ||
+          typeof definition[hookName] !== "function" ||
+          instance.duration <= 0 ||
+          !fighter.statusEffects.has(effectId)
+        ) {
+          return;
+        }
 
-    return result;
+        callback(definition[hookName].bind(definition), {
+          combat: this,
+          effectId,
+          instance,
+          definition,
+          fighter,
+          remove: () => this.removeEffect(fighter, effectId),
+        });
+      }
+    );
   }
 
   /**
@@ -658,35 +2092,195 @@ class Combat {
    * @param {Object} action - Attack action
    * @param {Object} attacker - Attacking fighter
    * @param {Object} defender - Defending fighter
+   * @param {Object|null} roll - Hit roll from rollHit(); without one, critical hits count by their odds
+   */
+  calculateDamage(action, attacker, defender, roll = null) {
+    return this.calculateDamageBreakdown(action, attacker, defender, roll)
+      .total;
+  }
+
+  /**
+   * Calculate damage and how each step changed it
+   * @param {Object} action - Attack action
+   * @param {Object} attacker - Attacking fighter
+   * @param {Object} defender - Defending fighter
+   * @param {Object|null} roll - Hit roll from rollHit(); without one, critical hits count by their odds
+   * @returns {Object} - { base, boost, combo, defense, element, critical, total } (defense is the amount it removed, element the multiplier, critical the amount a critical hit added)
+   */
+  calculateDamageBreakdown(action, attacker, defender, roll = null) {
+    const base = action.power + attacker.attack;
+    let boosted = base;
+
+    // Apply outgoing modifiers (damage boosts) from the attacker's effects
+    this.forEachStatusHook(
+      attacker,
+      "modifyOutgoingDamage",
+      (hook, context) => {
+        boosted = hook(boosted, context);
+      }
+    );
+
+    // Combo finishers hit harder
+    const comboed = Math.round(boosted * (1 + (action.comboBonus || 0)));
+
+    // Apply defense, then elemental weakness or resistance
+    const defended = Math.max(1, comboed - defender.defense);
+    const element = this.getElementMultiplier(action, defender);
+    const elemental = Math.round(defended * element);
+
+    // Critical hits multiply the final damage
+    let critFactor = 1;
+    if (roll) {
+      critFactor = roll.critical ? this.getCritMultiplier(attacker) : 1;
+    } else if (this.isRolledAttack(action, attacker, defender)) {
+      critFactor =
+        1 +
+        this.getCritChance(attacker) * (this.getCritMultiplier(attacker) - 1);
+    }
+    const total = Math.round(elemental * critFactor);
+
+    return {
+      base,
+      boost: boosted - base,
+      combo: comboed - boosted,
+      defense: comboed - defended,
+      element,
+      critical: total - elemental,
+      total,
+    };
+  }
+
+  /**
+   * Get how effective an action's element is against a fighter
+   * @param {Object} action - Action with an optional `element`
+   * @param {Object} defender - Fighter with optional `element`, `weaknesses` and `resistances`
+   * @returns {number} - Damage multiplier, 1 for neutral or elementless actions
    */
-  calculateDamage(action, attacker, defender) {
-    let baseDamage = action.power + attacker.attack;
+  getElementMultiplier(action, defender) {
+    const element = action.element;
+    if (!element || !defender) return 1;
+
+    let multiplier = 1;
+
+    // The matrix covers the defender's own element(s)
+    const row = this.elementMatrix[element] || {};
+    [].concat(defender.element || []).forEach((defenderElement) => {
+      if (row[defenderElement] !== undefined) {
+        multiplier *= row[defenderElement];
+      }
+    });
 
-    // Apply damage boost if active
-    if (this.hasActiveEffect(attacker, "boost_damage")) {
-      const boostValue = this.getEffectValue(attacker, "boost_damage");
-      baseDamage = Math.floor(baseDamage * (1 + boostValue / 100));
+    // Per-fighter weaknesses and resistances stack on top
+    if ((defender.weaknesses || []).includes(element)) {
+      multiplier *= this.options.weaknessMultiplier;
     }
+    if ((defender.resistances || []).includes(element)) {
+      multiplier *= this.options.resistanceMultiplier;
+    }
+
+    return multiplier;
+  }
 
-    // Apply defense
-    const finalDamage = Math.max(1, baseDamage - defender.defense);
+  /**
+   * Describe an element multiplier for feedback
+   * @param {number} multiplier - Value from getElementMultiplier()
+   * @returns {string|null} - 'super_effective', 'resisted', 'immune' or null when neutral
+   */
+  getEffectivenessLabel(multiplier) {
+    if (multiplier === 0) return "immune";
+    if (multiplier > 1) return "super_effective";
+    if (multiplier < 1) return "resisted";
+    return null;
+  }
 
-    return finalDamage;
+  /**
+   * Set how effective an element is against other elements
+   * @param {string} element - Attacking element
+   * @param {Object} row - Defender element -> damage multiplier
+   */
+  setElementEffectiveness(element, row) {
+    this.elementMatrix[element] = { ...row };
   }
 
   /**
-   * Add a status effect to a fighter
+   * Add a status effect to a fighter, following its stacking rule
    * @param {Object} fighter - Fighter to add effect to
    * @param {string} effectId - Effect identifier
    * @param {number} duration - Duration in turns
    * @param {number} value - Effect value (optional)
+   * @returns {Object|null} - Active effect instance, null if ignored
    */
   addEffect(fighter, effectId, duration, value = null) {
-    fighter.statusEffects.set(effectId, {
+    const definition = this.effects.getStatusEffect(effectId);
+    const stacking = definition ? definition.stacking : "replace";
+    const existing = fighter.statusEffects.get(effectId);
+
+    if (existing && existing.duration > 0) {
+      switch (stacking) {
+        case "ignore":
+          return null;
+
+        case "refresh":
+          existing.duration = Math.max(existing.duration, duration);
+          existing.value = value;
+          return existing;
+
+        case "extend":
+          existing.duration += duration;
+          return existing;
+
+        case "stack":
+          existing.stacks = Math.min(definition.maxStacks, existing.stacks + 1);
+          existing.duration = Math.max(existing.duration, duration);
+          return existing;
+      }
+    }
+
+    const instance = {
       duration: duration,
       value: value,
+      stacks: 1,
       startTurn: this.state.turn,
+    };
+    fighter.statusEffects.set(effectId, instance);
+    return instance;
+  }
+
+  /**
+   * Put a status effect on a fighter outside of an action - random events,
+   * traps or scripted story beats
+   * @param {string} fighterId - Combatant ID, or 'player'/'enemy' for the lead fighter
+   * @param {string} effectId - Status effect identifier
+   * @param {Object} options - { duration, value } overriding the definition defaults
+   * @returns {Object|null} - Active effect instance, null if it didn't take
+   */
+  inflictStatus(fighterId, effectId, options = {}) {
+    const fighter =
+      this.getCombatant(fighterId) || this.state.fighters[fighterId];
+    if (!fighter || fighter.hp <= 0) return null;
+
+    if (!this.effects.getStatusEffect(effectId)) {
+      throw new Error(`Status effect not found: ${effectId}`);
+    }
+
+    const result = this.createActionResult();
+    this.applyStatusEffect(
+      { type: effectId, target: "target", ...options },
+      {},
+      null,
+      fighter,
+      result
+    );
+    if (result.applied.length === 0) return null;
+
+    this.recordEvent("status", {
+      fighter: this.describeFighter(fighter),
+      effectId,
+      messages: [...result.effects],
     });
+    this.updateUI();
+
+    return fighter.statusEffects.get(effectId);
   }
 
   /**
@@ -695,7 +2289,15 @@ class Combat {
    * @param {string} effectId - Effect identifier
    */
   removeEffect(fighter, effectId) {
+    const instance = fighter.statusEffects.get(effectId);
+    if (!instance) return;
+
     fighter.statusEffects.delete(effectId);
+
+    const definition = this.effects.getStatusEffect(effectId);
+    if (definition && typeof definition.onRemove === "function") {
+      definition.onRemove({ combat: this, effectId, instance, fighter });
+    }
   }
 
   /**
@@ -736,33 +2338,58 @@ class Combat {
     // Trigger animation start callback
     this.triggerCallback("onAnimationStart", { action: actionData, result });
 
-    // Add animation class based on action type
-    const animationClass = `combat-${action.type}-animation`;
+    // Add animation class based on action type - a static highlight in
+    // reduced motion mode, where CSS also holds hit flashes and numbers still
+    const animationClass = this.isReducedMotion()
+      ? "combat-acting"
+      : `combat-${action.type}-animation`;
     attackerSprite.classList.add(animationClass);
 
-    // Add hit animation to defender if damage was dealt
-    if (result.damage > 0 && defenderSprite) {
-      setTimeout(() => {
-        defenderSprite.classList.add("combat-hit-flash");
-        setTimeout(() => {
-          defenderSprite.classList.remove("combat-hit-flash");
-        }, 600);
-      }, 200);
-    }
-
-    // Show damage numbers if applicable
+    // Add hit animation to defender if damage was dealt; misses get a
+    // dodge, parries a deflect and counters a hit back on the attacker
     if (result.damage > 0) {
-      this.showDamageNumber(
-        fighterId === "player" ? "enemy" : "player",
-        result.damage,
-        false
-      );
+      this.flashSprite(defenderSprite, "combat-hit-flash", 200);
+    } else if (result.missed) {
+      this.flashSprite(defenderSprite, "combat-dodge-animation", 100);
+    } else if (result.parried) {
+      this.flashSprite(defenderSprite, "combat-parry-animation", 150);
     }
-    if (result.healing > 0) {
-      this.showDamageNumber(fighterId, result.healing, true);
+    if (result.countered > 0) {
+      this.flashSprite(attackerSprite, "combat-countered", 400);
     }
-    if (result.energyRestore > 0) {
-      this.showEnergyNumber(fighterId, result.energyRestore);
+
+    // Show damage numbers on each target, recovery on whoever received it
+    const actorId = actionData.actorId || fighterId;
+    const allyTargeting = this.isAllyTargeting(action);
+
+    (result.targets || []).forEach((target) => {
+      const recipientId = allyTargeting ? target.combatantId : actorId;
+
+      if (target.missed) {
+        this.showCombatText(target.combatantId, "Miss!", "miss");
+      } else if (target.parried) {
+        this.showCombatText(target.combatantId, "Parry!", "parry");
+      } else if (target.damage > 0 || target.effectiveness === "immune") {
+        this.showDamageNumber(
+          target.combatantId,
+          target.damage,
+          false,
+          target.effectiveness,
+          target.critical ? "critical" : null
+        );
+      }
+      if (target.healing > 0) {
+        this.showDamageNumber(recipientId, target.healing, true);
+      }
+      if (target.energyRestore > 0) {
+        this.showEnergyNumber(recipientId, target.energyRestore);
+      }
+    });
+    if (result.reflected > 0) {
+      this.showDamageNumber(actorId, result.reflected, false);
+    }
+    if (result.countered > 0) {
+      this.showDamageNumber(actorId, result.countered, false, null, "counter");
     }
 
     // Wait for animation
@@ -775,18 +2402,61 @@ class Combat {
     this.triggerCallback("onAnimationEnd", { action: actionData, result });
   }
 
+  /**
+   * Play a one-off animation class on a sprite
+   * @param {HTMLElement} sprite - Fighter sprite
+   * @param {string} className - Animation class
+   * @param {number} delay - Milliseconds before it starts
+   */
+  flashSprite(sprite, className, delay = 0) {
+    if (!sprite) return;
+
+    setTimeout(() => {
+      sprite.classList.add(className);
+      setTimeout(() => {
+        sprite.classList.remove(className);
+      }, 600);
+    }, delay);
+  }
+
+  /**
+   * Get the element to anchor effects for a fighter - its party roster card
+   * when shown, otherwise its side's fighter card
+   * @param {string} fighterId - Combatant ID or 'player'/'enemy'
+   */
+  getFighterElement(fighterId) {
+    const combatant = this.getCombatant(fighterId);
+    const side = combatant ? combatant.side : fighterId;
+    const roster = this.elements[`${side}Party`];
+
+    const card =
+      combatant && roster
+        ? roster.querySelector(`[data-combatant="${fighterId}"]`)
+        : null;
+
+    return (
+      card || this.elements[`${side}Fighter`] || this.elements[`${side}Sprite`]
+    );
+  }
+
   /**
    * Show damage/healing number animation
-   * @param {string} fighterId - Fighter receiving the effect
+   * @param {string} fighterId - Fighter receiving the effect (combatant ID or side)
    * @param {number} amount - Amount to display
    * @param {boolean} isHealing - Whether this is healing or damage
+   * @param {string|null} effectiveness - Elemental feedback for damage
+   * @param {string|null} style - 'critical' or 'counter' for a labelled damage number
    */
-  showDamageNumber(fighterId, amount, isHealing = false) {
+  showDamageNumber(
+    fighterId,
+    amount,
+    isHealing = false,
+    effectiveness = null,
+    style = null
+  ) {
     if (!this.elements.animationLayer) return;
 
-    const fighterElement =
-      this.elements[`${fighterId}Fighter`] ||
-      this.elements[`${fighterId}Sprite`];
+    const fighterElement = this.getFighterElement(fighterId);
     if (!fighterElement) return;
 
     const rect = fighterElement.getBoundingClientRect();
@@ -798,6 +2468,33 @@ class Combat {
     }`;
     numberElement.textContent = `${isHealing ? "+" : "-"}${amount}`;
 
+    // Elemental feedback under the number
+    const effectivenessLabels = {
+      super_effective: "Super effective!",
+      resisted: "Resisted",
+      immune: "Immune",
+    };
+    if (effectiveness && effectivenessLabels[effectiveness]) {
+      numberElement.classList.add(effectiveness.replace("_", "-"));
+      if (effectiveness === "immune") {
+        numberElement.textContent = "";
+      }
+      const label = document.createElement("span");
+      label.className = "damage-effectiveness";
+      label.textContent = effectivenessLabels[effectiveness];
+      numberElement.appendChild(label);
+    }
+
+    // Critical hits and counters get their own look
+    const styleLabels = { critical: "Critical!", counter: "Counter!" };
+    if (style && styleLabels[style]) {
+      numberElement.classList.add(style);
+      const label = document.createElement("span");
+      label.className = "damage-style";
+      label.textContent = styleLabels[style];
+      numberElement.prepend(label);
+    }
+
     // Position relative to container
     numberElement.style.left = `${
       rect.left - containerRect.left + rect.width / 2
@@ -814,17 +2511,50 @@ class Combat {
     }, this.options.damageNumberDuration);
   }
 
+  /**
+   * Show floating combat text without a number, e.g. "Miss!" or "Parry!"
+   * @param {string} fighterId - Fighter to show it over (combatant ID or side)
+   * @param {string} text - Text to show
+   * @param {string} type - Style class: 'miss' or 'parry'
+   */
+  showCombatText(fighterId, text, type) {
+    if (!this.elements.animationLayer) return;
+
+    const fighterElement = this.getFighterElement(fighterId);
+    if (!fighterElement) return;
+
+    const rect = fighterElement.getBoundingClientRect();
+    const containerRect = this.elements.container.getBoundingClientRect();
+
+    const textElement = document.createElement("div");
+    textElement.className = `damage-number combat-text ${type}`;
+    textElement.textContent = text;
+
+    // Position relative to container
+    textElement.style.left = `${
+      rect.left - containerRect.left + rect.width / 2
+    }px`;
+    textElement.style.top = `${rect.top - containerRect.top}px`;
+
+    this.elements.animationLayer.appendChild(textElement);
+
+    // Remove after animation
+    setTimeout(() => {
+      if (textElement.parentNode) {
+        textElement.remove();
+      }
+    }, this.options.damageNumberDuration);
+  }
+
   /**
    * Show energy restore number animation
-   * @param {string} fighterId - Fighter receiving energy
+   * @param {string} fighterId - Fighter receiving energy (combatant ID or side)
    * @param {number} amount - Amount of energy restored
    */
   showEnergyNumber(fighterId, amount) {
     if (!this.elements.animationLayer) return;
 
-    const fighterElement =
-      this.elements[`${fighterId}Fighter`] ||
-      this.elements[`${fighterId}Sprite`];
+    const fighterElement = this.getFighterElement(fighterId);
     if (!fighterElement) return;
 
     const rect = fighterElement.getBoundingClientRect();
@@ -858,9 +2588,21 @@ class Combat {
       this.state.phase = "resolve";
       this.state.animating = false;
 
-      // Update status effects and cooldowns
-      this.updateStatusEffects();
-      this.updateCooldowns();
+      // Update status effects and cooldowns - in ATB battles only for the
+      // fighters who had their turn, whose gauges start over
+      const acted = this.isATB()
+        ? this.getAllCombatants().filter((fighter) =>
+            this.state.ready.includes(fighter.combatantId)
+          )
+        : this.getAllCombatants();
+      this.updateStatusEffects(acted);
+      this.updateCooldowns(acted);
+      if (this.isATB()) {
+        acted.forEach((fighter) => {
+          this.state.gauges[fighter.combatantId] = 0;
+        });
+        this.state.ready = [];
+      }
 
       // Check for battle end conditions
       if (this.checkBattleEnd()) {
@@ -869,97 +2611,401 @@ class Combat {
 
       // Prepare for next turn
       this.state.turn++;
-      this.state.phase = "select";
-      this.state.turnType = "player";
       this.state.selectedActions = { player: [], enemy: [] };
-
-      // Update UI
-      this.updateUI();
-      this.showActionSelection();
+      this.updateLeadFighters();
+      this.rollInitiative();
 
       // Trigger turn end callback
       this.triggerCallback("onTurnEnd", {
         turn: this.state.turn - 1,
         player: this.state.fighters.player,
         enemy: this.state.fighters.enemy,
+        parties: this.state.parties,
       });
 
-      // Trigger new turn start callback
-      this.triggerCallback("onTurnStart", {
-        turn: this.state.turn,
-        player: this.state.fighters.player,
-        enemy: this.state.fighters.enemy,
-      });
+      // Open the next turn
+      this.beginTurn();
     } catch (error) {
       console.error("Failed to resolve turn:", error);
     }
   }
 
   /**
-   * Update status effects duration
+   * Start a turn. Turn-based battles go straight to action selection; ATB
+   * battles charge gauges until at least one fighter's is full.
+   */
+  beginTurn() {
+    if (!this.isATB()) {
+      this.openSelection();
+      return;
+    }
+
+    this.state.phase = "charging";
+    this.state.turnType = "processing";
+    this.state.ready = [];
+    this.updateUI();
+
+    // Headless battles skip straight to the next full gauge
+    if (this.options.headless) {
+      this.chargeGauges(this.getTicksUntilReady());
+    } else {
+      this.startClock();
+    }
+  }
+
+  /**
+   * Open action selection for the current turn and start the turn timer
+   */
+  openSelection() {
+    this.state.phase = "select";
+    this.state.turnType = "player";
+    this.updateLeadFighters();
+    this.startTurnTimer();
+
+    this.updateUI();
+    this.showActionSelection();
+    this.announceSelection(`Turn ${this.state.turn}.`);
+
+    this.triggerCallback("onTurnStart", {
+      turn: this.state.turn,
+      player: this.state.fighters.player,
+      enemy: this.state.fighters.enemy,
+      parties: this.state.parties,
+      turnOrder: this.state.turnOrder,
+      ready: [...this.state.ready],
+    });
+
+    // Enemies whose gauge filled without a player's act right away
+    if (
+      this.isATB() &&
+      this.state.isActive &&
+      this.state.phase === "select" &&
+      !this.state.replay &&
+      !this.getNextSelectingMember("player")
+    ) {
+      this.generateEnemyActions();
+    }
+  }
+
+  /**
+   * Check whether the battle runs in ATB mode
+   */
+  isATB() {
+    return this.options.battleMode === "atb";
+  }
+
+  /**
+   * Get how much a fighter's ATB gauge fills per tick
+   * @param {Object} fighter - Fighter to check
+   */
+  getGaugeRate(fighter) {
+    return Math.max(
+      1,
+      this.options.atbGaugeRate + this.getFighterSpeed(fighter)
+    );
+  }
+
+  /**
+   * Get a fighter's ATB gauge
+   * @param {Object} fighter - Fighter to check
+   * @returns {number} - 0 to 100
+   */
+  getGauge(fighter) {
+    return this.state.gauges[fighter.combatantId] || 0;
+  }
+
+  /**
+   * Count the ticks until the first standing fighter's gauge is full
+   */
+  getTicksUntilReady() {
+    const ticks = this.getAllCombatants()
+      .filter((fighter) => fighter.hp > 0)
+      .map((fighter) =>
+        Math.ceil((100 - this.getGauge(fighter)) / this.getGaugeRate(fighter))
+      );
+    return Math.max(0, Math.min(...ticks));
+  }
+
+  /**
+   * Fill the ATB gauges of standing fighters and open selection for the
+   * fighters whose gauge is full
+   * @param {number} ticks - Clock ticks to fill for
+   */
+  chargeGauges(ticks = 1) {
+    const living = this.getAllCombatants().filter((fighter) => fighter.hp > 0);
+
+    living.forEach((fighter) => {
+      this.state.gauges[fighter.combatantId] = Math.min(
+        100,
+        this.getGauge(fighter) + ticks * this.getGaugeRate(fighter)
+      );
+    });
+
+    this.state.ready = living
+      .filter((fighter) => this.getGauge(fighter) >= 100)
+      .map((fighter) => fighter.combatantId);
+    this.updateGaugeDisplay();
+
+    if (this.state.ready.length > 0) {
+      this.log(`Ready: ${this.state.ready.join(", ")}`);
+      this.openSelection();
+    }
+  }
+
+  /**
+   * Start the turn timer if the player has actions to choose
+   */
+  startTurnTimer() {
+    const duration = this.options.turnTimer;
+    this.state.timer =
+      duration > 0 &&
+      !this.options.headless &&
+      !this.state.replay &&
+      this.getNextSelectingMember("player")
+        ? { duration, remaining: duration }
+        : null;
+
+    if (this.state.timer) {
+      this.startClock();
+    }
+  }
+
+  /**
+   * Choose for the player members still selecting when the turn timer runs
+   * out: Defend, or the fighter's AI choice with timeoutAction 'auto' (and
+   * when Defend isn't available)
+   */
+  expireTurnTimer() {
+    this.state.timer = null;
+    this.hideItemPicker();
+
+    const waiting = this.getLivingMembers("player").filter((fighter) =>
+      this.isAwaitingAction(fighter)
+    );
+    this.log(`Turn timer ran out for ${waiting.length} fighter(s)`);
+
+    this.triggerCallback("onTurnTimeout", {
+      turn: this.state.turn,
+      fighters: waiting,
+      timeoutAction: this.options.timeoutAction,
+    });
+
+    waiting.forEach((fighter) => {
+      if (this.state.phase !== "select" || !this.isAwaitingAction(fighter)) {
+        return;
+      }
+
+      const defended =
+        this.options.timeoutAction === "defend" &&
+        this.getAvailableActions(fighter).includes("defend") &&
+        this.selectAction(fighter.combatantId, "defend");
+      if (!defended) {
+        this.selectAIAction(fighter);
+      }
+    });
+
+    // Nobody on the player side could act - let the enemies go anyway
+    if (this.state.phase === "select") {
+      this.generateEnemyActions();
+    }
+  }
+
+  /**
+   * Start the clock that runs the turn timer and ATB gauges
+   */
+  startClock() {
+    if (this.clock || this.options.headless) return;
+
+    this.clock = setInterval(
+      () => this.tickClock(),
+      this.options.clockInterval
+    );
+  }
+
+  /**
+   * Stop the turn timer and ATB clock
+   */
+  stopClock() {
+    if (this.clock) {
+      clearInterval(this.clock);
+      this.clock = null;
+    }
+  }
+
+  /**
+   * Advance the turn timer or ATB gauges by one tick. Nothing moves while
+   * the battle is paused.
+   */
+  tickClock() {
+    if (!this.state.isActive) {
+      this.stopClock();
+      return;
+    }
+    if (this.state.paused) return;
+
+    if (this.state.phase === "charging") {
+      this.chargeGauges(1);
+      return;
+    }
+
+    const timer = this.state.timer;
+    if (timer && this.state.phase === "select" && !this.state.animating) {
+      timer.remaining = Math.max(
+        0,
+        timer.remaining - this.options.clockInterval
+      );
+      this.updateTimerDisplay();
+
+      if (timer.remaining <= 0) {
+        this.expireTurnTimer();
+      }
+    }
+  }
+
+  /**
+   * Run status effect ticks and update durations
+   * @param {Array} fighters - Fighters to update (default: everyone)
+   */
+  updateStatusEffects(fighters = this.getAllCombatants()) {
+    fighters.forEach((fighter) => {
+      const active = Array.from(fighter.statusEffects.keys());
+      const events = this.tickStatusEffects(fighter);
+
+      events.forEach((event) => {
+        if (event.damage > 0) {
+          this.showDamageNumber(fighter.combatantId, event.damage, false);
+        }
+        if (event.healing > 0) {
+          this.showDamageNumber(fighter.combatantId, event.healing, true);
+        }
+        if (event.damage > 0 || event.healing > 0) {
+          this.recordEvent("tick", {
+            fighter: this.describeFighter(fighter),
+            effectId: event.effectId,
+            damage: event.damage,
+            healing: event.healing,
+          });
+        }
+      });
+
+      active
+        .filter((effectId) => !fighter.statusEffects.has(effectId))
+        .forEach((effectId) => {
+          this.recordEvent("expire", {
+            fighter: this.describeFighter(fighter),
+            effectId,
+          });
+        });
+    });
+  }
+
+  /**
+   * Run a fighter's per-turn status effect ticks, count down durations and
+   * drop expired effects
+   * @param {Object} fighter - Fighter to update
+   * @returns {Array} - Tick events [{ effectId, damage, healing }]
+   */
+  tickStatusEffects(fighter) {
+    const events = [];
+
+    this.forEachStatusHook(fighter, "onTick", (hook, context) => {
+      const outcome = hook(context) || {};
+      const damage = outcome.damage || 0;
+
+      if (damage > 0) {
+        fighter.hp = Math.max(0, fighter.hp - damage);
+      }
+      // Only the health actually gained is reported
+      const healing =
+        outcome.healing > 0 ? this.healFighter(fighter, outcome.healing) : 0;
+      events.push({ effectId: context.effectId, damage, healing });
+    });
+
+    const toRemove = [];
+
+    fighter.statusEffects.forEach((effect, effectId) => {
+      effect.duration--;
+      if (effect.duration <= 0) {
+        toRemove.push(effectId);
+      }
+    });
+
+    toRemove.forEach((effectId) => {
+      this.removeEffect(fighter, effectId);
+    });
+
+    return events;
+  }
+
+  /**
+   * Update action cooldowns
+   * @param {Array} fighters - Fighters to update (default: everyone)
    */
-  updateStatusEffects() {
-    [this.state.fighters.player, this.state.fighters.enemy].forEach(
-      (fighter) => {
-        const toRemove = [];
+  updateCooldowns(fighters = this.getAllCombatants()) {
+    fighters.forEach((fighter) => this.tickCooldowns(fighter));
+  }
 
-        fighter.statusEffects.forEach((effect, effectId) => {
-          effect.duration--;
-          if (effect.duration <= 0) {
-            toRemove.push(effectId);
-          }
-        });
+  /**
+   * Count down a fighter's action cooldowns
+   * @param {Object} fighter - Fighter to update
+   */
+  tickCooldowns(fighter) {
+    const toRemove = [];
 
-        toRemove.forEach((effectId) => {
-          fighter.statusEffects.delete(effectId);
-        });
+    fighter.cooldowns.forEach((cooldown, actionId) => {
+      const newCooldown = cooldown - 1;
+      if (newCooldown <= 0) {
+        toRemove.push(actionId);
+      } else {
+        fighter.cooldowns.set(actionId, newCooldown);
       }
-    );
+    });
+
+    toRemove.forEach((actionId) => {
+      fighter.cooldowns.delete(actionId);
+    });
   }
 
   /**
-   * Update action cooldowns
+   * Copy a fighter so it can be changed without touching the battle
+   * @param {Object} fighter - Fighter to copy
    */
-  updateCooldowns() {
-    [this.state.fighters.player, this.state.fighters.enemy].forEach(
-      (fighter) => {
-        const toRemove = [];
-
-        fighter.cooldowns.forEach((cooldown, actionId) => {
-          const newCooldown = cooldown - 1;
-          if (newCooldown <= 0) {
-            toRemove.push(actionId);
-          } else {
-            fighter.cooldowns.set(actionId, newCooldown);
-          }
-        });
+  cloneFighter(fighter) {
+    const statusEffects = new Map();
+    fighter.statusEffects.forEach((effect, effectId) => {
+      statusEffects.set(effectId, { ...effect });
+    });
 
-        toRemove.forEach((actionId) => {
-          fighter.cooldowns.delete(actionId);
-        });
-      }
-    );
+    return {
+      ...fighter,
+      statusEffects,
+      cooldowns: new Map(fighter.cooldowns),
+    };
   }
 
   /**
    * Check if the battle has ended
    */
   checkBattleEnd() {
-    const player = this.state.fighters.player;
-    const enemy = this.state.fighters.enemy;
+    const playerDefeated = this.getLivingMembers("player").length === 0;
+    const enemyDefeated = this.getLivingMembers("enemy").length === 0;
+    const isPartyBattle =
+      this.getParty("player").length > 1 || this.getParty("enemy").length > 1;
 
     let winner = null;
     let reason = null;
 
-    if (player.hp <= 0 && enemy.hp <= 0) {
+    if (playerDefeated && enemyDefeated) {
       winner = "draw";
-      reason = "Both fighters defeated";
-    } else if (player.hp <= 0) {
+      reason = isPartyBattle
+        ? "Both parties defeated"
+        : "Both fighters defeated";
+    } else if (playerDefeated) {
       winner = "enemy";
-      reason = "Player defeated";
-    } else if (enemy.hp <= 0) {
+      reason = isPartyBattle ? "Player party defeated" : "Player defeated";
+    } else if (enemyDefeated) {
       winner = "player";
-      reason = "Enemy defeated";
+      reason = isPartyBattle ? "Enemy party defeated" : "Enemy defeated";
     }
 
     if (winner) {
@@ -978,28 +3024,244 @@ class Combat {
   endBattle(winner, reason) {
     this.state.isActive = false;
     this.state.animating = false;
+    this.state.timer = null;
+    this.stopClock();
     this.state.battleResults = {
       winner: winner,
       reason: reason,
       turns: this.state.turn,
       playerFinalStats: { ...this.state.fighters.player },
       enemyFinalStats: { ...this.state.fighters.enemy },
+      playerParty: this.getParty("player").map((fighter) => ({ ...fighter })),
+      enemyParty: this.getParty("enemy").map((fighter) => ({ ...fighter })),
+      seed: this.state.seed,
+      battleMode: this.options.battleMode,
+      actionLog: this.state.actionLog.map((entry) => ({ ...entry })),
+      replay: this.state.replay !== null,
     };
 
+    this.recordEvent("battle_end", { winner, reason });
+    this.state.battleResults.battleLog = this.getBattleLog();
+
     // Trigger battle end callback
     this.triggerCallback("onBattleEnd", this.state.battleResults);
 
     this.log(`Battle ended: ${winner} wins - ${reason}`);
   }
 
+  /**
+   * Add an entry to the battle log and the combat log panel
+   * @param {string} type - 'battle_start', 'action', 'tick', 'expire', 'status', 'battle_end' or a custom type
+   * @param {Object} data - Entry details; fighters as { id, name, side }
+   * @returns {Object} - The logged entry
+   */
+  recordEvent(type, data = {}) {
+    const entry = { type, turn: this.state.turn, ...data };
+    this.state.battleLog.push(entry);
+    this.appendLogEntry(entry);
+    this.narrate(this.describeNarration(entry));
+    return entry;
+  }
+
+  /**
+   * Log an executed action with its per-target results
+   * @param {Object} attacker - Acting fighter
+   * @param {Object} actionData - Executed action data
+   * @param {Object} result - Merged action result
+   */
+  recordAction(attacker, actionData, result) {
+    const { action, actionId } = actionData;
+
+    this.recordEvent("action", {
+      actor: this.describeFighter(attacker),
+      action: { id: actionId, name: action.name, type: action.type },
+      combos: (actionData.combos || []).map(
+        (comboId) => this.combos.getCombo(comboId).name
+      ),
+      itemId: action.itemId || null,
+      prevented: result.prevented || null,
+      targets: (result.targets || []).map((target) => {
+        const fighter = this.getCombatant(target.combatantId);
+        return {
+          ...this.describeFighter(fighter),
+          damage: target.damage,
+          healing: target.healing,
+          energyRestore: target.energyRestore,
+          blocked: target.blocked,
+          missed: target.missed,
+          critical: target.critical,
+          parried: target.parried,
+          countered: target.countered || 0,
+          effectiveness: target.effectiveness,
+          breakdown: target.breakdown || null,
+          applied: target.applied.map((applied) => applied.effectId),
+          hp: fighter ? fighter.hp : null,
+        };
+      }),
+      messages: [...result.effects],
+    });
+  }
+
+  /**
+   * Identify a fighter in a log entry
+   * @param {Object} fighter - Fighter to describe
+   * @returns {Object} - { id, name, side }
+   */
+  describeFighter(fighter) {
+    return {
+      id: fighter ? fighter.combatantId : null,
+      name: fighter ? fighter.name : "Unknown",
+      side: fighter ? fighter.side : null,
+    };
+  }
+
+  /**
+   * Get the current battle's log
+   * @returns {Array} - Copies of the logged entries
+   */
+  getBattleLog() {
+    return this.state.battleLog.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Describe a battle log entry as one line of text
+   * @param {Object} entry - Battle log entry
+   * @returns {string}
+   */
+  describeLogEntry(entry) {
+    const names = (fighters) =>
+      fighters.map((fighter) => fighter.name).join(", ");
+
+    switch (entry.type) {
+      case "battle_start":
+        return `Battle started: ${names(entry.player)} vs ${names(
+          entry.enemy
+        )} (seed ${entry.seed})`;
+      case "action":
+        return this.describeActionEntry(entry);
+      case "tick":
+        return entry.damage > 0
+          ? `${entry.fighter.name} takes ${entry.damage} damage from ${entry.effectId}`
+          : `${entry.fighter.name} recovers ${entry.healing} HP from ${entry.effectId}`;
+      case "expire":
+        return `${entry.fighter.name}'s ${entry.effectId} wore off`;
+      case "status":
+        return `${entry.fighter.name}: ${
+          entry.messages.join(" ") || entry.effectId
+        }`;
+      case "battle_end":
+        return `Battle over: ${entry.winner} wins (${entry.reason})`;
+      default:
+        return entry.message || entry.type;
+    }
+  }
+
+  /**
+   * Describe an action log entry, with the damage breakdown of each hit
+   * @param {Object} entry - 'action' log entry
+   * @returns {string}
+   */
+  describeActionEntry(entry) {
+    if (entry.prevented) {
+      const definition = this.effects.getStatusEffect(entry.prevented);
+      return definition && !definition.preventsAction
+        ? `${entry.actor.name} couldn't use ${entry.action.name} (${entry.prevented})`
+        : `${entry.actor.name} couldn't act (${entry.prevented})`;
+    }
+
+    const outcomes = entry.targets.map((target) => {
+      const parts = [];
+      const breakdown = target.breakdown;
+
+      if (target.missed) parts.push("missed");
+      if (target.parried) parts.push("parried");
+      if (breakdown && !target.parried) {
+        const { base, boost, combo, defense, element, critical, block } =
+          breakdown;
+        const steps = [`base ${base}`];
+        if (boost) steps.push(`boost +${boost}`);
+        if (combo) steps.push(`combo +${combo}`);
+        if (defense) steps.push(`defense -${defense}`);
+        if (element !== 1) steps.push(`element ×${element}`);
+        if (critical) steps.push(`critical +${critical}`);
+        if (block) steps.push(`block -${block}`);
+        parts.push(`${target.damage} damage (${steps.join(", ")})`);
+      }
+      if (target.countered > 0) {
+        parts.push(`countered for ${target.countered}`);
+      }
+      if (target.healing > 0) parts.push(`+${target.healing} HP`);
+      if (target.energyRestore > 0) {
+        parts.push(`+${target.energyRestore} energy`);
+      }
+      if (target.applied.length > 0) parts.push(target.applied.join(", "));
+
+      return parts.length > 0
+        ? `${target.name}: ${parts.join("; ")}`
+        : target.name;
+    });
+
+    const combos =
+      entry.combos && entry.combos.length > 0
+        ? ` (${entry.combos.join(", ")} combo)`
+        : "";
+    const used = `${entry.actor.name} used ${entry.action.name}${combos}`;
+    const messages =
+      entry.messages.length > 0 ? ` - ${entry.messages.join(" ")}` : "";
+
+    return outcomes.length > 0
+      ? `${used} → ${outcomes.join(" | ")}${messages}`
+      : `${used}${messages}`;
+  }
+
+  /**
+   * Add a log entry to the combat log panel, if the page has one
+   * @param {Object} entry - Battle log entry
+   */
+  appendLogEntry(entry) {
+    const list = this.elements.combatLogEntries;
+    if (this.options.headless || !list) return;
+
+    const line = document.createElement("div");
+    line.className = `combat-log-entry log-${entry.type}`;
+    if (entry.actor) line.dataset.side = entry.actor.side;
+    line.innerHTML = `
+      <span class="combat-log-turn">T${entry.turn}</span>
+      <span class="combat-log-text"></span>
+    `;
+    line.querySelector(".combat-log-text").textContent =
+      this.describeLogEntry(entry);
+    list.appendChild(line);
+
+    while (list.children.length > this.options.combatLogLimit) {
+      list.removeChild(list.firstChild);
+    }
+    list.scrollTop = list.scrollHeight;
+  }
+
+  /**
+   * Empty the combat log panel for a new battle
+   */
+  clearCombatLog() {
+    if (this.options.headless || !this.elements.combatLogEntries) return;
+    this.elements.combatLogEntries.innerHTML = "";
+  }
+
   /**
    * Update the combat UI with enhanced visual feedback
    */
   updateUI() {
+    if (this.options.headless) return;
+
     try {
       this.updateFighterDisplay("player");
       this.updateFighterDisplay("enemy");
+      this.updatePartyDisplay("player");
+      this.updatePartyDisplay("enemy");
       this.updateTurnIndicator();
+      this.updateTurnOrderDisplay();
+      this.updateTimerDisplay();
+      this.updateGaugeDisplay();
       this.updateActionButtons();
       this.updateContainerState();
     } catch (error) {
@@ -1013,6 +3275,11 @@ class Combat {
   updateContainerState() {
     if (!this.elements.container) return;
 
+    this.elements.container.classList.toggle(
+      "reduced-motion",
+      this.isReducedMotion()
+    );
+
     // Remove all state classes
     this.elements.container.classList.remove(
       "player-turn",
@@ -1040,6 +3307,19 @@ class Combat {
 
     if (!fighter || !container) return;
 
+    // Party battles swap which member the card shows
+    const fighterCard = this.elements[`${fighterId}Fighter`];
+    const nameElement =
+      fighterCard && fighterCard.querySelector(".fighter-name");
+    if (nameElement) {
+      nameElement.textContent = fighter.level
+        ? `${fighter.name} Lv.${fighter.level}`
+        : fighter.name;
+    }
+    if (fighter.sprite && this.elements[`${fighterId}Sprite`]) {
+      this.elements[`${fighterId}Sprite`].textContent = fighter.sprite;
+    }
+
     // Update HP bar with animations
     const hpBar =
       this.elements[`${fighterId}HpBar`] ||
@@ -1110,7 +3390,6 @@ class Combat {
     }
 
     // Update critical health state
-    const fighterCard = this.elements[`${fighterId}Fighter`];
     if (fighterCard) {
       if (fighter.hp <= fighter.maxHp * 0.25) {
         fighterCard.classList.add("critical-health");
@@ -1123,6 +3402,76 @@ class Combat {
     this.updateStatusEffectsDisplay(fighterId);
   }
 
+  /**
+   * Render a side's party roster with health bars and target highlights
+   * @param {string} side - 'player' or 'enemy'
+   */
+  updatePartyDisplay(side) {
+    const roster = this.elements[`${side}Party`];
+    if (!roster) return;
+
+    const party = this.getParty(side);
+
+    // Rebuilding the cards would drop keyboard focus - put it back after
+    const focused =
+      typeof document !== "undefined" &&
+      document.activeElement &&
+      roster.contains(document.activeElement)
+        ? document.activeElement.dataset.combatant
+        : null;
+
+    roster.innerHTML = "";
+    roster.classList.toggle("active", party.length > 1);
+
+    // Single fighters are fully shown by the main fighter card
+    if (party.length <= 1) return;
+
+    const targetId =
+      side === "enemy" ? this.state.targets.enemy : this.state.targets.ally;
+
+    party.forEach((member) => {
+      const hpPercent = Math.max(0, (member.hp / member.maxHp) * 100);
+      const atbGauge = `
+        <div class="party-member-atb">
+          <div class="party-member-atb-fill" style="width: ${this.getGauge(
+            member
+          )}%"></div>
+        </div>`;
+      const card = document.createElement("div");
+      card.className = "party-member";
+      card.dataset.combatant = member.combatantId;
+      card.classList.toggle("defeated", member.hp <= 0);
+      card.classList.toggle("targeted", member.combatantId === targetId);
+      card.classList.toggle(
+        "selecting",
+        side === "player" &&
+          this.state.phase === "select" &&
+          member === this.state.fighters.player
+      );
+      card.tabIndex = member.hp > 0 ? 0 : -1;
+      card.setAttribute("role", "button");
+      card.setAttribute(
+        "aria-pressed",
+        String(member.combatantId === targetId)
+      );
+      card.setAttribute(
+        "aria-label",
+        `${side === "enemy" ? "Target" : "Ally"} ${this.describeHealth(member)}`
+      );
+      card.innerHTML = `
+        <span class="party-member-sprite">${member.sprite || ""}</span>
+        <span class="party-member-name">${member.name}</span>
+        <div class="party-member-hp">
+          <div class="party-member-hp-fill" style="width: ${hpPercent}%"></div>
+        </div>
+        ${this.isATB() ? atbGauge : ""}
+      `;
+      roster.appendChild(card);
+
+      if (member.combatantId === focused) card.focus();
+    });
+  }
+
   /**
    * Update status effects display
    * @param {string} fighterId - Fighter to update
@@ -1139,9 +3488,17 @@ class Combat {
     effectsContainer.innerHTML = "";
 
     fighter.statusEffects.forEach((effect, effectId) => {
+      const definition = this.effects.getStatusEffect(effectId);
+      const name = definition ? definition.name : effectId;
+      const icon = definition && definition.icon ? `${definition.icon} ` : "";
+      const stacks = effect.stacks > 1 ? ` x${effect.stacks}` : "";
+
       const effectElement = document.createElement("div");
       effectElement.className = `status-effect ${effectId}`;
-      effectElement.textContent = `${effectId} (${effect.duration})`;
+      effectElement.textContent = `${icon}${name}${stacks} (${effect.duration})`;
+      if (definition && definition.description) {
+        effectElement.title = definition.description;
+      }
       effectsContainer.appendChild(effectElement);
     });
   }
@@ -1151,15 +3508,117 @@ class Combat {
    */
   updateTurnIndicator() {
     if (this.elements.turnIndicator) {
-      const phaseText = this.state.animating
+      const selecting = this.state.fighters.player;
+      const phaseText = this.state.paused
+        ? "Paused"
+        : this.state.animating
         ? "Processing..."
+        : this.state.phase === "charging"
+        ? "Charging..."
         : this.state.phase === "select"
-        ? "Select Actions"
+        ? this.getParty("player").length > 1 && selecting
+          ? `${selecting.name}: Select Action`
+          : "Select Actions"
         : "Turn";
-      this.elements.turnIndicator.textContent = `Turn ${this.state.turn} - ${phaseText}`;
+      const replayText = this.state.replay ? " (Replay)" : "";
+      this.elements.turnIndicator.textContent = `Turn ${this.state.turn} - ${phaseText}${replayText}`;
     }
   }
 
+  /**
+   * Show the time left on the turn timer, if the page has a .turn-timer
+   */
+  updateTimerDisplay() {
+    const container = this.elements.turnTimer;
+    if (!container || this.options.headless) return;
+
+    const timer = this.state.timer;
+    container.classList.toggle("active", !!timer);
+    container.classList.toggle("paused", !!timer && this.state.paused);
+    container.classList.toggle(
+      "urgent",
+      !!timer && timer.remaining <= timer.duration * 0.25
+    );
+    if (!timer) return;
+
+    const fill = container.querySelector(".turn-timer-fill");
+    if (fill) {
+      fill.style.width = `${(timer.remaining / timer.duration) * 100}%`;
+    }
+
+    const text = container.querySelector(".turn-timer-text");
+    if (text) {
+      text.textContent = `${Math.ceil(timer.remaining / 1000)}s`;
+    }
+  }
+
+  /**
+   * Fill the ATB gauge bars on the fighter cards and party rosters
+   */
+  updateGaugeDisplay() {
+    if (this.options.headless) return;
+
+    const active = this.isATB();
+
+    ["player", "enemy"].forEach((side) => {
+      const fighter = this.state.fighters[side];
+      const container = this.elements[`${side}Stats`];
+      const gauge = container && container.querySelector(".atb-gauge");
+      if (!gauge) return;
+
+      gauge.classList.toggle("active", active);
+      const fill = gauge.querySelector(".atb-gauge-fill");
+      if (fill && fighter) {
+        fill.style.width = `${this.getGauge(fighter)}%`;
+        fill.classList.toggle("ready", this.getGauge(fighter) >= 100);
+      }
+    });
+
+    if (!active) return;
+
+    ["playerParty", "enemyParty"].forEach((key) => {
+      const roster = this.elements[key];
+      if (!roster) return;
+
+      roster.querySelectorAll("[data-combatant]").forEach((card) => {
+        const fill = card.querySelector(".party-member-atb-fill");
+        const fighter = this.getCombatant(card.dataset.combatant);
+        if (fill && fighter) {
+          fill.style.width = `${this.getGauge(fighter)}%`;
+        }
+      });
+    });
+  }
+
+  /**
+   * Show the upcoming initiative order (initiative mode only)
+   */
+  updateTurnOrderDisplay() {
+    const container = this.elements.turnOrder;
+    if (!container) return;
+
+    const visible = this.options.turnOrder === "initiative";
+    container.classList.toggle("active", visible);
+    container.innerHTML = "";
+    if (!visible) return;
+
+    this.state.turnOrder.forEach((entry, index) => {
+      const fighter = this.getCombatant(entry.combatantId);
+      const chip = document.createElement("div");
+      chip.className = `turn-order-entry ${entry.side}`;
+      chip.classList.toggle("defeated", !fighter || fighter.hp <= 0);
+      chip.title = `Speed ${entry.speed}`;
+      chip.innerHTML = `
+        <span class="turn-order-position">${index + 1}</span>
+        <span class="turn-order-sprite">${
+          (fighter && fighter.sprite) || ""
+        }</span>
+        <span class="turn-order-name">${entry.name}</span>
+      `;
+      container.appendChild(chip);
+    });
+  }
+
   /**
    * Update action buttons with enhanced states
    */
@@ -1198,18 +3657,44 @@ class Combat {
       }
 
       // Update button state
+      const blockedBy = this.getBlockingEffect(player, actionId, action);
       const canUse =
         player.energy >= action.energyCost &&
         (!player.cooldowns.has(actionId) ||
           player.cooldowns.get(actionId) <= 0) &&
-        this.state.selectedActions.player.length <
-          this.options.maxActionsPerTurn &&
+        this.isAwaitingAction(player) &&
+        (action.type !== "item" || this.getUsableItems(player).length > 0) &&
+        !blockedBy &&
         this.state.phase === "select" &&
-        !this.state.animating;
+        !this.state.animating &&
+        !this.state.replay;
 
       button.disabled = !canUse;
       button.classList.toggle("disabled", !canUse);
 
+      // Mark actions a disable, silence or seal blocks
+      button.classList.toggle("action-blocked", Boolean(blockedBy));
+
+      // Spell out what the icons and badges show for screen readers
+      const cooldown = player.cooldowns.get(actionId) || 0;
+      const notes = [`${action.energyCost} energy`];
+      if (cooldown > 0) notes.push(`cooldown ${cooldown}`);
+      if (blockedBy) {
+        notes.push(
+          `blocked by ${this.effects.getStatusEffect(blockedBy).name}`
+        );
+      }
+      button.setAttribute("aria-label", `${action.name}, ${notes.join(", ")}`);
+
+      // Highlight actions that would finish a combo
+      button.classList.toggle(
+        "combo-ready",
+        canUse &&
+          this.getComboProgress(player, actionId).some(
+            (entry) => entry.completes
+          )
+      );
+
       // Set action type for styling
       button.setAttribute("data-action-type", action.type);
 
@@ -1227,6 +3712,98 @@ class Combat {
     });
   }
 
+  /**
+   * Let the player pick which item a Use Item action uses
+   * @param {Object} fighter - Fighter using the item
+   * @param {string} actionId - Item action to select once an item is picked
+   */
+  showItemPicker(fighter, actionId) {
+    const items = this.getUsableItems(fighter);
+    if (items.length === 0) {
+      this.showError("No usable items!");
+      return;
+    }
+
+    if (this.options.headless || !this.elements.container) {
+      this.showError("Choose an item to use");
+      return;
+    }
+
+    this.hideItemPicker();
+
+    const picker = document.createElement("div");
+    picker.className = "item-picker";
+    picker.innerHTML = `
+      <div class="item-picker-title">Use Item</div>
+      <div class="item-picker-list"></div>
+      <button class="item-picker-cancel">Cancel</button>
+    `;
+
+    const list = picker.querySelector(".item-picker-list");
+    items.forEach((item) => {
+      const option = document.createElement("button");
+      option.className = "item-picker-option";
+      option.innerHTML = `
+        <span class="item-picker-name">${item.name}</span>
+        <span class="item-picker-quantity">×${item.quantity}</span>
+        <span class="item-picker-effects">${this.describeItemEffects(
+          item
+        )}</span>
+      `;
+      option.addEventListener("click", () => {
+        this.selectAction(fighter.combatantId, actionId, null, item.id);
+      });
+      list.appendChild(option);
+    });
+
+    picker
+      .querySelector(".item-picker-cancel")
+      .addEventListener("click", () => this.hideItemPicker(true));
+
+    picker.setAttribute("role", "dialog");
+    picker.setAttribute("aria-label", "Use Item");
+
+    this.elements.container.appendChild(picker);
+    this.elements.itemPicker = picker;
+    list.querySelector(".item-picker-option").focus();
+  }
+
+  /**
+   * Close the item picker if it is open
+   * @param {boolean} restoreFocus - Return keyboard focus to the action buttons
+   */
+  hideItemPicker(restoreFocus = false) {
+    if (this.elements.itemPicker) {
+      this.elements.itemPicker.remove();
+      this.elements.itemPicker = null;
+
+      if (restoreFocus) this.focusActionButtons(true);
+    }
+  }
+
+  /**
+   * Summarize what an item's effects do, e.g. "+50 HP, 💗 Regeneration"
+   * @param {Object} item - Item with `effects`
+   */
+  describeItemEffects(item) {
+    return this.effects
+      .normalize(item)
+      .map((entry) => {
+        if (entry.type === "heal" || entry.type === "restore_hp") {
+          return entry.amount ? `+${entry.amount} HP` : "Heals";
+        }
+        if (entry.type === "restore_energy") {
+          return entry.amount ? `+${entry.amount} Energy` : "Restores energy";
+        }
+
+        const definition = this.effects.getStatusEffect(entry.type);
+        return definition
+          ? `${definition.icon} ${definition.name}`
+          : entry.type;
+      })
+      .join(", ");
+  }
+
   /**
    * Show action selection UI
    */
@@ -1240,6 +3817,8 @@ class Combat {
    * @param {string} fighterId - Fighter whose actions to update
    */
   updateActionDisplay(fighterId) {
+    if (this.options.headless) return;
+
     const selectedContainer = document.querySelector(
       `.${fighterId}-selected-actions`
     );
@@ -1248,11 +3827,32 @@ class Combat {
     selectedContainer.innerHTML = "";
 
     this.state.selectedActions[fighterId].forEach((actionData, index) => {
+      const actor = this.getCombatant(actionData.actorId);
+      const target = actionData.targetId
+        ? this.getCombatant(actionData.targetId)
+        : null;
+      const showNames = this.getParty(fighterId).length > 1;
+
+      const combos = (actionData.combos || [])
+        .map((comboId) => this.combos.getCombo(comboId))
+        .filter(Boolean);
+
       const actionElement = document.createElement("div");
       actionElement.className = "selected-action";
+      actionElement.classList.toggle("combo", combos.length > 0);
       actionElement.innerHTML = `
         <span class="action-icon">${actionData.action.icon}</span>
-        <span class="action-name">${actionData.action.name}</span>
+        <span class="action-name">${
+          showNames && actor ? `${actor.name}: ` : ""
+        }${actionData.action.name}${
+        showNames && target ? ` → ${target.name}` : ""
+      }</span>
+        ${combos
+          .map(
+            (combo) =>
+              `<span class="selected-combo">${combo.icon} ${combo.name}</span>`
+          )
+          .join("")}
       `;
       selectedContainer.appendChild(actionElement);
     });
@@ -1267,12 +3867,22 @@ class Combat {
 
     const actionId = button.dataset.action;
     const player = this.state.fighters.player;
-    const enemy = this.state.fighters.enemy;
+    const target = this.getCombatant(this.state.targets.enemy);
+    const enemy = target && target.hp > 0 ? target : this.state.fighters.enemy;
 
     if (!actionId || !player) return;
 
-    const action = player.customActions[actionId];
-    if (!action) return;
+    const baseAction = player.customActions[actionId];
+    if (!baseAction) return;
+
+    // Preview the action with the bonuses of any combo it would finish
+    const comboProgress = this.getComboProgress(player, actionId);
+    const action = this.combos.applyBonuses(
+      baseAction,
+      comboProgress
+        .filter((entry) => entry.completes)
+        .map((entry) => entry.combo)
+    );
 
     let tooltipContent = `
       <div class="tooltip-header">
@@ -1282,33 +3892,94 @@ class Combat {
       <div class="tooltip-description">${action.description}</div>
     `;
 
+    if (action.type === "item") {
+      tooltipContent += `<div class="tooltip-items">Usable items: ${
+        this.getUsableItems(player).length
+      }</div>`;
+    }
+
     // Add damage calculation for attacks
     if (action.type === "attack" && enemy) {
-      const baseDamage = action.power + player.attack;
-      let finalDamage = Math.max(1, baseDamage - enemy.defense);
-
-      // Account for boost
-      if (this.hasActiveEffect(player, "boost_damage")) {
-        const boostValue = this.getEffectValue(player, "boost_damage");
-        finalDamage = Math.floor(finalDamage * (1 + boostValue / 100));
-        tooltipContent += `<div class="tooltip-damage boosted">Damage: ${finalDamage} (boosted)</div>`;
-      } else {
-        tooltipContent += `<div class="tooltip-damage">Damage: ${finalDamage}</div>`;
+      const multiplier = this.getElementMultiplier(action, enemy);
+      const baseDamage = Math.round(
+        Math.max(1, action.power + player.attack - enemy.defense) * multiplier
+      );
+      const finalDamage = this.calculateDamage(action, player, enemy, {
+        critical: false,
+      });
+      const notes = [];
+
+      // Account for boosts from active effects and combos
+      if (finalDamage > baseDamage) notes.push("boosted");
+      if (action.comboBonus) notes.push("combo");
+      if (multiplier > 1) notes.push("super effective");
+      if (multiplier < 1) notes.push(multiplier === 0 ? "immune" : "resisted");
+
+      tooltipContent += `<div class="tooltip-damage${
+        finalDamage > baseDamage ? " boosted" : ""
+      }">Damage: ${finalDamage}${
+        notes.length > 0 ? ` (${notes.join(", ")})` : ""
+      }</div>`;
+
+      if (this.isRolledAttack(action, player, enemy)) {
+        const hit = Math.round(this.getHitChance(action, player, enemy) * 100);
+        const crit = Math.round(this.getCritChance(player) * 100);
+        tooltipContent += `<div class="tooltip-accuracy">Hit: ${hit}% · Crit: ${crit}% ×${this.getCritMultiplier(
+          player
+        )}</div>`;
       }
     }
 
+    if (action.element) {
+      tooltipContent += `<div class="tooltip-element">Element: ${
+        action.element.charAt(0).toUpperCase() + action.element.slice(1)
+      }</div>`;
+    }
+
+    const effectTypes = this.effects.getEffectTypes(action);
+
     // Add healing calculation
-    if (action.effects.includes("restore_hp")) {
+    if (effectTypes.includes("restore_hp")) {
       const healAmount = Math.floor(player.maxHp * (action.power / 100));
       tooltipContent += `<div class="tooltip-healing">Healing: ${healAmount} HP</div>`;
     }
 
     // Add energy restore calculation
-    if (action.effects.includes("restore_energy")) {
+    if (effectTypes.includes("restore_energy")) {
       const energyAmount = Math.floor(player.maxEnergy * (action.power / 100));
       tooltipContent += `<div class="tooltip-energy">Energy: +${energyAmount}</div>`;
     }
 
+    // Add applied status effects
+    this.effects.normalize(action).forEach((entry) => {
+      const definition = this.effects.getStatusEffect(entry.type);
+      if (!definition) return;
+
+      const duration =
+        entry.duration ??
+        this.effects.resolveParam(definition.duration, action);
+      tooltipContent += `<div class="tooltip-status">${definition.icon} ${definition.name} (${duration} turns)</div>`;
+    });
+
+    // Disable, silence or seal on the player
+    const blockedBy = this.getBlockingEffect(player, actionId, baseAction);
+    if (blockedBy) {
+      const definition = this.effects.getStatusEffect(blockedBy);
+      tooltipContent += `<div class="tooltip-blocked">${definition.icon} Blocked by ${definition.name}</div>`;
+    }
+
+    // Combos this action finishes, continues or starts
+    comboProgress.forEach(({ combo, step, completes }) => {
+      const status = completes
+        ? `Completes ${combo.name}`
+        : `${combo.name} ${step}/${combo.sequence.length}`;
+      tooltipContent += `<div class="tooltip-combo${
+        completes ? " ready" : ""
+      }">${combo.icon} ${status}${
+        completes && combo.description ? `: ${combo.description}` : ""
+      }</div>`;
+    });
+
     tooltipContent += `
       <div class="tooltip-stats">
         <div>Energy Cost: ${action.energyCost}</div>
@@ -1318,6 +3989,17 @@ class Combat {
       tooltipContent += `<div>Cooldown: ${action.cooldown} turns</div>`;
     }
 
+    const targetLabels = {
+      enemy: enemy ? enemy.name : "Enemy",
+      all_enemies: "All enemies",
+      ally: "One ally",
+      all_allies: "All allies",
+      self: "Self",
+    };
+    tooltipContent += `<div>Target: ${
+      targetLabels[this.getActionTargeting(action)]
+    }</div>`;
+
     tooltipContent += "</div>";
 
     this.elements.tooltip.innerHTML = tooltipContent;
@@ -1365,11 +4047,32 @@ class Combat {
     if (
       this.state.phase !== "select" ||
       this.state.currentFighter !== "player" ||
-      this.state.animating
+      this.state.animating ||
+      this.state.replay
+    ) {
+      return;
+    }
+
+    // Leave typing in form fields alone
+    const target = event.target;
+    if (
+      target &&
+      (target.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
     ) {
       return;
     }
 
+    // Escape closes the item picker, T cycles the enemy target
+    if (event.key === "Escape") {
+      this.hideItemPicker(true);
+      return;
+    }
+    if (event.key === "t" || event.key === "T") {
+      this.cycleTarget(event.shiftKey ? -1 : 1);
+      return;
+    }
+
     const keyActions = {
       1: 0,
       2: 1,
@@ -1388,14 +4091,194 @@ class Combat {
     }
   }
 
+  /**
+   * Move focus between action buttons with the arrow, Home and End keys
+   * @param {Event} event - Keydown event on an action button
+   */
+  handleActionKeydown(event) {
+    const buttons = this.getFocusableActionButtons();
+    const index = buttons.indexOf(event.currentTarget);
+    if (index === -1 || buttons.length === 0) return;
+
+    const moves = {
+      ArrowRight: index + 1,
+      ArrowDown: index + 1,
+      ArrowLeft: index - 1,
+      ArrowUp: index - 1,
+      Home: 0,
+      End: buttons.length - 1,
+    };
+    if (moves[event.key] === undefined) return;
+
+    event.preventDefault();
+    const next = (moves[event.key] + buttons.length) % buttons.length;
+    buttons[next].focus();
+  }
+
+  /**
+   * Get the action buttons keyboard focus can move between
+   * @returns {Array} - Shown, enabled buttons in page order
+   */
+  getFocusableActionButtons() {
+    return Array.from(this.elements.actionButtons || []).filter(
+      (button) => button.style.display !== "none" && !button.disabled
+    );
+  }
+
+  /**
+   * Focus the first usable action button - unless the player is busy
+   * somewhere else on the page
+   * @param {boolean} force - Focus even when focus is outside the combat
+   */
+  focusActionButtons(force = false) {
+    if (this.options.headless || typeof document === "undefined") return;
+
+    const active = document.activeElement;
+    const container = this.elements.container;
+    const idle =
+      !active ||
+      active === document.body ||
+      (container && container.contains(active));
+    if (!force && !idle) return;
+
+    const [first] = this.getFocusableActionButtons();
+    if (first && first !== active) first.focus();
+  }
+
+  /**
+   * Announce a message to screen readers through the live region
+   * @param {string} message - Text to announce
+   */
+  narrate(message) {
+    const region = this.elements.liveRegion;
+    if (!message || !region || !this.options.enableNarration) return;
+    if (this.options.headless) return;
+
+    const line = document.createElement("p");
+    line.textContent = message;
+    region.appendChild(line);
+
+    while (region.children.length > this.options.narrationLimit) {
+      region.firstElementChild.remove();
+    }
+  }
+
+  /**
+   * Tell the player whose move it is and focus the action buttons
+   * @param {string} prefix - What just happened, e.g. "Turn 3."
+   */
+  announceSelection(prefix) {
+    if (this.options.headless || this.state.replay) return;
+
+    const member = this.getNextSelectingMember("player");
+    const enemy = this.getCombatant(this.state.targets.enemy);
+    const parts = [prefix];
+
+    if (member) {
+      parts.push(`${this.describeHealth(member)}, ${member.energy} energy.`);
+      parts.push(`Choose ${member.name}'s action.`);
+      if (enemy && enemy.hp > 0) {
+        parts.push(`Target ${this.describeHealth(enemy)}.`);
+      }
+    }
+
+    this.narrate(parts.join(" "));
+    if (member) this.focusActionButtons();
+  }
+
+  /**
+   * Describe a fighter's health for narration, e.g. "Fighter, 62 of 100 HP"
+   * @param {Object} fighter - Fighter to describe
+   */
+  describeHealth(fighter) {
+    return fighter.hp > 0
+      ? `${fighter.name}, ${fighter.hp} of ${fighter.maxHp} HP`
+      : `${fighter.name}, defeated`;
+  }
+
+  /**
+   * Describe a battle log entry for screen readers - plainer than the combat
+   * log, without damage breakdowns
+   * @param {Object} entry - Battle log entry
+   * @returns {string}
+   */
+  describeNarration(entry) {
+    if (entry.type !== "action" || entry.prevented) {
+      return this.describeLogEntry(entry);
+    }
+
+    const outcomes = entry.targets.map((target) => {
+      const parts = [];
+      if (target.missed) parts.push("missed");
+      if (target.parried) parts.push("parried");
+      if (target.damage > 0) {
+        parts.push(
+          `${target.damage} damage${target.critical ? ", critical hit" : ""}`
+        );
+      }
+      if (target.effectiveness === "super_effective") {
+        parts.push("super effective");
+      }
+      if (target.healing > 0) parts.push(`healed ${target.healing}`);
+      if (target.energyRestore > 0) {
+        parts.push(`${target.energyRestore} energy restored`);
+      }
+      if (target.countered > 0) {
+        parts.push(`countered for ${target.countered}`);
+      }
+      if (target.hp !== null && (target.damage > 0 || target.healing > 0)) {
+        parts.push(
+          target.hp > 0 ? `${target.hp} HP left` : `${target.name} is defeated`
+        );
+      }
+      return parts.length > 0 ? `${target.name}: ${parts.join(", ")}` : "";
+    });
+
+    return [
+      `${entry.actor.name} used ${entry.action.name}.`,
+      ...outcomes.filter(Boolean).map((outcome) => `${outcome}.`),
+      ...entry.messages,
+    ].join(" ");
+  }
+
+  /**
+   * Check whether animations should be replaced with static indicators
+   * @returns {boolean} - The reducedMotion option, or the system setting when 'auto'
+   */
+  isReducedMotion() {
+    if (this.options.reducedMotion !== "auto") {
+      return Boolean(this.options.reducedMotion);
+    }
+    return (
+      typeof window !== "undefined" &&
+      typeof window.matchMedia === "function" &&
+      window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    );
+  }
+
+  /**
+   * Turn reduced motion mode on or off
+   * @param {boolean|string} reducedMotion - true, false or 'auto'
+   */
+  setReducedMotion(reducedMotion) {
+    this.options.reducedMotion = reducedMotion;
+    this.updateContainerState();
+  }
+
   /**
    * Show error message with enhanced animation
    * @param {string} message - Error message to display
    */
   showError(message) {
+    if (this.options.headless) {
+      this.log(message);
+      return;
+    }
+
     // Create temporary error display
     const errorElement = document.createElement("div");
     errorElement.className = "combat-error";
+    errorElement.setAttribute("role", "alert");
     errorElement.textContent = message;
 
     if (this.elements.container) {
@@ -1460,6 +4343,7 @@ class Combat {
     this.state.paused = paused;
     this.state.animating = paused;
     this.updateUI();
+    this.log(paused ? "Battle paused" : "Battle resumed");
   }
 
   /**
@@ -1467,6 +4351,8 @@ class Combat {
    * @param {number} ms - Milliseconds to wait
    */
   wait(ms) {
+    if (this.options.headless) return Promise.resolve();
+
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
@@ -1503,7 +4389,8 @@ class Combat {
    * Clear active timers
    */
   clearTimers() {
-    // Override in implementation if needed
+    this.stopClock();
+    this.state.timer = null;
   }
 
   /**
@@ -1513,3 +4400,8 @@ class Combat {
     // Override in implementation if needed
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Combat;
+}
@@ -0,0 +1,385 @@
+/**
+ * InventoryContainer - Item Containers
+ * One set of item slots: the player's bag, a bank stash or a world chest.
+ * A bag grows by the slots of the bag items worn on it, and each container
+ * saves under its own storage and GameState keys. In the grid layout items
+ * cover width × height cells of a grid `columns` wide.
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class InventoryContainer {
+  /**
+   * @param {string} id - Container identifier
+   * @param {Object} definition - { name, type: 'bag'|'stash'|'chest', slots, layout: 'slots'|'grid', columns, gameStateKey, storageKey, persist }
+   * @param {Object} options - { enableDebugLogs }
+   */
+  constructor(id, definition = {}, options = {}) {
+    // Configuration options
+    this.options = {
+      enableDebugLogs: false,
+      ...options,
+    };
+
+    this.id = id;
+    this.name = definition.name || id;
+    this.type = definition.type || "chest";
+
+    // Slots of its own plus those added by equipped bag items
+    this.baseSlots = definition.slots || 20;
+    this.bonusSlots = 0;
+    this.slots = new Array(this.baseSlots).fill(null);
+
+    // 'slots' holds one item per slot; 'grid' stores each item in the top-left
+    // cell of its footprint and leaves the other cells it covers empty
+    this.layout = definition.layout || "slots";
+    this.columns = definition.columns || 8;
+
+    // Where the contents are saved - nothing is saved without persist
+    this.persist = definition.persist !== false;
+    this.gameStateKey = definition.gameStateKey || null;
+    this.storageKey = definition.storageKey || null;
+  }
+
+  /**
+   * Get the number of slots the container should have
+   * @returns {number} - Base slots plus bonus slots
+   */
+  getSlotCount() {
+    return this.baseSlots + this.bonusSlots;
+  }
+
+  /**
+   * Check whether a slot index exists
+   * @param {number} slotIndex - Slot index
+   */
+  isValidSlot(slotIndex) {
+    return (
+      Number.isInteger(slotIndex) &&
+      slotIndex >= 0 &&
+      slotIndex < this.slots.length
+    );
+  }
+
+  /**
+   * Check whether items take up cells of a grid
+   */
+  isGrid() {
+    return this.layout === "grid";
+  }
+
+  /**
+   * Get the cells an item covers - always 1×1 in the slot layout
+   * @param {InventoryItem} item - Item to measure
+   * @param {boolean} rotated - Orientation (default: the item's)
+   * @returns {Object} - { width, height }
+   */
+  getFootprint(item, rotated = item.rotated) {
+    return this.isGrid() ? item.getFootprint(rotated) : { width: 1, height: 1 };
+  }
+
+  /**
+   * Get the cells an item would cover with its top-left corner in a slot
+   * @param {InventoryItem} item - Item to place
+   * @param {number} slotIndex - Top-left cell
+   * @param {boolean} rotated - Orientation (default: the item's)
+   * @returns {Array|null} - Cell indices, or null when it sticks out of the grid
+   */
+  getCells(item, slotIndex, rotated = item.rotated) {
+    if (!this.isValidSlot(slotIndex)) return null;
+
+    const { width, height } = this.getFootprint(item, rotated);
+    if ((slotIndex % this.columns) + width > this.columns) return null;
+
+    const cells = [];
+    for (let row = 0; row < height; row++) {
+      for (let column = 0; column < width; column++) {
+        const cell = slotIndex + row * this.columns + column;
+        if (cell >= this.slots.length) return null;
+        cells.push(cell);
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Get the cells covered by items
+   * @param {InventoryItem|null} except - Item whose own cells count as free
+   * @returns {Set} - Cell indices
+   */
+  getOccupiedCells(except = null) {
+    const occupied = new Set();
+    this.slots.forEach((item, slot) => {
+      if (!item || item === except) return;
+      (this.getCells(item, slot) || [slot]).forEach((cell) =>
+        occupied.add(cell)
+      );
+    });
+    return occupied;
+  }
+
+  /**
+   * Find the slot of the item covering a cell
+   * @param {number} cellIndex - Cell index
+   * @returns {number} - The item's slot, or -1 when the cell is free
+   */
+  getItemSlot(cellIndex) {
+    if (!this.isValidSlot(cellIndex)) return -1;
+    if (this.slots[cellIndex] || !this.isGrid()) {
+      return this.slots[cellIndex] ? cellIndex : -1;
+    }
+
+    return this.slots.findIndex((item, slot) => {
+      const cells = item ? this.getCells(item, slot) : null;
+      return Boolean(cells && cells.includes(cellIndex));
+    });
+  }
+
+  /**
+   * Check whether an item fits with its top-left corner in a slot. Cells the
+   * item already covers count as free, so it can shift onto itself.
+   * @param {InventoryItem} item - Item to place
+   * @param {number} slotIndex - Top-left cell
+   * @param {boolean} rotated - Orientation (default: the item's)
+   * @param {Set} occupied - Occupied cells, when already worked out
+   */
+  canPlace(
+    item,
+    slotIndex,
+    rotated = item.rotated,
+    occupied = this.getOccupiedCells(item)
+  ) {
+    const cells = this.getCells(item, slotIndex, rotated);
+    return Boolean(cells) && cells.every((cell) => !occupied.has(cell));
+  }
+
+  /**
+   * Find the first empty slot
+   * @param {InventoryItem|null} item - Item that has to fit as it's turned (default: a single cell)
+   * @returns {number} - Slot index, or -1 when the container is full
+   */
+  findEmptySlot(item = null) {
+    const occupied = this.getOccupiedCells(item);
+    for (let slot = 0; slot < this.slots.length; slot++) {
+      const fits = item
+        ? this.canPlace(item, slot, item.rotated, occupied)
+        : !occupied.has(slot);
+      if (fits) return slot;
+    }
+    return -1;
+  }
+
+  /**
+   * Find room for an item: the preferred slot, then the first slot it fits
+   * as it's turned, then the first it fits turned the other way
+   * @param {InventoryItem} item - Item to place
+   * @param {number} preferredSlot - Preferred top-left cell
+   * @returns {Object|null} - { slot, rotated }, or null when there's no room
+   */
+  findPlacement(item, preferredSlot = -1) {
+    const occupied = this.getOccupiedCells(item);
+    if (this.canPlace(item, preferredSlot, item.rotated, occupied)) {
+      return { slot: preferredSlot, rotated: item.rotated };
+    }
+
+    const orientations =
+      this.isGrid() && item.width !== item.height
+        ? [item.rotated, !item.rotated]
+        : [item.rotated];
+
+    for (const rotated of orientations) {
+      for (let slot = 0; slot < this.slots.length; slot++) {
+        if (this.canPlace(item, slot, rotated, occupied)) {
+          return { slot, rotated };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Put an item where findPlacement() finds room, turning it if needed
+   * @param {InventoryItem} item - Item to place
+   * @param {number} preferredSlot - Preferred top-left cell
+   * @returns {number} - Slot the item went into, or -1 when there's no room
+   */
+  insertItem(item, preferredSlot = -1) {
+    const placement = this.findPlacement(item, preferredSlot);
+    if (!placement) return -1;
+
+    item.rotated = placement.rotated;
+    this.slots[placement.slot] = item;
+    return placement.slot;
+  }
+
+  /**
+   * Turn an item in place if it fits turned
+   * @param {number} slotIndex - Slot of the item
+   * @returns {boolean} - True if the item was turned
+   */
+  rotateItem(slotIndex) {
+    const item = this.slots[slotIndex];
+    if (!item || !this.isGrid() || item.width === item.height) return false;
+    if (!this.canPlace(item, slotIndex, !item.rotated)) return false;
+
+    item.rotated = !item.rotated;
+    return true;
+  }
+
+  /**
+   * Lay items out again in order. A grid that can't take them in that order
+   * is packed biggest first instead.
+   * @param {Array} items - InventoryItems in the order to place them
+   * @returns {boolean} - False (and nothing moved) if they didn't fit either way
+   */
+  arrange(items) {
+    const saved = this.snapshot();
+    const area = (item) => item.width * item.height;
+    const orders = this.isGrid()
+      ? [items, [...items].sort((a, b) => area(b) - area(a))]
+      : [items];
+
+    for (const order of orders) {
+      this.slots.fill(null);
+      if (order.every((item) => this.insertItem(item) !== -1)) return true;
+    }
+
+    this.restore(saved);
+    return false;
+  }
+
+  /**
+   * Copy the slots, item orientations and stack sizes so a change can be undone
+   * @returns {Object} - { slots, rotated, quantities }
+   */
+  snapshot() {
+    return {
+      slots: [...this.slots],
+      rotated: this.slots.map((item) => (item ? item.rotated : false)),
+      quantities: this.slots.map((item) => (item ? item.quantity : 0)),
+    };
+  }
+
+  /**
+   * Undo changes made since a snapshot
+   * @param {Object} saved - From snapshot()
+   */
+  restore(saved) {
+    this.slots = saved.slots;
+    saved.slots.forEach((item, slot) => {
+      if (!item) return;
+      item.rotated = saved.rotated[slot];
+      item.quantity = saved.quantities[slot];
+    });
+  }
+
+  /**
+   * Get the items in the container
+   * @returns {Array} - [{ item, slot }]
+   */
+  getItems() {
+    const items = [];
+    this.slots.forEach((item, slot) => {
+      if (item) items.push({ item, slot });
+    });
+    return items;
+  }
+
+  /**
+   * Check whether the container can change to a slot count - the items in
+   * slots that go away need free room to move to
+   * @param {number} slotCount - New number of slots
+   */
+  canResize(slotCount) {
+    const saved = this.snapshot();
+    const fits = this.resize(slotCount);
+    this.restore(saved);
+    return fits;
+  }
+
+  /**
+   * Change the bonus slots, moving items out of the slots that go away
+   * @param {number} bonusSlots - Slots added on top of the base slots
+   * @returns {boolean} - False if those items had nowhere to go
+   */
+  setBonusSlots(bonusSlots) {
+    const slotCount = this.baseSlots + bonusSlots;
+    if (!this.resize(slotCount)) {
+      this.log(`Can't shrink ${this.id} to ${slotCount} slots`);
+      return false;
+    }
+
+    this.bonusSlots = bonusSlots;
+    return true;
+  }
+
+  /**
+   * Change the number of slots, moving the items that stick out of the new
+   * size into free room
+   * @param {number} slotCount - New number of slots
+   * @returns {boolean} - False (and nothing changed) if they didn't fit
+   */
+  resize(slotCount) {
+    const saved = this.snapshot();
+    const displaced = [];
+
+    this.slots.forEach((item, slot) => {
+      const cells = item ? this.getCells(item, slot) : null;
+      if (item && (!cells || cells.some((cell) => cell >= slotCount))) {
+        displaced.push(item);
+        this.slots[slot] = null;
+      }
+    });
+
+    this.slots.splice(slotCount);
+    while (this.slots.length < slotCount) {
+      this.slots.push(null);
+    }
+
+    if (displaced.every((item) => this.insertItem(item) !== -1)) return true;
+
+    this.restore(saved);
+    return false;
+  }
+
+  /**
+   * Replace the contents with saved slots
+   * @param {Array} slots - Item data (or null) per slot, from toJSON()
+   */
+  loadSlots(slots) {
+    this.slots = slots.map((itemData) =>
+      itemData ? InventoryItem.fromJSON(itemData) : null
+    );
+
+    // Saved slots beyond the count stay until their items are moved
+    while (this.slots.length < this.getSlotCount()) {
+      this.slots.push(null);
+    }
+  }
+
+  /**
+   * Convert the container to JSON for storage
+   * @returns {Object} - { id, name, type, slots }
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      type: this.type,
+      slots: this.slots.map((item) => (item ? item.toJSON() : null)),
+    };
+  }
+
+  /**
+   * Log debug message
+   * @param {string} message - Message to log
+   */
+  log(message) {
+    if (this.options.enableDebugLogs) {
+      console.log(`[InventoryContainer] ${message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = InventoryContainer;
+}
@@ -0,0 +1,190 @@
+/**
+ * InventoryCrafting - Crafting Recipe Registry
+ * Declares recipes that turn item templates into others: the inputs they use
+ * up, the tools they need on hand, how long they take and how often they work
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class InventoryCrafting {
+  constructor(options = {}) {
+    // Configuration options
+    this.options = {
+      enableDebugLogs: false,
+      loadDefaultRecipes: true,
+      recipes: {}, // Extra recipes by ID
+      random: Math.random, // Source of the success rolls
+      ...options,
+    };
+
+    // Recipes keyed by id: { name, icon, category, inputs, outputs, tools, time, successChance, description }
+    this.recipes = new Map();
+
+    if (this.options.loadDefaultRecipes) {
+      this.loadDefaultRecipes();
+    }
+    Object.entries(this.options.recipes).forEach(([recipeId, definition]) => {
+      this.registerRecipe(recipeId, definition);
+    });
+  }
+
+  /**
+   * Register the built-in recipes - they use the default item templates
+   */
+  loadDefaultRecipes() {
+    this.registerRecipe("brew_health_potion", {
+      name: "Brew Health Potion",
+      icon: "⚗️",
+      category: "alchemy",
+      inputs: { healing_herb: 3 },
+      outputs: { health_potion: 1 },
+      time: 1000,
+      description: "Three herbs boiled down into a potion",
+    });
+
+    this.registerRecipe("forge_iron_sword", {
+      name: "Forge Iron Sword",
+      icon: "⚒️",
+      category: "smithing",
+      inputs: { iron_ingot: 3, leather_strip: 1 },
+      outputs: { iron_sword: 1 },
+      tools: ["smithing_hammer"],
+      time: 3000,
+      successChance: 0.8,
+      description: "Needs a hammer - and a steady hand",
+    });
+
+    this.registerRecipe("sew_leather_armor", {
+      name: "Sew Leather Armor",
+      icon: "🧵",
+      category: "tailoring",
+      inputs: { leather_strip: 5 },
+      outputs: { leather_armor: 1 },
+      time: 2000,
+      description: "Five strips stitched into a vest",
+    });
+  }
+
+  /**
+   * Register a recipe
+   * @param {string} recipeId - Recipe identifier
+   * @param {Object} definition - { name, icon, category, inputs: { templateId: quantity } or [{ templateId, quantity }], outputs: same, tools: template IDs needed but not used up, time: ms, successChance: 0-1, description }
+   */
+  registerRecipe(recipeId, definition) {
+    const inputs = this.normalizeEntries(definition.inputs);
+    const outputs = this.normalizeEntries(definition.outputs);
+    if (inputs.length === 0 || outputs.length === 0) {
+      throw new Error(`Recipe ${recipeId} needs inputs and outputs`);
+    }
+
+    this.recipes.set(recipeId, {
+      icon: "🛠️",
+      category: "general",
+      time: 0,
+      successChance: 1,
+      description: "",
+      ...definition,
+      id: recipeId,
+      name: definition.name || recipeId,
+      inputs,
+      outputs,
+      tools: [].concat(definition.tools || []),
+    });
+    this.log(`Registered recipe: ${recipeId}`);
+  }
+
+  /**
+   * Turn recipe inputs or outputs into a list
+   * @param {Object|Array} entries - { templateId: quantity }, or template IDs and { templateId, quantity }
+   * @returns {Array} - [{ templateId, quantity }]
+   */
+  normalizeEntries(entries = []) {
+    if (!Array.isArray(entries)) {
+      return Object.entries(entries).map(([templateId, quantity]) => ({
+        templateId,
+        quantity,
+      }));
+    }
+
+    return entries.map((entry) =>
+      typeof entry === "string"
+        ? { templateId: entry, quantity: 1 }
+        : { quantity: 1, ...entry }
+    );
+  }
+
+  /**
+   * Remove a recipe
+   * @param {string} recipeId - Recipe identifier
+   * @returns {boolean} - True if the recipe existed
+   */
+  removeRecipe(recipeId) {
+    return this.recipes.delete(recipeId);
+  }
+
+  /**
+   * Get a recipe definition
+   * @param {string} recipeId - Recipe identifier
+   */
+  getRecipe(recipeId) {
+    return this.recipes.get(recipeId) || null;
+  }
+
+  /**
+   * Get every registered recipe
+   * @returns {Array} - Recipe definitions
+   */
+  getRecipes() {
+    return Array.from(this.recipes.values());
+  }
+
+  /**
+   * Check a recipe against what's on hand
+   * @param {Object} recipe - Recipe definition
+   * @param {Map} available - Template ID -> quantity that can be used up
+   * @param {Map} present - Template ID -> quantity carried at all (tools)
+   * @returns {Object} - { met, missing: [{ templateId, required, available }], missingTools: template IDs }
+   */
+  checkRecipe(recipe, available, present = available) {
+    const missing = recipe.inputs
+      .map(({ templateId, quantity }) => ({
+        templateId,
+        required: quantity,
+        available: available.get(templateId) || 0,
+      }))
+      .filter((entry) => entry.available < entry.required);
+    const missingTools = recipe.tools.filter(
+      (templateId) => !present.get(templateId)
+    );
+
+    return {
+      met: missing.length === 0 && missingTools.length === 0,
+      missing,
+      missingTools,
+    };
+  }
+
+  /**
+   * Roll whether a craft works
+   * @param {Object} recipe - Recipe definition
+   * @returns {boolean}
+   */
+  rollSuccess(recipe) {
+    return (
+      recipe.successChance >= 1 || this.options.random() < recipe.successChance
+    );
+  }
+
+  /**
+   * Log debug message
+   * @param {string} message - Message to log
+   */
+  log(message) {
+    if (this.options.enableDebugLogs) {
+      console.log(`[InventoryCrafting] ${message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = InventoryCrafting;
+}
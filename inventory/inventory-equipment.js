@@ -0,0 +1,227 @@
+/**
+ * InventoryEquipment - Equipment Slots and Loadouts
+ * Tracks which inventory items each character wears, maps items to equipment
+ * slots by category, checks item requirements and totals equipped stats
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class InventoryEquipment {
+  constructor(options = {}) {
+    // Configuration options
+    this.options = {
+      slots: [
+        "weapon",
+        "offhand",
+        "head",
+        "chest",
+        "hands",
+        "legs",
+        "feet",
+        "accessory",
+        "bag",
+      ],
+      // Item categories that aren't slot names themselves
+      categorySlots: {
+        melee: "weapon",
+        ranged: "weapon",
+        magic: "weapon",
+        shield: "offhand",
+        helmet: "head",
+        body: "chest",
+        gloves: "hands",
+        boots: "feet",
+        ring: "accessory",
+        amulet: "accessory",
+        backpack: "bag",
+        pouch: "bag",
+      },
+      // Fallback for items whose category has no slot
+      typeSlots: {
+        weapon: "weapon",
+        armor: "chest",
+        container: "bag",
+      },
+      ...options,
+    };
+
+    // Character ID -> { equipment slot: item ID }
+    this.loadouts = new Map();
+  }
+
+  /**
+   * Get the equipment slot an item goes in
+   * @param {InventoryItem} item - Item to check
+   * @returns {string|null} - Slot name, or null if the item can't be equipped
+   */
+  getSlotForItem(item) {
+    if (!item) return null;
+
+    const { slots, categorySlots, typeSlots } = this.options;
+    if (slots.includes(item.category)) return item.category;
+
+    return categorySlots[item.category] || typeSlots[item.type] || null;
+  }
+
+  /**
+   * Check an item's requirements against a character
+   * @param {InventoryItem} item - Item with `requirements` ({ level: 5, attack: 10, class: "mage" })
+   * @param {Object} character - Character stats, e.g. { level: 3, attack: 12 }
+   * @returns {Object} - { met, missing: [{ requirement, required, current }] }
+   */
+  checkRequirements(item, character = {}) {
+    const missing = [];
+
+    Object.entries(item.requirements || {}).forEach(
+      ([requirement, required]) => {
+        const current = character[requirement];
+        let met;
+
+        if (typeof required === "number") {
+          met = (Number(current) || 0) >= required;
+        } else if (Array.isArray(required)) {
+          met = required.includes(current);
+        } else {
+          met = current === required;
+        }
+
+        if (!met) {
+          missing.push({ requirement, required, current: current ?? null });
+        }
+      }
+    );
+
+    return { met: missing.length === 0, missing };
+  }
+
+  /**
+   * Equip an item for a character, replacing what was in its slot
+   * @param {string} characterId - Character wearing the item
+   * @param {InventoryItem} item - Item to equip
+   * @returns {Object|null} - { slot, replaced } (replaced item ID), or null if not equippable
+   */
+  equip(characterId, item) {
+    const slot = this.getSlotForItem(item);
+    if (!slot) return null;
+
+    // An item is only ever worn by one character
+    this.unequip(item.id);
+
+    const loadout = this.loadouts.get(characterId) || {};
+    const replaced = loadout[slot] || null;
+    loadout[slot] = item.id;
+    this.loadouts.set(characterId, loadout);
+
+    return { slot, replaced };
+  }
+
+  /**
+   * Take an item off whoever wears it
+   * @param {string} itemId - Item ID
+   * @returns {Object|null} - { characterId, slot }, or null if it wasn't equipped
+   */
+  unequip(itemId) {
+    const equipped = this.findEquipped(itemId);
+    if (!equipped) return null;
+
+    const loadout = this.loadouts.get(equipped.characterId);
+    delete loadout[equipped.slot];
+    if (Object.keys(loadout).length === 0) {
+      this.loadouts.delete(equipped.characterId);
+    }
+
+    return equipped;
+  }
+
+  /**
+   * Find who wears an item
+   * @param {string} itemId - Item ID
+   * @returns {Object|null} - { characterId, slot }
+   */
+  findEquipped(itemId) {
+    for (const [characterId, loadout] of this.loadouts) {
+      const slot = Object.keys(loadout).find((key) => loadout[key] === itemId);
+      if (slot) return { characterId, slot };
+    }
+    return null;
+  }
+
+  /**
+   * Get a character's equipped item IDs
+   * @param {string} characterId - Character ID
+   * @returns {Object} - { equipment slot: item ID }
+   */
+  getLoadout(characterId) {
+    return { ...(this.loadouts.get(characterId) || {}) };
+  }
+
+  /**
+   * Sum the stats of a set of items
+   * @param {Array|Object} items - Items, or a { slot: item } map
+   * @returns {Object} - Stat name -> total
+   */
+  getStatTotals(items) {
+    const totals = {};
+
+    Object.values(items).forEach((item) => {
+      if (!item) return;
+
+      const stats =
+        typeof item.getEffectiveStats === "function"
+          ? item.getEffectiveStats()
+          : item.stats || {};
+
+      Object.entries(stats).forEach(([stat, value]) => {
+        if (typeof value === "number") {
+          totals[stat] = (totals[stat] || 0) + value;
+        }
+      });
+    });
+
+    return totals;
+  }
+
+  /**
+   * Forget loadout entries whose item no longer exists
+   * @param {Function} hasItem - Returns true if an item ID is still in the inventory
+   */
+  prune(hasItem) {
+    Array.from(this.loadouts.keys()).forEach((characterId) => {
+      const loadout = this.loadouts.get(characterId);
+      Object.keys(loadout).forEach((slot) => {
+        if (!hasItem(loadout[slot])) delete loadout[slot];
+      });
+      if (Object.keys(loadout).length === 0) {
+        this.loadouts.delete(characterId);
+      }
+    });
+  }
+
+  /**
+   * Convert loadouts to JSON for storage
+   * @returns {Object} - { characterId: { slot: itemId } }
+   */
+  toJSON() {
+    const data = {};
+    this.loadouts.forEach((loadout, characterId) => {
+      data[characterId] = { ...loadout };
+    });
+    return data;
+  }
+
+  /**
+   * Restore loadouts from JSON
+   * @param {Object} data - Output of toJSON()
+   */
+  fromJSON(data = {}) {
+    this.loadouts = new Map(
+      Object.entries(data).map(([characterId, loadout]) => [
+        characterId,
+        { ...loadout },
+      ])
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = InventoryEquipment;
+}
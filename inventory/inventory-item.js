@@ -23,6 +23,18 @@ class InventoryItem {
     this.maxStackSize = itemData.maxStackSize || 1;
     this.quantity = itemData.quantity || 1;
     
+    // Encumbrance (per unit)
+    this.weight = itemData.weight || 0;
+    this.volume = itemData.volume || 0;
+    
+    // Bag items: slots added to the player's bag while worn
+    this.containerSlots = itemData.containerSlots || 0;
+    
+    // Footprint in grid inventories (cells wide and high); rotated swaps them
+    this.width = itemData.width || 1;
+    this.height = itemData.height || 1;
+    this.rotated = itemData.rotated || false;
+    
     // Value and trading
     this.value = itemData.value || 0;
     this.sellValue = itemData.sellValue || Math.floor(this.value * 0.5);
@@ -283,6 +295,33 @@ class InventoryItem {
     return baseStats;
   }
 
+  /**
+   * Get the weight of the whole stack
+   * @returns {number} - Per-unit weight times quantity
+   */
+  getTotalWeight() {
+    return this.weight * this.quantity;
+  }
+
+  /**
+   * Get the volume of the whole stack
+   * @returns {number} - Per-unit volume times quantity
+   */
+  getTotalVolume() {
+    return this.volume * this.quantity;
+  }
+
+  /**
+   * Get the cells the item covers in a grid inventory
+   * @param {boolean} rotated - Orientation to measure (default: the current one)
+   * @returns {Object} - { width, height }
+   */
+  getFootprint(rotated = this.rotated) {
+    return rotated
+      ? { width: this.height, height: this.width }
+      : { width: this.width, height: this.height };
+  }
+
   /**
    * Get item rarity color
    * @returns {string} - CSS color value for rarity
@@ -340,6 +379,11 @@ class InventoryItem {
       quantity: this.quantity,
       maxStackSize: this.maxStackSize,
       stackable: this.stackable,
+      weight: this.weight,
+      volume: this.volume,
+      totalWeight: this.getTotalWeight(),
+      totalVolume: this.getTotalVolume(),
+      size: `${this.getFootprint().width}×${this.getFootprint().height}`,
       equipped: this.equipped,
       locked: this.locked,
       favorite: this.favorite,
@@ -374,6 +418,12 @@ class InventoryItem {
       stackable: this.stackable,
       maxStackSize: this.maxStackSize,
       quantity: this.quantity,
+      weight: this.weight,
+      volume: this.volume,
+      containerSlots: this.containerSlots,
+      width: this.width,
+      height: this.height,
+      rotated: this.rotated,
       value: this.value,
       sellValue: this.sellValue,
       tradeable: this.tradeable,
@@ -11,6 +11,7 @@ class InventoryManager {
     this.options = {
       maxSlots: 40,
       columns: 8,
+      layout: "slots", // 'slots' (one item per slot) or 'grid' (items cover width × height cells, `columns` wide)
       enableDragDrop: true,
       enableContextMenu: true,
       enableTooltips: true,
@@ -27,11 +28,43 @@ class InventoryManager {
       enableBulkOperations: true,
       storageKey: "inventory-data",
       enableDebugLogs: false,
+      defaultCharacter: "default", // Character the Equip button dresses
+      equipment: {}, // InventoryEquipment options (slots, category mapping)
+      maxWeight: null, // Total carry weight, null for no limit
+      maxVolume: null, // Total volume, null for no limit
+      allowPartialAdd: true, // Take the part of a stack that fits the weight/volume limits
+      containers: {}, // Containers besides the bag, by ID: { name, type, slots } (stash, chests)
+      crafting: {}, // InventoryCrafting options (recipes, random)
+      shop: {}, // InventoryShop options (merchants, buybackLimit, reputationEffect)
+      currencyKey: "currency", // Game state key of the player's currency
+      currencyName: "gold",
+      startingCurrency: 0,
+      getReputation: null, // (npcId, merchantId) => -100..100; defaults to the dialogue NPC relationship
       ...options,
     };
 
+    // Containers by ID - the player's bag holds `slots`, the rest are opened
+    // next to it (stash, chests)
+    this.containers = new Map();
+    this.containers.set(
+      "bag",
+      new InventoryContainer(
+        "bag",
+        {
+          name: "Bag",
+          type: "bag",
+          slots: this.options.maxSlots,
+          layout: this.options.layout,
+          columns: this.options.columns,
+          gameStateKey: this.options.gameStateKey,
+          storageKey: this.options.storageKey,
+        },
+        { enableDebugLogs: this.options.enableDebugLogs }
+      )
+    );
+    this.openContainerId = null;
+
     // Core inventory state
-    this.slots = new Array(this.options.maxSlots).fill(null);
     this.selectedSlots = new Set();
     this.clipboard = null;
 
@@ -52,6 +85,25 @@ class InventoryManager {
     // Item templates for creating new items
     this.itemTemplates = new Map();
 
+    // Equipment slots and per-character loadouts
+    this.equipment = new InventoryEquipment(this.options.equipment);
+
+    // Crafting recipes; one craft runs at a time
+    this.crafting = new InventoryCrafting({
+      enableDebugLogs: this.options.enableDebugLogs,
+      ...this.options.crafting,
+    });
+    this.activeCraft = null;
+    this.isCraftingOpen = false;
+
+    // Merchants and the player's currency; one shop is open at a time
+    this.shop = new InventoryShop({
+      enableDebugLogs: this.options.enableDebugLogs,
+      ...this.options.shop,
+    });
+    this.currency = this.options.startingCurrency;
+    this.openMerchantId = null;
+
     // Event listeners storage for cleanup
     this.eventListeners = new Map();
 
@@ -65,6 +117,17 @@ class InventoryManager {
     });
   }
 
+  /**
+   * Slots of the player's bag
+   */
+  get slots() {
+    return this.containers.get("bag").slots;
+  }
+
+  set slots(slots) {
+    this.containers.get("bag").slots = slots;
+  }
+
   /**
    * Initialize the inventory system
    */
@@ -83,6 +146,14 @@ class InventoryManager {
       // Load saved inventory
       await this.loadInventory();
 
+      // Merchant stock and the currency have their own keys as well
+      this.loadShop();
+
+      // Other containers load their own saved contents
+      Object.entries(this.options.containers).forEach(([id, definition]) => {
+        this.addContainer(id, definition);
+      });
+
       // Create UI container - this is critical for DOM rendering
       await this.createUI();
 
@@ -134,6 +205,14 @@ class InventoryManager {
           this.refreshUI();
         }
       });
+
+      // Quests and other systems can pay the player through game state
+      this.game.state.watch(this.options.currencyKey, (newValue) => {
+        if (typeof newValue === "number" && this.isInitialized) {
+          this.updateCurrency(newValue);
+          this.refreshUI();
+        }
+      });
     }
   }
 
@@ -151,6 +230,8 @@ class InventoryManager {
         value: 1,
         stackable: true,
         maxStackSize: 99,
+        weight: 0.1,
+        volume: 0.1,
       },
       health_potion: {
         name: "Health Potion",
@@ -161,6 +242,8 @@ class InventoryManager {
         value: 10,
         stackable: true,
         maxStackSize: 20,
+        weight: 0.5,
+        volume: 0.5,
         effects: [{ type: "heal", amount: 50 }],
       },
       iron_sword: {
@@ -174,6 +257,10 @@ class InventoryManager {
         durability: 100,
         maxDurability: 100,
         stackable: false,
+        weight: 4,
+        volume: 3,
+        width: 1,
+        height: 3,
         stats: { attack: 15, speed: 5 },
       },
       leather_armor: {
@@ -187,8 +274,76 @@ class InventoryManager {
         durability: 80,
         maxDurability: 80,
         stackable: false,
+        weight: 6,
+        volume: 5,
+        width: 2,
+        height: 2,
         stats: { defense: 8, agility: 2 },
       },
+      leather_backpack: {
+        name: "Leather Backpack",
+        description: "Adds 8 bag slots while worn",
+        type: "container",
+        category: "backpack",
+        rarity: "common",
+        icon: "leather-backpack.png",
+        value: 40,
+        stackable: false,
+        weight: 1,
+        volume: 2,
+        width: 2,
+        height: 2,
+        containerSlots: 8,
+      },
+      healing_herb: {
+        name: "Healing Herb",
+        description: "Brewed into health potions",
+        type: "material",
+        rarity: "common",
+        icon: "healing-herb.png",
+        value: 2,
+        stackable: true,
+        maxStackSize: 50,
+        weight: 0.1,
+        volume: 0.1,
+      },
+      iron_ingot: {
+        name: "Iron Ingot",
+        description: "Smithing material",
+        type: "material",
+        rarity: "common",
+        icon: "iron-ingot.png",
+        value: 15,
+        stackable: true,
+        maxStackSize: 20,
+        weight: 1,
+        volume: 0.5,
+      },
+      leather_strip: {
+        name: "Leather Strip",
+        description: "Smithing and tailoring material",
+        type: "material",
+        rarity: "common",
+        icon: "leather-strip.png",
+        value: 5,
+        stackable: true,
+        maxStackSize: 50,
+        weight: 0.2,
+        volume: 0.2,
+      },
+      smithing_hammer: {
+        name: "Smithing Hammer",
+        description: "Needed to forge weapons",
+        type: "tool",
+        rarity: "common",
+        icon: "smithing-hammer.png",
+        value: 30,
+        durability: 200,
+        maxDurability: 200,
+        stackable: false,
+        weight: 2,
+        volume: 1,
+      },
     };
 
     Object.entries(defaultTemplates).forEach(([id, template]) => {
@@ -265,6 +420,12 @@ class InventoryManager {
         return false;
       }
 
+      // Over the weight or volume limit - take what fits, leave the rest in item
+      const fitting = this.getFittingQuantity(item);
+      if (fitting < item.quantity) {
+        return this.addPartialItem(item, fitting, preferredSlot);
+      }
+
       // Auto-stack if enabled
       if (this.options.autoStack && item.stackable) {
         const stackResult = this.tryStackItem(item);
@@ -285,15 +446,9 @@ class InventoryManager {
         item = stackResult.remainingItem;
       }
 
-      // Find available slot
-      let targetSlot = preferredSlot;
-      if (
-        targetSlot === -1 ||
-        targetSlot >= this.options.maxSlots ||
-        this.slots[targetSlot] !== null
-      ) {
-        targetSlot = this.findEmptySlot();
-      }
+      // Add item to the preferred slot or the first free one - a grid may
+      // turn the item to make it fit
+      const targetSlot = this.getBag().insertItem(item, preferredSlot);
 
       if (targetSlot === -1) {
         this.log("Inventory full - cannot add item", "warn");
@@ -301,8 +456,6 @@ class InventoryManager {
         return false;
       }
 
-      // Add item to slot
-      this.slots[targetSlot] = item;
       this.log(`Added item ${item.name} to slot ${targetSlot}`);
 
       // Update UI and save
@@ -322,24 +475,176 @@ class InventoryManager {
     }
   }
 
+  /**
+   * Add the part of an item that fits the weight and volume limits
+   * @param {InventoryItem} item - Item going over capacity; keeps the quantity left out
+   * @param {number} fitting - Quantity that fits
+   * @param {number} preferredSlot - Preferred slot index
+   * @returns {boolean} - Always false, as the whole item wasn't added
+   */
+  addPartialItem(item, fitting, preferredSlot = -1) {
+    let accepted = 0;
+
+    const part =
+      this.options.allowPartialAdd && fitting > 0 ? item.split(fitting) : null;
+    if (part) {
+      if (this.addItem(part, part.quantity, preferredSlot)) {
+        accepted = fitting;
+      } else {
+        // Whatever found no slot goes back with the rest
+        accepted = fitting - part.quantity;
+        item.quantity += part.quantity;
+      }
+    }
+
+    this.log(
+      `Over capacity - added ${accepted} of ${accepted + item.quantity} ${
+        item.name
+      }`,
+      "warn"
+    );
+    this.dispatchOverCapacity(item, accepted);
+    return false;
+  }
+
   /**
    * Try to stack an item with existing items
    * @param {InventoryItem} item - Item to stack
-   * @returns {Object} - Stack result
+   * @returns {Object} - Stack result; `rejected` is the quantity held back by the weight and volume limits
    */
   tryStackItem(item) {
-    for (let i = 0; i < this.slots.length; i++) {
+    const fitting = Math.min(item.quantity, this.getFittingQuantity(item));
+    const rejected = item.quantity - fitting;
+    item.quantity = fitting;
+
+    for (let i = 0; i < this.slots.length && item.quantity > 0; i++) {
       const slotItem = this.slots[i];
       if (slotItem && slotItem.canStackWith(item)) {
-        const remaining = slotItem.stackWith(item);
-        if (remaining === 0) {
-          return { fullyStacked: true, remainingItem: null };
-        } else {
-          item.quantity = remaining;
-        }
+        item.quantity = slotItem.stackWith(item);
+      }
+    }
+
+    const stacked = fitting - item.quantity;
+    item.quantity += rejected;
+    if (rejected > 0) {
+      this.dispatchOverCapacity(item, stacked);
+    }
+
+    if (item.quantity === 0) {
+      return { fullyStacked: true, remainingItem: null, rejected };
+    }
+    return { fullyStacked: false, remainingItem: item, rejected };
+  }
+
+  /**
+   * Get the carried weight and volume against the limits
+   * @returns {Object} - { weight, maxWeight, volume, maxVolume }; a null max is no limit
+   */
+  getCapacity() {
+    let weight = 0;
+    let volume = 0;
+
+    for (const item of this.slots) {
+      if (item) {
+        weight += item.getTotalWeight();
+        volume += item.getTotalVolume();
+      }
+    }
+
+    return {
+      weight,
+      maxWeight: this.options.maxWeight,
+      volume,
+      maxVolume: this.options.maxVolume,
+    };
+  }
+
+  /**
+   * Work out how much of an item fits under the weight and volume limits
+   * @param {InventoryItem} item - Item to check
+   * @returns {number} - Quantity that fits, up to the item's quantity
+   */
+  getFittingQuantity(item) {
+    const capacity = this.getCapacity();
+    const limits = [
+      [item.weight, capacity.maxWeight, capacity.weight],
+      [item.volume, capacity.maxVolume, capacity.volume],
+    ];
+
+    return limits.reduce((fitting, [perUnit, max, used]) => {
+      if (!(perUnit > 0) || max === null || max === undefined) return fitting;
+
+      // Rounded so 0.1 steps don't fall short on float error
+      const room = Math.max(0, max - used);
+      return Math.min(fitting, Math.floor(room / perUnit + 1e-9));
+    }, item.quantity);
+  }
+
+  /**
+   * Check whether the inventory is over its weight or volume limit
+   * @returns {Array} - Limits exceeded: 'weight' and/or 'volume'
+   */
+  getExceededLimits() {
+    const capacity = this.getCapacity();
+    const exceeded = [];
+
+    if (capacity.maxWeight !== null && capacity.weight > capacity.maxWeight) {
+      exceeded.push("weight");
+    }
+    if (capacity.maxVolume !== null && capacity.volume > capacity.maxVolume) {
+      exceeded.push("volume");
+    }
+    return exceeded;
+  }
+
+  /**
+   * Change the weight and volume limits, e.g. when the player's strength changes
+   * @param {Object} limits - { maxWeight, maxVolume }; null removes a limit
+   */
+  setCapacity(limits = {}) {
+    ["maxWeight", "maxVolume"].forEach((limit) => {
+      if (limits[limit] !== undefined) {
+        this.options[limit] = limits[limit];
       }
+    });
+
+    this.refreshUI();
+
+    // Lowered limits can leave the carried items over
+    if (this.getExceededLimits().length > 0) {
+      this.dispatchOverCapacity(null, 0);
     }
-    return { fullyStacked: false, remainingItem: item };
+  }
+
+  /**
+   * Dispatch an inventory:over-capacity event
+   * @param {InventoryItem|null} item - Item that didn't fit, holding the rejected quantity
+   * @param {number} accepted - Quantity of the item that was added
+   */
+  dispatchOverCapacity(item, accepted) {
+    const capacity = this.getCapacity();
+    const limits = { weight: "maxWeight", volume: "maxVolume" };
+
+    // Limits one more unit of the item would go over
+    const reasons = item
+      ? Object.keys(limits).filter((limit) => {
+          const max = capacity[limits[limit]];
+          return (
+            max !== null &&
+            item[limit] > 0 &&
+            capacity[limit] + item[limit] > max + 1e-9
+          );
+        })
+      : this.getExceededLimits();
+
+    this.playSound("error");
+    this.dispatchEvent("inventory:over-capacity", {
+      item,
+      accepted,
+      rejected: item ? item.quantity : 0,
+      reasons,
+      ...capacity,
+    });
   }
 
   /**
@@ -350,7 +655,7 @@ class InventoryManager {
    */
   removeItem(slotIndex, quantity = -1) {
     try {
-      if (slotIndex < 0 || slotIndex >= this.options.maxSlots) return null;
+      if (slotIndex < 0 || slotIndex >= this.slots.length) return null;
 
       const item = this.slots[slotIndex];
       if (!item) return null;
@@ -361,6 +666,20 @@ class InventoryManager {
         // Remove entire stack
         removedItem = item;
         this.slots[slotIndex] = null;
+
+        // Dropped items can't stay equipped - nor can a bag holding items
+        if (item.equipped) {
+          if (!this.changeLoadout(() => this.equipment.unequip(item.id))) {
+            this.slots[slotIndex] = item;
+            this.dispatchEvent("inventory:unequip-failed", {
+              item,
+              slot: slotIndex,
+              reason: "bag_not_empty",
+            });
+            return null;
+          }
+          item.equipped = false;
+        }
       } else {
         // Split stack
         removedItem = item.split(quantity);
@@ -390,24 +709,45 @@ class InventoryManager {
    * @param {number} fromSlot - Source slot
    * @param {number} toSlot - Target slot
    * @param {number} quantity - Quantity to move (-1 for all)
+   * @param {string} fromContainerId - Container of the source slot
+   * @param {string} toContainerId - Container of the target slot (defaults to the source container)
    * @returns {boolean} - True if move was successful
    */
-  moveItem(fromSlot, toSlot, quantity = -1) {
+  moveItem(
+    fromSlot,
+    toSlot,
+    quantity = -1,
+    fromContainerId = "bag",
+    toContainerId = fromContainerId
+  ) {
     try {
-      if (fromSlot === toSlot) return true;
-      if (fromSlot < 0 || fromSlot >= this.options.maxSlots) return false;
-      if (toSlot < 0 || toSlot >= this.options.maxSlots) return false;
+      const from = this.getContainer(fromContainerId);
+      const to = this.getContainer(toContainerId);
+      if (!from || !to) return false;
+      if (from === to && fromSlot === toSlot) return true;
+      if (!from.isValidSlot(fromSlot) || !to.isValidSlot(toSlot)) return false;
 
-      const sourceItem = this.slots[fromSlot];
+      const sourceItem = from.slots[fromSlot];
       if (!sourceItem) return false;
 
-      const targetItem = this.slots[toSlot];
+      // Leaving the bag brings in the equipment and weight rules
+      if (from !== to) {
+        return this.moveBetweenContainers(from, fromSlot, to, toSlot, quantity);
+      }
+
+      // Grid items cover several cells, so they move by their own rules
+      if (from.isGrid()) {
+        return this.moveInGrid(from, fromSlot, toSlot, quantity);
+      }
+
+      const slots = from.slots;
+      const targetItem = slots[toSlot];
 
       // Handle stacking
       if (targetItem && targetItem.canStackWith(sourceItem)) {
         const remaining = targetItem.stackWith(sourceItem);
         if (remaining === 0) {
-          this.slots[fromSlot] = null;
+          slots[fromSlot] = null;
         } else {
           sourceItem.quantity = remaining;
         }
@@ -415,25 +755,25 @@ class InventoryManager {
         // Move to empty slot
         if (quantity === -1 || quantity >= sourceItem.quantity) {
           // Move entire stack
-          this.slots[toSlot] = sourceItem;
-          this.slots[fromSlot] = null;
+          slots[toSlot] = sourceItem;
+          slots[fromSlot] = null;
         } else {
           // Split and move
           const splitItem = sourceItem.split(quantity);
           if (splitItem) {
-            this.slots[toSlot] = splitItem;
+            slots[toSlot] = splitItem;
           }
         }
       } else {
         // Swap items
-        this.slots[fromSlot] = targetItem;
-        this.slots[toSlot] = sourceItem;
+        slots[fromSlot] = targetItem;
+        slots[toSlot] = sourceItem;
       }
 
       // Update UI and save
       this.playSound("item_move");
-      this.animateSlot(fromSlot, "item-moved");
-      this.animateSlot(toSlot, "item-moved");
+      this.animateSlot(fromSlot, "item-moved", from.id);
+      this.animateSlot(toSlot, "item-moved", from.id);
       this.trackOperation("moveItem", { from: fromSlot, to: toSlot });
       this.saveInventory();
       this.refreshUI();
@@ -442,6 +782,8 @@ class InventoryManager {
         fromSlot,
         toSlot,
         quantity,
+        fromContainer: from.id,
+        toContainer: to.id,
       });
       return true;
     } catch (error) {
@@ -451,139 +793,1474 @@ class InventoryManager {
   }
 
   /**
-   * Use an item from inventory
-   * @param {number} slotIndex - Slot containing item to use
-   * @param {number} quantity - Quantity to use
-   * @returns {boolean} - True if item was used
+   * Move an item onto a slot of another container: into an empty slot or onto
+   * a matching stack, otherwise swapping with the item there
+   * @param {InventoryContainer} from - Source container
+   * @param {number} fromSlot - Source slot
+   * @param {InventoryContainer} to - Target container
+   * @param {number} toSlot - Target slot
+   * @param {number} quantity - Quantity to move (-1 for all)
+   * @returns {boolean} - True if the move was made
    */
-  useItem(slotIndex, quantity = 1) {
-    try {
-      const item = this.slots[slotIndex];
-      if (!item) return false;
+  moveBetweenContainers(from, fromSlot, to, toSlot, quantity = -1) {
+    const sourceItem = from.slots[fromSlot];
+    const targetSlot = to.getItemSlot(toSlot);
+    const targetItem = targetSlot === -1 ? null : to.slots[targetSlot];
 
-      const success = item.use(quantity);
-      if (success) {
-        // Remove item if quantity reaches 0
-        if (item.quantity <= 0) {
-          this.slots[slotIndex] = null;
-        }
+    if (!targetItem || targetItem.canStackWith(sourceItem)) {
+      return this.transferItem(from.id, fromSlot, to.id, quantity, toSlot);
+    }
 
-        this.playSound("item_use");
-        this.animateSlot(slotIndex, "item-used");
-        this.trackOperation("useItem", item);
-        this.saveInventory();
-        this.refreshUI();
+    // A swap moves both items out of their containers
+    const swapped = [sourceItem, targetItem].find((item) => item.equipped);
+    if (swapped) {
+      this.dispatchTransferFailed(swapped, from, to, "equipped");
+      return false;
+    }
 
-        this.dispatchEvent("inventory:item-used", {
-          item,
-          slot: slotIndex,
-          quantity,
-        });
+    const bag = this.getBag();
+    const incoming = to === bag ? sourceItem : from === bag ? targetItem : null;
+    const outgoing = incoming === sourceItem ? targetItem : sourceItem;
+    if (incoming && !this.fitsInBag(incoming, outgoing)) {
+      this.dispatchOverCapacity(incoming, 0);
+      return false;
+    }
+
+    if (!this.swapItems(from, fromSlot, to, targetSlot)) {
+      this.dispatchTransferFailed(sourceItem, from, to, "full");
+      return false;
+    }
+
+    this.playSound("item_move");
+    this.animateSlot(fromSlot, "item-moved", from.id);
+    this.animateSlot(targetSlot, "item-moved", to.id);
+    this.trackOperation("moveItem", { from: fromSlot, to: toSlot });
+    this.saveInventory();
+    this.refreshUI();
+
+    this.dispatchEvent("inventory:item-moved", {
+      fromSlot,
+      toSlot,
+      quantity,
+      fromContainer: from.id,
+      toContainer: to.id,
+    });
+    return true;
+  }
+
+  /**
+   * Move an item within a grid: onto a matching stack, to a spot it fits with
+   * its top-left corner on the target cell, otherwise swapping with the item
+   * covering that cell when each fits in the other's place
+   * @param {InventoryContainer} container - Grid container
+   * @param {number} fromSlot - Slot of the item
+   * @param {number} toSlot - Target cell
+   * @param {number} quantity - Quantity to move (-1 for all)
+   * @returns {boolean} - True if the move was made
+   */
+  moveInGrid(container, fromSlot, toSlot, quantity = -1) {
+    const slots = container.slots;
+    const sourceItem = slots[fromSlot];
+    const targetSlot = container.getItemSlot(toSlot);
+    const targetItem =
+      targetSlot === -1 || targetSlot === fromSlot ? null : slots[targetSlot];
+    let moved = true;
+
+    if (targetItem && targetItem.canStackWith(sourceItem)) {
+      const remaining = targetItem.stackWith(sourceItem);
+      if (remaining === 0) {
+        slots[fromSlot] = null;
+      } else {
+        sourceItem.quantity = remaining;
+      }
+    } else if (quantity !== -1 && quantity < sourceItem.quantity) {
+      // The split part needs room of its own next to the rest
+      const splitItem = sourceItem.split(quantity);
+      if (splitItem && container.canPlace(splitItem, toSlot)) {
+        slots[toSlot] = splitItem;
+      } else {
+        if (splitItem) sourceItem.quantity += splitItem.quantity;
+        moved = false;
       }
+    } else if (container.canPlace(sourceItem, toSlot)) {
+      slots[fromSlot] = null;
+      slots[toSlot] = sourceItem;
+    } else {
+      moved =
+        Boolean(targetItem) &&
+        this.swapItems(container, fromSlot, container, targetSlot);
+    }
 
-      return success;
-    } catch (error) {
-      this.log(`Error using item: ${error.message}`, "error");
+    if (!moved) {
+      this.log(`No room for ${sourceItem.name} at cell ${toSlot}`, "warn");
+      this.playSound("error");
       return false;
     }
+
+    this.playSound("item_move");
+    this.animateSlot(fromSlot, "item-moved", container.id);
+    this.animateSlot(toSlot, "item-moved", container.id);
+    this.trackOperation("moveItem", { from: fromSlot, to: toSlot });
+    this.saveInventory();
+    this.refreshUI();
+
+    this.dispatchEvent("inventory:item-moved", {
+      fromSlot,
+      toSlot,
+      quantity,
+      fromContainer: container.id,
+      toContainer: container.id,
+    });
+    return true;
   }
 
   /**
-   * Find first empty slot
-   * @returns {number} - Slot index or -1 if none available
+   * Swap two items, each into the other's slot - in grids only when each
+   * fits there
+   * @param {InventoryContainer} from - Container of the first item
+   * @param {number} fromSlot - Slot of the first item
+   * @param {InventoryContainer} to - Container of the second item
+   * @param {number} toSlot - Slot of the second item
+   * @returns {boolean} - False (and nothing moved) if they didn't fit
    */
-  findEmptySlot() {
-    for (let i = 0; i < this.slots.length; i++) {
-      if (this.slots[i] === null) return i;
+  swapItems(from, fromSlot, to, toSlot) {
+    const first = from.slots[fromSlot];
+    const second = to.slots[toSlot];
+    from.slots[fromSlot] = null;
+    to.slots[toSlot] = null;
+
+    if (to.canPlace(first, toSlot)) {
+      to.slots[toSlot] = first;
+      if (from.canPlace(second, fromSlot)) {
+        from.slots[fromSlot] = second;
+        return true;
+      }
     }
-    return -1;
+
+    from.slots[fromSlot] = first;
+    to.slots[toSlot] = second;
+    return false;
   }
 
   /**
-   * Get items by filter criteria
-   * @param {Object} criteria - Filter criteria
-   * @returns {Array} - Array of {item, slot} objects
+   * Transfer an item to another container - onto matching stacks, then into
+   * an empty slot. The bag only takes what fits its weight and volume limits;
+   * what doesn't fit stays where it was.
+   * @param {string} fromContainerId - Container holding the item
+   * @param {number} slotIndex - Slot of the item
+   * @param {string} toContainerId - Container receiving the item
+   * @param {number} quantity - Quantity to transfer (-1 for all)
+   * @param {number} toSlot - Preferred target slot
+   * @returns {boolean} - True if the whole quantity was transferred
    */
-  findItems(criteria = {}) {
-    const results = [];
+  transferItem(
+    fromContainerId,
+    slotIndex,
+    toContainerId,
+    quantity = -1,
+    toSlot = -1
+  ) {
+    try {
+      const from = this.getContainer(fromContainerId);
+      const to = this.getContainer(toContainerId);
+      if (!from || !to || from === to) return false;
 
-    for (let i = 0; i < this.slots.length; i++) {
-      const item = this.slots[i];
-      if (!item) continue;
+      const item = from.slots[slotIndex];
+      if (!item) return false;
 
-      let matches = true;
+      // Equipped items stay in the bag
+      if (item.equipped) {
+        this.dispatchTransferFailed(item, from, to, "equipped");
+        return false;
+      }
 
-      // Check each criteria
-      Object.entries(criteria).forEach(([key, value]) => {
-        if (
-          key === "name" &&
-          !item.name.toLowerCase().includes(value.toLowerCase())
-        ) {
-          matches = false;
-        } else if (key === "type" && item.type !== value) {
-          matches = false;
-        } else if (key === "rarity" && item.rarity !== value) {
-          matches = false;
-        } else if (key === "templateId" && item.templateId !== value) {
-          matches = false;
-        } else if (key === "minValue" && item.value < value) {
-          matches = false;
-        } else if (key === "maxValue" && item.value > value) {
-          matches = false;
-        } else if (key === "equipped" && item.equipped !== value) {
-          matches = false;
-        } else if (key === "stackable" && item.stackable !== value) {
-          matches = false;
+      const amount =
+        quantity === -1 ? item.quantity : Math.min(quantity, item.quantity);
+      const moving = amount < item.quantity ? item.split(amount) : item;
+      if (!moving) return false;
+      if (moving === item) from.slots[slotIndex] = null;
+
+      // What didn't fit goes back where it came from
+      const left = this.placeItem(to, moving, toSlot);
+      if (left > 0) {
+        if (moving === item) {
+          from.slots[slotIndex] = item;
+        } else {
+          item.quantity += left;
         }
-      });
+      }
 
-      if (matches) {
-        results.push({ item, slot: i });
+      const transferred = amount - left;
+      if (transferred === 0) {
+        this.dispatchTransferFailed(item, from, to, "full");
+        return false;
       }
+
+      this.playSound("item_move");
+      this.animateSlot(slotIndex, "item-moved", from.id);
+      this.trackOperation("transferItem", {
+        from: from.id,
+        to: to.id,
+        quantity: transferred,
+      });
+      this.saveInventory();
+      this.refreshUI();
+
+      this.dispatchEvent("inventory:item-transferred", {
+        item: moving,
+        quantity: transferred,
+        fromContainer: from.id,
+        toContainer: to.id,
+        fromSlot: slotIndex,
+      });
+      return left === 0;
+    } catch (error) {
+      this.log(`Error transferring item: ${error.message}`, "error");
+      return false;
     }
+  }
 
-    return results;
+  /**
+   * Transfer every item of a container to another ("Take All" on a chest)
+   * @param {string} fromContainerId - Container to empty
+   * @param {string} toContainerId - Container receiving the items
+   * @returns {boolean} - True if everything was transferred; equipped items stay
+   */
+  transferAll(fromContainerId, toContainerId = "bag") {
+    const from = this.getContainer(fromContainerId);
+    if (!from) return false;
+
+    return from
+      .getItems()
+      .filter(({ item }) => !item.equipped)
+      .map(({ slot }) =>
+        this.transferItem(fromContainerId, slot, toContainerId)
+      )
+      .every(Boolean);
   }
 
   /**
-   * Sort inventory by criteria
-   * @param {string} sortBy - Sort criteria
-   * @param {boolean} ascending - Sort direction
+   * Put an item into a container: into the preferred slot when it's free or
+   * stacks, onto matching stacks, then into the first empty slot
+   * @param {InventoryContainer} container - Container receiving the item
+   * @param {InventoryItem} item - Item to place; keeps the quantity that didn't fit
+   * @param {number} preferredSlot - Preferred slot index
+   * @returns {number} - Quantity that didn't fit
    */
-  sortInventory(sortBy = "name", ascending = true) {
-    try {
-      // Extract non-null items with their original positions
-      const itemsWithSlots = [];
-      for (let i = 0; i < this.slots.length; i++) {
-        if (this.slots[i]) {
-          itemsWithSlots.push({ item: this.slots[i], originalSlot: i });
-        }
+  placeItem(container, item, preferredSlot = -1) {
+    // The bag takes what fits its weight and volume limits
+    if (container === this.getBag()) {
+      const fitting = this.getFittingQuantity(item);
+      if (fitting < item.quantity) {
+        const part = fitting > 0 ? item.split(fitting) : null;
+        const left = part ? this.placeItem(container, part, preferredSlot) : 0;
+        item.quantity += left;
+        this.dispatchOverCapacity(item, part ? fitting - left : 0);
+        return item.quantity;
       }
+    }
 
-      // Sort items
-      itemsWithSlots.sort((a, b) => {
-        let valueA, valueB;
+    if (container.canPlace(item, preferredSlot)) {
+      container.insertItem(item, preferredSlot);
+      return 0;
+    }
+    const preferred = container.slots[container.getItemSlot(preferredSlot)];
+    if (preferred && preferred.canStackWith(item)) {
+      item.quantity = preferred.stackWith(item);
+    }
 
-        switch (sortBy) {
-          case "name":
-            valueA = a.item.name.toLowerCase();
-            valueB = b.item.name.toLowerCase();
-            break;
-          case "type":
-            valueA = a.item.type;
-            valueB = b.item.type;
-            break;
-          case "rarity":
-            const rarityOrder = {
-              common: 0,
-              uncommon: 1,
-              rare: 2,
-              epic: 3,
-              legendary: 4,
-              artifact: 5,
-            };
-            valueA = rarityOrder[a.item.rarity] || 0;
-            valueB = rarityOrder[b.item.rarity] || 0;
+    if (this.options.autoStack && item.stackable) {
+      container.slots.forEach((slotItem) => {
+        if (item.quantity > 0 && slotItem && slotItem.canStackWith(item)) {
+          item.quantity = slotItem.stackWith(item);
+        }
+      });
+    }
+    if (item.quantity === 0) return 0;
+
+    return container.insertItem(item) === -1 ? item.quantity : 0;
+  }
+
+  /**
+   * Check whether items can come into the bag, maybe in exchange for another
+   * @param {InventoryItem|Array} incoming - Item or items coming in
+   * @param {InventoryItem|null} outgoing - Item leaving in exchange
+   * @returns {boolean} - True if the bag stays within its weight and volume limits
+   */
+  fitsInBag(incoming, outgoing = null) {
+    const capacity = this.getCapacity();
+    const items = [].concat(incoming);
+    const weight =
+      capacity.weight +
+      items.reduce((total, item) => total + item.getTotalWeight(), 0) -
+      (outgoing ? outgoing.getTotalWeight() : 0);
+    const volume =
+      capacity.volume +
+      items.reduce((total, item) => total + item.getTotalVolume(), 0) -
+      (outgoing ? outgoing.getTotalVolume() : 0);
+
+    return (
+      (capacity.maxWeight === null || weight <= capacity.maxWeight + 1e-9) &&
+      (capacity.maxVolume === null || volume <= capacity.maxVolume + 1e-9)
+    );
+  }
+
+  /**
+   * Dispatch an inventory:transfer-failed event
+   * @param {InventoryItem} item - Item that didn't move
+   * @param {InventoryContainer} from - Source container
+   * @param {InventoryContainer} to - Target container
+   * @param {string} reason - 'equipped' or 'full'
+   */
+  dispatchTransferFailed(item, from, to, reason) {
+    this.log(`Can't move ${item.name} to ${to.name}: ${reason}`, "warn");
+    this.playSound("error");
+    this.dispatchEvent("inventory:transfer-failed", {
+      item,
+      fromContainer: from.id,
+      toContainer: to.id,
+      reason,
+    });
+  }
+
+  /**
+   * Add an item to any container - addItem() for the bag
+   * @param {string} containerId - Container receiving the item
+   * @param {InventoryItem|string} item - Item instance or template ID
+   * @param {number} quantity - Quantity to add (for template ID)
+   * @returns {boolean} - True if the whole item was added
+   */
+  addItemToContainer(containerId, item, quantity = 1) {
+    if (containerId === "bag") return this.addItem(item, quantity);
+
+    const container = this.getContainer(containerId);
+    if (!container) return false;
+
+    if (typeof item === "string") {
+      item = this.createItem(item, { quantity });
+      if (!item) return false;
+    }
+
+    const left = this.placeItem(container, item);
+    this.saveInventory();
+    this.refreshUI();
+
+    if (left > 0) {
+      this.dispatchEvent("inventory:full", { item, containerId });
+      return false;
+    }
+
+    this.dispatchEvent("inventory:item-added", { item, slot: -1, containerId });
+    return true;
+  }
+
+  // CONTAINER METHODS
+
+  /**
+   * Add a container: a stash, a world chest, another bag
+   * @param {string} containerId - Container identifier
+   * @param {Object} definition - { name, type: 'stash'|'chest'|'bag', slots, layout, columns, items: starting template IDs or { templateId, quantity }, persist, gameStateKey, storageKey }
+   * @returns {InventoryContainer} - The container
+   */
+  addContainer(containerId, definition = {}) {
+    if (this.containers.has(containerId)) {
+      this.log(`Container already exists: ${containerId}`, "warn");
+      return this.containers.get(containerId);
+    }
+
+    const container = new InventoryContainer(
+      containerId,
+      {
+        layout: this.options.layout,
+        columns: this.options.columns,
+        gameStateKey: `${this.options.gameStateKey}-${containerId}`,
+        storageKey: `${this.options.storageKey}-${containerId}`,
+        ...definition,
+      },
+      { enableDebugLogs: this.options.enableDebugLogs }
+    );
+    this.containers.set(containerId, container);
+
+    // Saved contents win over the starting items
+    if (!this.loadContainer(container)) {
+      (definition.items || []).forEach((entry) => {
+        const { templateId, quantity = 1 } =
+          typeof entry === "string" ? { templateId: entry } : entry;
+        const item = this.createItem(templateId, { quantity });
+        if (item) this.placeItem(container, item);
+      });
+    }
+
+    // Watch for external changes
+    if (this.game && this.game.state && this.options.saveToGameState) {
+      if (container.persist && container.gameStateKey) {
+        this.game.state.watch(container.gameStateKey, (newValue) => {
+          if (newValue && newValue.slots && this.isInitialized) {
+            container.loadSlots(newValue.slots);
+            this.refreshUI();
+          }
+        });
+      }
+    }
+
+    this.log(`Added container: ${containerId} (${container.type})`);
+    this.dispatchEvent("inventory:container-added", { containerId });
+    return container;
+  }
+
+  /**
+   * Remove a container (its saved contents are kept)
+   * @param {string} containerId - Container identifier
+   * @returns {boolean} - True if the container was removed
+   */
+  removeContainer(containerId) {
+    if (containerId === "bag" || !this.containers.has(containerId)) {
+      return false;
+    }
+
+    if (this.openContainerId === containerId) {
+      this.closeContainer();
+    }
+    this.containers.delete(containerId);
+    this.dispatchEvent("inventory:container-removed", { containerId });
+    return true;
+  }
+
+  /**
+   * Get a container
+   * @param {string} containerId - Container identifier
+   * @returns {InventoryContainer|null}
+   */
+  getContainer(containerId = "bag") {
+    return this.containers.get(containerId) || null;
+  }
+
+  /**
+   * Get the player's bag
+   * @returns {InventoryContainer}
+   */
+  getBag() {
+    return this.containers.get("bag");
+  }
+
+  /**
+   * Get every container
+   * @returns {Array} - InventoryContainer instances, the bag first
+   */
+  getContainers() {
+    return Array.from(this.containers.values());
+  }
+
+  /**
+   * Change loadouts, then fit the bag to the bag items still worn. Undone when
+   * the bag slots going away hold items with nowhere to go.
+   * @param {Function} change - Changes this.equipment
+   * @returns {boolean} - False if the change was undone
+   */
+  changeLoadout(change) {
+    const loadouts = this.equipment.toJSON();
+    change();
+
+    if (this.updateBagSlots()) return true;
+
+    this.equipment.fromJSON(loadouts);
+    return false;
+  }
+
+  /**
+   * Fit the bag to the `containerSlots` of the bag items the default
+   * character wears
+   * @returns {boolean} - False if items in slots going away had nowhere to go
+   */
+  updateBagSlots() {
+    const bag = this.getBag();
+    const bonusSlots = Object.values(this.getEquippedItems()).reduce(
+      (total, item) => total + (item.containerSlots || 0),
+      0
+    );
+
+    if (
+      bonusSlots === bag.bonusSlots &&
+      bag.slots.length === bag.getSlotCount()
+    ) {
+      return true;
+    }
+    if (!bag.setBonusSlots(bonusSlots)) return false;
+
+    this.log(`Bag resized to ${bag.slots.length} slots`);
+    this.dispatchEvent("inventory:container-resized", {
+      containerId: "bag",
+      slots: bag.slots.length,
+    });
+    return true;
+  }
+
+  /**
+   * Open a container next to the bag (a chest, the stash)
+   * @param {string} containerId - Container identifier
+   * @returns {boolean} - True if the container was opened
+   */
+  openContainer(containerId) {
+    const container = this.getContainer(containerId);
+    if (!container || containerId === "bag") return false;
+
+    this.closeShop();
+    this.openContainerId = containerId;
+
+    const title = document.getElementById("inventory-container-title");
+    if (title) title.textContent = container.name;
+
+    const grid = document.getElementById("inventory-container-grid");
+    if (grid) {
+      grid.innerHTML = this.generateSlotHTML(containerId);
+      this.setupSlotEvents(containerId);
+    }
+
+    if (this.containerElement) {
+      this.containerElement.classList.add("container-open");
+    }
+    this.show();
+
+    this.dispatchEvent("inventory:container-opened", { containerId });
+    return true;
+  }
+
+  /**
+   * Close the open container
+   */
+  closeContainer() {
+    const containerId = this.openContainerId;
+    if (!containerId) return;
+
+    this.openContainerId = null;
+
+    const grid = document.getElementById("inventory-container-grid");
+    if (grid) grid.innerHTML = "";
+    if (this.containerElement) {
+      this.containerElement.classList.remove("container-open");
+    }
+
+    this.dispatchEvent("inventory:container-closed", { containerId });
+  }
+
+  // CRAFTING METHODS
+
+  /**
+   * Count the items in the bag by template
+   * @param {boolean} usableOnly - Leave out equipped and locked items, which crafting doesn't use up
+   * @returns {Map} - Template ID -> quantity
+   */
+  countItems(usableOnly = false) {
+    const counts = new Map();
+    this.slots.forEach((item) => {
+      if (!item || (usableOnly && (item.equipped || item.locked))) return;
+      counts.set(
+        item.templateId,
+        (counts.get(item.templateId) || 0) + item.quantity
+      );
+    });
+    return counts;
+  }
+
+  /**
+   * Check a recipe's inputs and tools against the bag
+   * @param {string} recipeId - Recipe identifier
+   * @returns {Object} - { craftable, reason: 'unknown_recipe'|'missing_inputs'|'missing_tools'|null, missing, missingTools }
+   */
+  checkRecipe(recipeId) {
+    const recipe = this.crafting.getRecipe(recipeId);
+    if (!recipe) {
+      return {
+        craftable: false,
+        reason: "unknown_recipe",
+        missing: [],
+        missingTools: [],
+      };
+    }
+
+    const { missing, missingTools } = this.crafting.checkRecipe(
+      recipe,
+      this.countItems(true),
+      this.countItems()
+    );
+    const reason =
+      missing.length > 0
+        ? "missing_inputs"
+        : missingTools.length > 0
+        ? "missing_tools"
+        : null;
+
+    return { craftable: reason === null, reason, missing, missingTools };
+  }
+
+  /**
+   * Check whether a recipe can be crafted now
+   * @param {string} recipeId - Recipe identifier
+   * @returns {boolean} - True if the bag holds the inputs and tools and no craft is under way
+   */
+  canCraft(recipeId) {
+    return !this.activeCraft && this.checkRecipe(recipeId).craftable;
+  }
+
+  /**
+   * Get the recipes the bag holds the inputs and tools for
+   * @returns {Array} - Recipe definitions
+   */
+  getCraftableRecipes() {
+    return this.crafting
+      .getRecipes()
+      .filter((recipe) => this.checkRecipe(recipe.id).craftable);
+  }
+
+  /**
+   * Craft a recipe. When its time is up the inputs are used up and the
+   * outputs added in one go; if the outputs don't fit, nothing changes.
+   * A failed success roll still uses up the inputs.
+   * @param {string} recipeId - Recipe identifier
+   * @returns {Promise<Object>} - { success, recipeId, reason, outputs }
+   */
+  async craft(recipeId) {
+    const check = this.checkRecipe(recipeId);
+    if (!check.craftable || this.activeCraft) {
+      return this.failCraft(recipeId, check.reason || "busy", check);
+    }
+
+    const recipe = this.crafting.getRecipe(recipeId);
+    if (recipe.time > 0) {
+      const craft = { recipeId, startedAt: Date.now(), time: recipe.time };
+      this.activeCraft = craft;
+      this.dispatchEvent("inventory:craft-started", {
+        recipeId,
+        time: recipe.time,
+      });
+      this.updateCraftingPanel();
+
+      await new Promise((resolve) => {
+        craft.finish = resolve;
+        craft.timer = setTimeout(resolve, recipe.time);
+      });
+      this.activeCraft = null;
+
+      if (craft.cancelled) return this.failCraft(recipeId, "cancelled");
+    }
+
+    return this.completeCraft(recipe);
+  }
+
+  /**
+   * Use up a recipe's inputs and add its outputs
+   * @param {Object} recipe - Recipe definition
+   * @returns {Object} - { success, recipeId, reason, outputs }
+   */
+  completeCraft(recipe) {
+    // The inputs may have gone while the craft was under way
+    const check = this.checkRecipe(recipe.id);
+    if (!check.craftable) return this.failCraft(recipe.id, check.reason, check);
+
+    const bag = this.getBag();
+    const saved = bag.snapshot();
+    recipe.inputs.forEach(({ templateId, quantity }) => {
+      this.consumeItems(templateId, quantity);
+    });
+
+    const success = this.crafting.rollSuccess(recipe);
+    const outputs = success
+      ? recipe.outputs
+          .map(({ templateId, quantity }) =>
+            this.createItem(templateId, { quantity })
+          )
+          .filter(Boolean)
+      : [];
+
+    if (outputs.some((item) => this.placeItem(bag, item) > 0)) {
+      bag.restore(saved);
+      return this.failCraft(recipe.id, "no_room");
+    }
+
+    this.log(`${success ? "Crafted" : "Failed to craft"} ${recipe.name}`);
+    this.playSound(success ? "item_pickup" : "error");
+    this.trackOperation("craft", { recipeId: recipe.id, success });
+    this.saveInventory();
+    this.refreshUI();
+    this.checkAchievements();
+
+    this.dispatchEvent("inventory:crafted", {
+      recipeId: recipe.id,
+      success,
+      outputs,
+    });
+    return {
+      success,
+      recipeId: recipe.id,
+      reason: success ? null : "roll_failed",
+      outputs,
+    };
+  }
+
+  /**
+   * Take items of a template out of the bag, skipping equipped and locked ones
+   * @param {string} templateId - Template to take
+   * @param {number} quantity - Quantity to take
+   */
+  consumeItems(templateId, quantity) {
+    let left = quantity;
+    this.slots.forEach((item, slot) => {
+      if (left === 0 || !item || item.templateId !== templateId) return;
+      if (item.equipped || item.locked) return;
+
+      const taken = Math.min(left, item.quantity);
+      item.quantity -= taken;
+      left -= taken;
+      if (item.quantity === 0) this.slots[slot] = null;
+    });
+  }
+
+  /**
+   * Stop the craft under way - nothing is used up
+   * @returns {boolean} - True if a craft was cancelled
+   */
+  cancelCraft() {
+    const craft = this.activeCraft;
+    if (!craft) return false;
+
+    clearTimeout(craft.timer);
+    craft.cancelled = true;
+    craft.finish();
+    return true;
+  }
+
+  /**
+   * Report a craft that didn't happen
+   * @param {string} recipeId - Recipe identifier
+   * @param {string} reason - 'unknown_recipe', 'missing_inputs', 'missing_tools', 'busy', 'no_room' or 'cancelled'
+   * @param {Object} check - checkRecipe() result with what's missing
+   * @returns {Object} - { success: false, recipeId, reason, outputs: [] }
+   */
+  failCraft(recipeId, reason, check = {}) {
+    this.log(`Can't craft ${recipeId}: ${reason}`, "warn");
+    if (reason !== "cancelled") this.playSound("error");
+    this.updateCraftingPanel();
+
+    this.dispatchEvent("inventory:craft-failed", {
+      recipeId,
+      reason,
+      missing: check.missing || [],
+      missingTools: check.missingTools || [],
+    });
+    return { success: false, recipeId, reason, outputs: [] };
+  }
+
+  /**
+   * Get a template's display name
+   * @param {string} templateId - Template identifier
+   * @returns {string}
+   */
+  getTemplateName(templateId) {
+    const template = this.itemTemplates.get(templateId);
+    return template ? template.name : templateId;
+  }
+
+  // SHOP METHODS
+
+  /**
+   * Get the player's currency
+   * @returns {number}
+   */
+  getCurrency() {
+    return this.currency;
+  }
+
+  /**
+   * Set the player's currency
+   * @param {number} amount - New amount, at least 0
+   */
+  setCurrency(amount) {
+    this.updateCurrency(amount);
+    this.saveInventory();
+    this.refreshUI();
+  }
+
+  /**
+   * Add currency, or take it away with a negative amount
+   * @param {number} amount - Amount to add
+   * @returns {boolean} - False (and nothing taken) if the player has less than that
+   */
+  addCurrency(amount) {
+    if (this.currency + amount < 0) return false;
+
+    this.setCurrency(this.currency + amount);
+    return true;
+  }
+
+  /**
+   * Change the currency without saving
+   * @param {number} amount - New amount, at least 0
+   */
+  updateCurrency(amount) {
+    const previous = this.currency;
+    this.currency = Math.max(0, Math.round(amount));
+    if (this.currency === previous) return;
+
+    this.dispatchEvent("inventory:currency-changed", {
+      currency: this.currency,
+      change: this.currency - previous,
+    });
+  }
+
+  /**
+   * Get the player's standing with a merchant
+   * @param {string} merchantId - Merchant identifier
+   * @returns {number} - -100 to 100; the relationship with the merchant's dialogue NPC unless options.getReputation says otherwise
+   */
+  getReputation(merchantId) {
+    const merchant = this.shop.getMerchant(merchantId);
+    if (!merchant) return 0;
+
+    if (typeof this.options.getReputation === "function") {
+      return this.options.getReputation(merchant.npcId, merchantId) || 0;
+    }
+    if (merchant.npcId && this.game && this.game.getNPCState) {
+      const npcState = this.game.getNPCState(merchant.npcId);
+      return (npcState && npcState.relationship) || 0;
+    }
+    return 0;
+  }
+
+  /**
+   * Get what a merchant has for sale at the player's prices
+   * @param {string} merchantId - Merchant identifier (default: the open shop)
+   * @returns {Array} - [{ templateId, name, type, quantity, price }] - price per item
+   */
+  getMerchantStock(merchantId = this.openMerchantId) {
+    const reputation = this.getReputation(merchantId);
+
+    return this.shop
+      .getStock(merchantId)
+      .filter(({ templateId }) => this.itemTemplates.has(templateId))
+      .map(({ templateId, quantity, price }) => {
+        const template = this.itemTemplates.get(templateId);
+        const baseValue = price !== null ? price : template.value || 0;
+        return {
+          templateId,
+          name: template.name,
+          type: template.type,
+          quantity,
+          price: this.shop.getBuyPrice(merchantId, baseValue, reputation),
+        };
+      });
+  }
+
+  /**
+   * Get what a merchant pays for one of an item
+   * @param {InventoryItem} item - Item to sell
+   * @param {string} merchantId - Merchant identifier (default: the open shop)
+   * @returns {number}
+   */
+  getSellPrice(item, merchantId = this.openMerchantId) {
+    return this.shop.getSellPrice(
+      merchantId,
+      item.sellValue,
+      this.getReputation(merchantId)
+    );
+  }
+
+  /**
+   * Check whether an item can be sold to a merchant
+   * @param {InventoryItem} item - Item to sell
+   * @param {string} merchantId - Merchant identifier (default: the open shop)
+   * @returns {string|null} - 'unknown_merchant', 'locked', 'untradeable', 'equipped' or 'not_buying'; null if it can be sold
+   */
+  checkSale(item, merchantId = this.openMerchantId) {
+    if (!this.shop.getMerchant(merchantId)) return "unknown_merchant";
+    if (item.locked) return "locked";
+    if (!item.tradeable) return "untradeable";
+    if (item.equipped) return "equipped";
+    if (!this.shop.buysItem(merchantId, item)) return "not_buying";
+    return null;
+  }
+
+  /**
+   * Buy items from a merchant. They're added in one go: if they don't all
+   * fit the bag, nothing is bought.
+   * @param {string} templateId - Template to buy
+   * @param {number} quantity - Quantity to buy, a positive integer
+   * @param {string} merchantId - Merchant identifier (default: the open shop)
+   * @returns {boolean} - True if the items were bought
+   */
+  buyItem(templateId, quantity = 1, merchantId = this.openMerchantId) {
+    if (!this.shop.getMerchant(merchantId)) {
+      return this.failTrade("buy", merchantId, "unknown_merchant");
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return this.failTrade("buy", merchantId, "invalid_quantity", {
+        templateId,
+        quantity,
+      });
+    }
+
+    const entry = this.getMerchantStock(merchantId).find(
+      (stock) => stock.templateId === templateId
+    );
+    if (!entry) return this.failTrade("buy", merchantId, "not_sold_here");
+    if (entry.quantity < quantity) {
+      return this.failTrade("buy", merchantId, "out_of_stock", { templateId });
+    }
+
+    const price = entry.price * quantity;
+    if (price > this.currency) {
+      return this.failTrade("buy", merchantId, "not_enough_currency", {
+        templateId,
+        price,
+      });
+    }
+
+    // Non-stackable items come one to a slot, the rest in full stacks
+    const sample = this.createItem(templateId);
+    const stackSize = sample.stackable ? sample.maxStackSize : 1;
+    const items = [];
+    for (let left = quantity; left > 0; left -= stackSize) {
+      items.push(
+        this.createItem(templateId, { quantity: Math.min(left, stackSize) })
+      );
+    }
+    if (!this.fitsInBag(items)) {
+      return this.failTrade("buy", merchantId, "over_capacity", { templateId });
+    }
+
+    const bag = this.getBag();
+    const saved = bag.snapshot();
+    if (items.some((item) => this.placeItem(bag, item) > 0)) {
+      bag.restore(saved);
+      return this.failTrade("buy", merchantId, "no_room", { templateId });
+    }
+
+    this.shop.takeStock(merchantId, templateId, quantity);
+    this.updateCurrency(this.currency - price);
+
+    this.log(`Bought ${quantity}× ${entry.name} for ${price}`);
+    this.playSound("item_pickup");
+    this.trackOperation("buy", { merchantId, templateId, quantity, price });
+    this.saveInventory();
+    this.refreshUI();
+    this.checkAchievements();
+
+    this.dispatchEvent("inventory:item-bought", {
+      merchantId,
+      templateId,
+      quantity,
+      price,
+      items,
+    });
+    return true;
+  }
+
+  /**
+   * Sell items from the bag to a merchant. Locked, untradeable and equipped
+   * items can't be sold; sold items can be bought back for what they went for.
+   * @param {number} slotIndex - Bag slot of the item
+   * @param {number} quantity - Quantity to sell, a positive integer (-1 for all)
+   * @param {string} merchantId - Merchant identifier (default: the open shop)
+   * @returns {boolean} - True if the items were sold
+   */
+  sellItem(slotIndex, quantity = -1, merchantId = this.openMerchantId) {
+    const item = this.slots[slotIndex];
+    if (!item) return this.failTrade("sell", merchantId, "no_item");
+    if (quantity !== -1 && (!Number.isInteger(quantity) || quantity < 1)) {
+      return this.failTrade("sell", merchantId, "invalid_quantity", {
+        item,
+        quantity,
+      });
+    }
+
+    const reason = this.checkSale(item, merchantId);
+    if (reason) return this.failTrade("sell", merchantId, reason, { item });
+
+    const count =
+      quantity === -1 ? item.quantity : Math.min(quantity, item.quantity);
+    const price = this.getSellPrice(item, merchantId) * count;
+
+    let sold = item;
+    if (count < item.quantity) {
+      sold = item.split(count);
+    } else {
+      this.slots[slotIndex] = null;
+    }
+
+    this.shop.addBuyback(merchantId, sold, price);
+    this.updateCurrency(this.currency + price);
+
+    this.log(`Sold ${count}× ${sold.name} for ${price}`);
+    this.playSound("item_drop");
+    this.animateSlot(slotIndex, "item-removed");
+    this.trackOperation("sell", { merchantId, item: sold, price });
+    this.saveInventory();
+    this.refreshUI();
+
+    this.dispatchEvent("inventory:item-sold", {
+      merchantId,
+      item: sold,
+      slot: slotIndex,
+      quantity: count,
+      price,
+    });
+    return true;
+  }
+
+  /**
+   * Buy back an item sold to a merchant, for what the player got for it
+   * @param {number} index - Entry index in the merchant's buyback list (newest first)
+   * @param {string} merchantId - Merchant identifier (default: the open shop)
+   * @returns {boolean} - True if the item was bought back
+   */
+  buyBack(index, merchantId = this.openMerchantId) {
+    const entry = this.shop.getBuyback(merchantId)[index];
+    if (!entry) return this.failTrade("buyback", merchantId, "no_item");
+    if (entry.price > this.currency) {
+      return this.failTrade("buyback", merchantId, "not_enough_currency", {
+        price: entry.price,
+      });
+    }
+
+    const item = InventoryItem.fromJSON(entry.item);
+    if (!this.fitsInBag(item)) {
+      return this.failTrade("buyback", merchantId, "over_capacity", { item });
+    }
+
+    const bag = this.getBag();
+    const saved = bag.snapshot();
+    if (this.placeItem(bag, item) > 0) {
+      bag.restore(saved);
+      return this.failTrade("buyback", merchantId, "no_room", { item });
+    }
+
+    this.shop.takeBuyback(merchantId, index);
+    this.updateCurrency(this.currency - entry.price);
+
+    this.log(`Bought back ${item.name} for ${entry.price}`);
+    this.playSound("item_pickup");
+    this.trackOperation("buyback", { merchantId, item, price: entry.price });
+    this.saveInventory();
+    this.refreshUI();
+
+    this.dispatchEvent("inventory:item-bought-back", {
+      merchantId,
+      item,
+      price: entry.price,
+    });
+    return true;
+  }
+
+  /**
+   * Report a trade that didn't happen
+   * @param {string} action - 'buy', 'sell' or 'buyback'
+   * @param {string} merchantId - Merchant identifier
+   * @param {string} reason - 'unknown_merchant', 'invalid_quantity', 'not_sold_here', 'out_of_stock', 'not_enough_currency', 'over_capacity', 'no_room', 'no_item', 'locked', 'untradeable', 'equipped' or 'not_buying'
+   * @param {Object} detail - What the trade was about (templateId, item, quantity, price)
+   * @returns {boolean} - Always false
+   */
+  failTrade(action, merchantId, reason, detail = {}) {
+    this.log(`Can't ${action} at ${merchantId}: ${reason}`, "warn");
+    this.playSound("error");
+    this.dispatchEvent("inventory:trade-failed", {
+      action,
+      merchantId,
+      reason,
+      ...detail,
+    });
+    return false;
+  }
+
+  /**
+   * Open a merchant's shop next to the bag - restocks the merchant if it's due
+   * @param {string} merchantId - Merchant identifier
+   * @returns {boolean} - True if the shop was opened
+   */
+  openShop(merchantId) {
+    if (!this.shop.getMerchant(merchantId)) return false;
+
+    // Trading and looting a chest don't go together
+    this.closeContainer();
+    this.openMerchantId = merchantId;
+    if (this.containerElement) {
+      this.containerElement.classList.add("shop-open");
+    }
+    this.show();
+
+    this.dispatchEvent("inventory:shop-opened", { merchantId });
+    return true;
+  }
+
+  /**
+   * Close the open shop
+   */
+  closeShop() {
+    const merchantId = this.openMerchantId;
+    if (!merchantId) return;
+
+    this.openMerchantId = null;
+    if (this.containerElement) {
+      this.containerElement.classList.remove("shop-open");
+    }
+
+    this.dispatchEvent("inventory:shop-closed", { merchantId });
+  }
+
+  /**
+   * Use an item from inventory
+   * @param {number} slotIndex - Slot containing item to use
+   * @param {number} quantity - Quantity to use
+   * @returns {boolean} - True if item was used
+   */
+  useItem(slotIndex, quantity = 1) {
+    try {
+      const item = this.slots[slotIndex];
+      if (!item) return false;
+
+      const success = item.use(quantity);
+      if (success) {
+        // Remove item if quantity reaches 0
+        if (item.quantity <= 0) {
+          this.slots[slotIndex] = null;
+        }
+
+        this.playSound("item_use");
+        this.animateSlot(slotIndex, "item-used");
+        this.trackOperation("useItem", item);
+        this.saveInventory();
+        this.refreshUI();
+
+        this.dispatchEvent("inventory:item-used", {
+          item,
+          slot: slotIndex,
+          quantity,
+        });
+      }
+
+      return success;
+    } catch (error) {
+      this.log(`Error using item: ${error.message}`, "error");
+      return false;
+    }
+  }
+
+  /**
+   * Equip an item for a character
+   * @param {number} slotIndex - Slot containing the item
+   * @param {string} characterId - Character to equip (defaults to options.defaultCharacter)
+   * @param {Object} character - Character stats for requirement checks (defaults to the game state player)
+   * @returns {boolean} - True if the item was equipped
+   */
+  equipItem(
+    slotIndex,
+    characterId = this.options.defaultCharacter,
+    character = null
+  ) {
+    try {
+      const item = this.slots[slotIndex];
+      if (!item) return false;
+
+      const equipmentSlot = this.equipment.getSlotForItem(item);
+      if (!equipmentSlot) {
+        this.log(`${item.name} cannot be equipped`, "warn");
+        this.dispatchEvent("inventory:equip-failed", {
+          item,
+          slot: slotIndex,
+          reason: "not_equippable",
+        });
+        return false;
+      }
+
+      const requirements = this.equipment.checkRequirements(
+        item,
+        character || this.getCharacterStats()
+      );
+      if (!requirements.met) {
+        this.log(`Requirements not met for ${item.name}`, "warn");
+        this.playSound("error");
+        this.dispatchEvent("inventory:equip-failed", {
+          item,
+          slot: slotIndex,
+          reason: "requirements",
+          missing: requirements.missing,
+        });
+        return false;
+      }
+
+      // Swapping to a smaller bag mustn't strand items in its slots
+      let replaced = null;
+      const fits = this.changeLoadout(() => {
+        ({ replaced } = this.equipment.equip(characterId, item));
+      });
+      if (!fits) {
+        this.log(`Empty the bag slots before swapping ${item.name}`, "warn");
+        this.playSound("error");
+        this.dispatchEvent("inventory:equip-failed", {
+          item,
+          slot: slotIndex,
+          reason: "bag_not_empty",
+        });
+        return false;
+      }
+      item.equipped = true;
+
+      const replacedItem = replaced ? this.findItemById(replaced) : null;
+      if (replacedItem) {
+        replacedItem.equipped = false;
+      }
+
+      this.playSound("item_equip");
+      this.animateSlot(slotIndex, "item-used");
+      this.trackOperation("equipItem", item);
+      this.saveInventory();
+      this.refreshUI();
+
+      this.dispatchEvent("inventory:item-equipped", {
+        item,
+        slot: slotIndex,
+        characterId,
+        equipmentSlot,
+        replaced: replacedItem,
+      });
+      return true;
+    } catch (error) {
+      this.log(`Error equipping item: ${error.message}`, "error");
+      return false;
+    }
+  }
+
+  /**
+   * Unequip an item
+   * @param {number} slotIndex - Slot containing the item
+   * @returns {boolean} - True if the item was unequipped
+   */
+  unequipItem(slotIndex) {
+    const item = this.slots[slotIndex];
+    if (!item || !item.equipped) return false;
+
+    // A bag comes off only when the slots it adds are empty
+    let equipped = null;
+    if (
+      !this.changeLoadout(() => (equipped = this.equipment.unequip(item.id)))
+    ) {
+      this.log(`Empty the bag slots before taking off ${item.name}`, "warn");
+      this.playSound("error");
+      this.dispatchEvent("inventory:unequip-failed", {
+        item,
+        slot: slotIndex,
+        reason: "bag_not_empty",
+      });
+      return false;
+    }
+    item.equipped = false;
+
+    this.playSound("item_unequip");
+    this.trackOperation("unequipItem", item);
+    this.saveInventory();
+    this.refreshUI();
+
+    this.dispatchEvent("inventory:item-unequipped", {
+      item,
+      slot: slotIndex,
+      characterId: equipped ? equipped.characterId : null,
+      equipmentSlot: equipped ? equipped.slot : null,
+    });
+    return true;
+  }
+
+  /**
+   * Equip or unequip an item (the details panel button)
+   * @param {number} slotIndex - Slot containing the item
+   * @returns {boolean} - True if the item changed state
+   */
+  toggleEquipItem(slotIndex) {
+    const item = this.slots[slotIndex];
+    if (!item) return false;
+
+    const changed = item.equipped
+      ? this.unequipItem(slotIndex)
+      : this.equipItem(slotIndex);
+
+    if (changed) {
+      this.showItemDetails(slotIndex);
+    }
+    return changed;
+  }
+
+  /**
+   * Get the items a character has equipped
+   * @param {string} characterId - Character ID
+   * @returns {Object} - { equipment slot: InventoryItem }
+   */
+  getEquippedItems(characterId = this.options.defaultCharacter) {
+    const equipped = {};
+
+    Object.entries(this.equipment.getLoadout(characterId)).forEach(
+      ([equipmentSlot, itemId]) => {
+        const item = this.findItemById(itemId);
+        if (item) equipped[equipmentSlot] = item;
+      }
+    );
+
+    return equipped;
+  }
+
+  /**
+   * Get the stat totals of a character's equipped items
+   * @param {string} characterId - Character ID
+   * @returns {Object} - Stat name -> total
+   */
+  getEquipmentStats(characterId = this.options.defaultCharacter) {
+    return this.equipment.getStatTotals(this.getEquippedItems(characterId));
+  }
+
+  /**
+   * Stats used for requirement checks when none are given - the player's
+   * level from the game state
+   * @returns {Object} - Character stats
+   */
+  getCharacterStats() {
+    if (this.game && this.game.state && this.game.state.get) {
+      return { level: this.game.state.get("player.level", 1) };
+    }
+    return {};
+  }
+
+  /**
+   * Find an item by its ID
+   * @param {string} itemId - Item ID
+   * @returns {InventoryItem|null} - Item or null
+   */
+  findItemById(itemId) {
+    return this.slots.find((item) => item && item.id === itemId) || null;
+  }
+
+  /**
+   * Find first empty slot
+   * @param {InventoryItem|null} item - Item that has to fit there (grid layout)
+   * @returns {number} - Slot index or -1 if none available
+   */
+  findEmptySlot(item = null) {
+    return this.getBag().findEmptySlot(item);
+  }
+
+  /**
+   * Turn an item a quarter in a grid, when it fits turned where it is
+   * @param {number} slotIndex - Slot of the item
+   * @param {string} containerId - Container of the item
+   * @returns {boolean} - True if the item was turned
+   */
+  rotateItem(slotIndex, containerId = "bag") {
+    const container = this.getContainer(containerId);
+    const item = container ? container.slots[slotIndex] : null;
+    if (!item || !container.isGrid() || item.width === item.height) {
+      return false;
+    }
+
+    if (!container.rotateItem(slotIndex)) {
+      this.log(`No room to turn ${item.name}`, "warn");
+      this.playSound("error");
+      return false;
+    }
+
+    this.playSound("item_move");
+    this.animateSlot(slotIndex, "item-moved", containerId);
+    this.saveInventory();
+    this.refreshUI();
+
+    this.dispatchEvent("inventory:item-rotated", {
+      item,
+      slot: slotIndex,
+      containerId,
+      rotated: item.rotated,
+    });
+    return true;
+  }
+
+  /**
+   * Get items by filter criteria
+   * @param {Object} criteria - Filter criteria
+   * @returns {Array} - Array of {item, slot} objects
+   */
+  findItems(criteria = {}) {
+    const results = [];
+
+    for (let i = 0; i < this.slots.length; i++) {
+      const item = this.slots[i];
+      if (!item) continue;
+
+      let matches = true;
+
+      // Check each criteria
+      Object.entries(criteria).forEach(([key, value]) => {
+        if (
+          key === "name" &&
+          !item.name.toLowerCase().includes(value.toLowerCase())
+        ) {
+          matches = false;
+        } else if (key === "type" && item.type !== value) {
+          matches = false;
+        } else if (key === "rarity" && item.rarity !== value) {
+          matches = false;
+        } else if (key === "templateId" && item.templateId !== value) {
+          matches = false;
+        } else if (key === "minValue" && item.value < value) {
+          matches = false;
+        } else if (key === "maxValue" && item.value > value) {
+          matches = false;
+        } else if (key === "equipped" && item.equipped !== value) {
+          matches = false;
+        } else if (key === "stackable" && item.stackable !== value) {
+          matches = false;
+        }
+      });
+
+      if (matches) {
+        results.push({ item, slot: i });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Sort inventory by criteria
+   * @param {string} sortBy - Sort criteria
+   * @param {boolean} ascending - Sort direction
+   */
+  sortInventory(sortBy = "name", ascending = true) {
+    try {
+      // Extract non-null items with their original positions
+      const itemsWithSlots = [];
+      for (let i = 0; i < this.slots.length; i++) {
+        if (this.slots[i]) {
+          itemsWithSlots.push({ item: this.slots[i], originalSlot: i });
+        }
+      }
+
+      // Sort items
+      itemsWithSlots.sort((a, b) => {
+        let valueA, valueB;
+
+        switch (sortBy) {
+          case "name":
+            valueA = a.item.name.toLowerCase();
+            valueB = b.item.name.toLowerCase();
+            break;
+          case "type":
+            valueA = a.item.type;
+            valueB = b.item.type;
+            break;
+          case "rarity":
+            const rarityOrder = {
+              common: 0,
+              uncommon: 1,
+              rare: 2,
+              epic: 3,
+              legendary: 4,
+              artifact: 5,
+            };
+            valueA = rarityOrder[a.item.rarity] || 0;
+            valueB = rarityOrder[b.item.rarity] || 0;
             break;
           case "value":
             valueA = a.item.value;
@@ -603,13 +2280,12 @@ class InventoryManager {
         return 0;
       });
 
-      // Clear slots and place sorted items
-      this.slots.fill(null);
-      itemsWithSlots.forEach((entry, index) => {
-        if (index < this.slots.length) {
-          this.slots[index] = entry.item;
-        }
-      });
+      // Clear slots and place sorted items - a grid that can't take them in
+      // this order is packed biggest first
+      if (!this.getBag().arrange(itemsWithSlots.map((entry) => entry.item))) {
+        this.log("Sorted items don't fit the grid - order kept", "warn");
+        return;
+      }
 
       this.currentSort = sortBy;
       this.playSound("inventory_sort");
@@ -678,7 +2354,7 @@ class InventoryManager {
             visible = false;
           else if (
             this.currentFilter === "misc" &&
-            !["misc", "quest"].includes(item.type)
+            !["misc", "quest", "material", "tool"].includes(item.type)
           )
             visible = false;
         }
@@ -703,11 +2379,15 @@ class InventoryManager {
    */
   getStats() {
     const stats = {
-      totalSlots: this.options.maxSlots,
+      totalSlots: this.slots.length,
       usedSlots: 0,
       emptySlots: 0,
       totalItems: 0,
       totalValue: 0,
+      totalWeight: 0,
+      totalVolume: 0,
+      maxWeight: this.options.maxWeight,
+      maxVolume: this.options.maxVolume,
       itemsByType: {},
       itemsByRarity: {},
       averageItemValue: 0,
@@ -721,9 +2401,13 @@ class InventoryManager {
 
     for (const item of this.slots) {
       if (item) {
-        stats.usedSlots++;
+        // Grid items use every cell they cover
+        const { width, height } = this.getBag().getFootprint(item);
+        stats.usedSlots += width * height;
         stats.totalItems += item.quantity;
         stats.totalValue += item.value * item.quantity;
+        stats.totalWeight += item.getTotalWeight();
+        stats.totalVolume += item.getTotalVolume();
 
         // Count by type
         stats.itemsByType[item.type] =
@@ -767,6 +2451,8 @@ class InventoryManager {
     try {
       const inventoryData = {
         slots: this.slots.map((item) => (item ? item.toJSON() : null)),
+        equipment: this.equipment.toJSON(),
+        currency: this.currency,
         metadata: {
           savedAt: Date.now(),
           version: "1.0.0",
@@ -780,39 +2466,139 @@ class InventoryManager {
         JSON.stringify(inventoryData)
       );
 
-      // Save to game state if enabled
+      // Save to game state if enabled
+      if (this.game && this.game.state && this.options.saveToGameState) {
+        this.game.state.set(this.options.gameStateKey, inventoryData, true);
+      }
+
+      // The other containers save under their own keys
+      this.containers.forEach((container) => {
+        if (container.id !== "bag") this.saveContainer(container);
+      });
+      this.saveShop();
+
+      this.dispatchEvent("inventory:saved", { timestamp: Date.now() });
+    } catch (error) {
+      this.log(`Error saving inventory: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Load inventory from storage
+   */
+  async loadInventory() {
+    try {
+      // Try to load from game state first
+      if (this.game && this.game.state && this.options.saveToGameState) {
+        const gameStateData = this.game.state.get(this.options.gameStateKey);
+        if (gameStateData) {
+          this.loadFromData(gameStateData);
+          return;
+        }
+      }
+
+      // Load from localStorage
+      const saved = localStorage.getItem(this.options.storageKey);
+      if (saved) {
+        const data = JSON.parse(saved);
+        this.loadFromData(data);
+      }
+    } catch (error) {
+      this.log(`Error loading inventory: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Save a container other than the bag under its own keys
+   * @param {InventoryContainer} container - Container to save
+   */
+  saveContainer(container) {
+    if (!container.persist) return;
+
+    const containerData = {
+      ...container.toJSON(),
+      metadata: { savedAt: Date.now(), version: "1.0.0" },
+    };
+
+    if (container.storageKey) {
+      localStorage.setItem(container.storageKey, JSON.stringify(containerData));
+    }
+    if (this.game && this.game.state && this.options.saveToGameState) {
+      if (container.gameStateKey) {
+        this.game.state.set(container.gameStateKey, containerData, true);
+      }
+    }
+  }
+
+  /**
+   * Load a container's saved contents - game state first, then localStorage
+   * @param {InventoryContainer} container - Container to load
+   * @returns {boolean} - True if saved contents were found
+   */
+  loadContainer(container) {
+    if (!container.persist) return false;
+
+    try {
+      let data = null;
       if (this.game && this.game.state && this.options.saveToGameState) {
-        this.game.state.set(this.options.gameStateKey, inventoryData, true);
+        data = container.gameStateKey
+          ? this.game.state.get(container.gameStateKey)
+          : null;
+      }
+      if (!data && container.storageKey) {
+        const saved = localStorage.getItem(container.storageKey);
+        data = saved ? JSON.parse(saved) : null;
       }
+      if (!data || !data.slots) return false;
 
-      this.dispatchEvent("inventory:saved", { timestamp: Date.now() });
+      container.loadSlots(data.slots);
+      return true;
     } catch (error) {
-      this.log(`Error saving inventory: ${error.message}`, "error");
+      this.log(`Error loading container: ${error.message}`, "error");
+      return false;
     }
   }
 
   /**
-   * Load inventory from storage
+   * Save merchant stock and buyback lists, and the currency to its own
+   * game state key
    */
-  async loadInventory() {
+  saveShop() {
+    const shopData = {
+      merchants: this.shop.toJSON(),
+      metadata: { savedAt: Date.now(), version: "1.0.0" },
+    };
+
+    localStorage.setItem(
+      `${this.options.storageKey}-shop`,
+      JSON.stringify(shopData)
+    );
+    if (this.game && this.game.state && this.options.saveToGameState) {
+      this.game.state.set(`${this.options.gameStateKey}-shop`, shopData, true);
+      this.game.state.set(this.options.currencyKey, this.currency, true);
+    }
+  }
+
+  /**
+   * Load merchant stock and buyback lists - game state first, then
+   * localStorage. Currency in game state wins over the saved inventory's.
+   */
+  loadShop() {
     try {
-      // Try to load from game state first
+      let data = null;
       if (this.game && this.game.state && this.options.saveToGameState) {
-        const gameStateData = this.game.state.get(this.options.gameStateKey);
-        if (gameStateData) {
-          this.loadFromData(gameStateData);
-          return;
-        }
-      }
+        data = this.game.state.get(`${this.options.gameStateKey}-shop`);
 
-      // Load from localStorage
-      const saved = localStorage.getItem(this.options.storageKey);
-      if (saved) {
-        const data = JSON.parse(saved);
-        this.loadFromData(data);
+        const currency = this.game.state.get(this.options.currencyKey);
+        if (typeof currency === "number") this.currency = currency;
       }
+      if (!data) {
+        const saved = localStorage.getItem(`${this.options.storageKey}-shop`);
+        data = saved ? JSON.parse(saved) : null;
+      }
+      if (data && data.merchants) this.shop.fromJSON(data.merchants);
     } catch (error) {
-      this.log(`Error loading inventory: ${error.message}`, "error");
+      this.log(`Error loading shop: ${error.message}`, "error");
     }
   }
 
@@ -823,14 +2609,15 @@ class InventoryManager {
   loadFromData(data) {
     if (!data.slots) return;
 
-    this.slots = data.slots.map((itemData) => {
-      return itemData ? InventoryItem.fromJSON(itemData) : null;
-    });
+    this.getBag().loadSlots(data.slots);
+    if (typeof data.currency === "number") this.currency = data.currency;
 
-    // Ensure slots array is correct length
-    while (this.slots.length < this.options.maxSlots) {
-      this.slots.push(null);
-    }
+    // Loadouts only keep items that are still here
+    this.equipment.fromJSON(data.equipment || {});
+    this.equipment.prune((itemId) => Boolean(this.findItemById(itemId)));
+
+    // Bag items worn add their slots
+    this.updateBagSlots();
 
     this.dispatchEvent("inventory:loaded", { timestamp: Date.now() });
   }
@@ -871,7 +2658,7 @@ class InventoryManager {
             </div>
           </div>
 
-          <!-- Main Inventory Panel -->
+          <!-- Main Inventory Panel (the bag) -->
           <div class="inventory-main-panel">
             <div class="inventory-header">
               <h2 class="inventory-title">Inventory</h2>
@@ -884,7 +2671,22 @@ class InventoryManager {
                   <div class="inventory-stat-value" id="inv-value">0</div>
                   <div class="inventory-stat-label">Value</div>
                 </div>
+                <div class="inventory-stat">
+                  <div class="inventory-stat-value" id="inv-currency">0</div>
+                  <div class="inventory-stat-label">${
+                    this.options.currencyName
+                  }</div>
+                </div>
+                <div class="inventory-stat" id="inv-weight-stat">
+                  <div class="inventory-stat-value" id="inv-weight">0</div>
+                  <div class="inventory-stat-label">Weight</div>
+                </div>
+                <div class="inventory-stat" id="inv-volume-stat">
+                  <div class="inventory-stat-value" id="inv-volume">0</div>
+                  <div class="inventory-stat-label">Volume</div>
+                </div>
               </div>
+              <button class="inventory-crafting-toggle" id="inventory-crafting-toggle" title="Crafting">⚒️</button>
               <button class="inventory-close" id="close-inventory">×</button>
             </div>
             <div class="inventory-controls">
@@ -906,6 +2708,50 @@ class InventoryManager {
               </div>
             </div>
           </div>
+
+          <!-- Open Container Panel (stash, chests) -->
+          <div class="inventory-container-panel" id="inventory-container-panel">
+            <div class="inventory-header">
+              <h2 class="inventory-title" id="inventory-container-title">Container</h2>
+              <button class="inventory-take-all" id="inventory-take-all">Take All</button>
+              <button class="inventory-close" id="close-container">×</button>
+            </div>
+            <div class="inventory-content">
+              <div class="inventory-grid" id="inventory-container-grid"></div>
+            </div>
+          </div>
+
+          <!-- Crafting Panel -->
+          <div class="inventory-crafting-panel" id="inventory-crafting-panel">
+            <div class="inventory-header">
+              <h2 class="inventory-title">Crafting</h2>
+              <button class="inventory-close" id="close-crafting">×</button>
+            </div>
+            <div class="inventory-content">
+              <div class="inventory-crafting-list" id="inventory-crafting-list"></div>
+            </div>
+          </div>
+
+          <!-- Shop Panel (merchant's goods and buyback, items to sell) -->
+          <div class="inventory-shop-panel" id="inventory-shop-panel">
+            <div class="inventory-header">
+              <h2 class="inventory-title" id="inventory-shop-title">Shop</h2>
+              <div class="inventory-shop-currency" id="inventory-shop-currency"></div>
+              <button class="inventory-close" id="close-shop">×</button>
+            </div>
+            <div class="inventory-shop-panes" id="inventory-shop-panes">
+              <div class="inventory-shop-pane">
+                <div class="inventory-shop-pane-title">For Sale</div>
+                <div class="inventory-shop-list" id="inventory-shop-stock"></div>
+                <div class="inventory-shop-pane-title">Buy Back</div>
+                <div class="inventory-shop-list" id="inventory-shop-buyback"></div>
+              </div>
+              <div class="inventory-shop-pane">
+                <div class="inventory-shop-pane-title">Your Items</div>
+                <div class="inventory-shop-list" id="inventory-shop-sell"></div>
+              </div>
+            </div>
+          </div>
         </div>
       `;
 
@@ -917,7 +2763,7 @@ class InventoryManager {
       await new Promise((resolve) => setTimeout(resolve, 10));
 
       this.log("Inventory UI created successfully");
-      this.log(`Created ${this.options.maxSlots} inventory slots`);
+      this.log(`Created ${this.slots.length} inventory slots`);
 
       return true;
     } catch (error) {
@@ -928,15 +2774,49 @@ class InventoryManager {
 
   /**
    * Generate HTML for inventory slots
+   * @param {string} containerId - Container the slots show
    */
-  generateSlotHTML() {
+  generateSlotHTML(containerId = "bag") {
+    const container = this.getContainer(containerId);
     let html = "";
-    for (let i = 0; i < this.options.maxSlots; i++) {
-      html += `<div class="inventory-slot" data-slot="${i}" tabindex="0"></div>`;
+    for (let i = 0; i < container.slots.length; i++) {
+      // Grid cells keep their place however big the items around them are
+      const position = container.isGrid()
+        ? ` style="grid-column: ${(i % container.columns) + 1}; grid-row: ${
+            Math.floor(i / container.columns) + 1
+          };"`
+        : "";
+      html += `<div class="inventory-slot" data-container="${containerId}" data-slot="${i}" tabindex="0"${position}></div>`;
     }
     return html;
   }
 
+  /**
+   * Get the grid element showing a container
+   * @param {string} containerId - Container identifier
+   * @returns {HTMLElement|null} - The bag grid, the open container's grid, or null
+   */
+  getGridElement(containerId = "bag") {
+    if (containerId === "bag") {
+      return document.getElementById("inventory-grid");
+    }
+    return containerId === this.openContainerId
+      ? document.getElementById("inventory-container-grid")
+      : null;
+  }
+
+  /**
+   * Get a slot element
+   * @param {number} index - Slot index
+   * @param {string} containerId - Container of the slot
+   * @returns {HTMLElement|null}
+   */
+  getSlotElement(index, containerId = "bag") {
+    return document.querySelector(
+      `.inventory-slot[data-container="${containerId}"][data-slot="${index}"]`
+    );
+  }
+
   /**
    * Set up event listeners - FIXED VERSION
    */
@@ -983,6 +2863,100 @@ class InventoryManager {
       });
     }
 
+    // Open container panel
+    const closeContainerBtn = document.getElementById("close-container");
+    if (closeContainerBtn) {
+      const closeContainerHandler = () => {
+        this.closeContainer();
+        this.refreshUI();
+      };
+      closeContainerBtn.addEventListener("click", closeContainerHandler);
+      this.eventListeners.set("close-container", {
+        event: "click",
+        handler: closeContainerHandler,
+      });
+    }
+
+    const takeAllBtn = document.getElementById("inventory-take-all");
+    if (takeAllBtn) {
+      const takeAllHandler = () => {
+        if (this.openContainerId) this.transferAll(this.openContainerId);
+      };
+      takeAllBtn.addEventListener("click", takeAllHandler);
+      this.eventListeners.set("inventory-take-all", {
+        event: "click",
+        handler: takeAllHandler,
+      });
+    }
+
+    // Crafting panel - recipe buttons carry their recipe ID
+    const craftingToggleBtn = document.getElementById(
+      "inventory-crafting-toggle"
+    );
+    if (craftingToggleBtn) {
+      const craftingToggleHandler = () => this.toggleCraftingPanel();
+      craftingToggleBtn.addEventListener("click", craftingToggleHandler);
+      this.eventListeners.set("inventory-crafting-toggle", {
+        event: "click",
+        handler: craftingToggleHandler,
+      });
+    }
+
+    const closeCraftingBtn = document.getElementById("close-crafting");
+    if (closeCraftingBtn) {
+      const closeCraftingHandler = () => this.closeCraftingPanel();
+      closeCraftingBtn.addEventListener("click", closeCraftingHandler);
+      this.eventListeners.set("close-crafting", {
+        event: "click",
+        handler: closeCraftingHandler,
+      });
+    }
+
+    const craftingList = document.getElementById("inventory-crafting-list");
+    if (craftingList) {
+      const craftHandler = (e) => {
+        const button = e.target.closest("[data-recipe]");
+        if (button && !button.disabled) this.craft(button.dataset.recipe);
+      };
+      craftingList.addEventListener("click", craftHandler);
+      this.eventListeners.set("inventory-crafting-list", {
+        event: "click",
+        handler: craftHandler,
+      });
+    }
+
+    // Shop panel - trade buttons carry what they buy, buy back or sell;
+    // shift-click sells the whole stack
+    const closeShopBtn = document.getElementById("close-shop");
+    if (closeShopBtn) {
+      const closeShopHandler = () => this.closeShop();
+      closeShopBtn.addEventListener("click", closeShopHandler);
+      this.eventListeners.set("close-shop", {
+        event: "click",
+        handler: closeShopHandler,
+      });
+    }
+
+    const shopPanes = document.getElementById("inventory-shop-panes");
+    if (shopPanes) {
+      const tradeHandler = (e) => {
+        const button = e.target.closest("button");
+        if (!button || button.disabled) return;
+
+        const { buy, buyback, sell } = button.dataset;
+        if (buy !== undefined) this.buyItem(buy);
+        if (buyback !== undefined) this.buyBack(parseInt(buyback));
+        if (sell !== undefined) {
+          this.sellItem(parseInt(sell), e.shiftKey ? -1 : 1);
+        }
+      };
+      shopPanes.addEventListener("click", tradeHandler);
+      this.eventListeners.set("inventory-shop-panes", {
+        event: "click",
+        handler: tradeHandler,
+      });
+    }
+
     // Filter buttons
     document.querySelectorAll(".inventory-filter-btn").forEach((btn, index) => {
       const filterHandler = (e) => {
@@ -1009,10 +2983,15 @@ class InventoryManager {
 
   /**
    * Set up slot-specific event listeners
+   * @param {string} containerId - Container whose grid to set up
    */
-  setupSlotEvents() {
-    const slots = document.querySelectorAll(".inventory-slot");
-    this.log(`Setting up events for ${slots.length} slots`);
+  setupSlotEvents(containerId = "bag") {
+    const grid = this.getGridElement(containerId);
+    if (!grid) return;
+
+    const slots = grid.querySelectorAll(".inventory-slot");
+    const isBag = containerId === "bag";
+    this.log(`Setting up events for ${slots.length} ${containerId} slots`);
 
     slots.forEach((slot, index) => {
       // Click handler - distinguish between click and drag
@@ -1034,20 +3013,39 @@ class InventoryManager {
         // Small delay to allow drag detection
         setTimeout(() => {
           if (!isDragging) {
-            if (e.ctrlKey || e.metaKey) {
+            if (isBag && (e.ctrlKey || e.metaKey)) {
               this.toggleSlotSelection(index);
             } else {
-              this.selectSlot(index);
+              this.selectSlot(index, containerId);
               // Show item details on click
-              this.showItemDetails(index);
+              this.showItemDetails(index, containerId);
             }
           }
         }, 50);
       };
 
+      // Double click moves the item between the bag and the open container
+      const doubleClickHandler = () => {
+        if (!this.openContainerId) return;
+        if (isBag) {
+          this.transferItem("bag", index, this.openContainerId);
+        } else {
+          this.transferItem(containerId, index, "bag");
+        }
+      };
+
       slot.addEventListener("mousedown", mouseDownHandler);
       slot.addEventListener("mousemove", mouseMoveHandler);
       slot.addEventListener("click", clickHandler);
+      slot.addEventListener("dblclick", doubleClickHandler);
+
+      // Context menu and keyboard actions work on the bag
+      if (!isBag) {
+        if (this.options.enableDragDrop) {
+          this.setupDragDrop(slot, index, containerId);
+        }
+        return;
+      }
 
       // Context menu
       if (this.options.enableContextMenu) {
@@ -1073,19 +3071,24 @@ class InventoryManager {
 
   /**
    * Set up drag and drop for a slot
+   * @param {HTMLElement} slot - Slot element
+   * @param {number} index - Slot index
+   * @param {string} containerId - Container of the slot
    */
-  setupDragDrop(slot, index) {
+  setupDragDrop(slot, index, containerId = "bag") {
+    const container = this.getContainer(containerId);
+
     // Make slot draggable if it has an item
     const updateDraggable = () => {
-      slot.draggable = this.slots[index] !== null;
+      slot.draggable = Boolean(container.slots[index]);
     };
     updateDraggable();
 
-    // Drag start
+    // Drag start - the data names the container and slot, "chest:3"
     const dragStartHandler = (e) => {
-      const item = this.slots[index];
+      const item = container.slots[index];
       if (item) {
-        e.dataTransfer.setData("text/plain", index.toString());
+        e.dataTransfer.setData("text/plain", `${containerId}:${index}`);
         slot.classList.add("drag-source");
         this.draggedSlot = index;
         this.draggedItem = item;
@@ -1094,10 +3097,14 @@ class InventoryManager {
     };
     slot.addEventListener("dragstart", dragStartHandler);
 
-    // Drag over
+    // Drag over - grids light up the cells the item would cover
     const dragOverHandler = (e) => {
       e.preventDefault();
-      slot.classList.add("drag-over");
+      if (container.isGrid() && this.draggedItem) {
+        this.highlightPlacement(containerId, index);
+      } else {
+        slot.classList.add("drag-over");
+      }
     };
     slot.addEventListener("dragover", dragOverHandler);
 
@@ -1110,13 +3117,24 @@ class InventoryManager {
     // Drop
     const dropHandler = (e) => {
       e.preventDefault();
-      const fromIndex = parseInt(e.dataTransfer.getData("text/plain"));
+      const [fromContainer, fromSlot] = e.dataTransfer
+        .getData("text/plain")
+        .split(":");
+      const fromIndex = parseInt(fromSlot);
       slot.classList.remove("drag-over");
 
-      if (fromIndex !== index) {
-        const success = this.moveItem(fromIndex, index);
+      if (fromContainer !== containerId || fromIndex !== index) {
+        const success = this.moveItem(
+          fromIndex,
+          index,
+          -1,
+          fromContainer,
+          containerId
+        );
         if (success) {
-          this.log(`Moved item from slot ${fromIndex} to ${index}`);
+          this.log(
+            `Moved item from ${fromContainer} slot ${fromIndex} to ${containerId} slot ${index}`
+          );
         }
       }
 
@@ -1131,12 +3149,37 @@ class InventoryManager {
     slot.addEventListener("dragend", dragEndHandler);
   }
 
+  /**
+   * Show the cells the dragged item would cover in a grid, and whether it fits
+   * @param {string} containerId - Grid container
+   * @param {number} index - Cell under the pointer
+   */
+  highlightPlacement(containerId, index) {
+    const container = this.getContainer(containerId);
+    const grid = this.getGridElement(containerId);
+    if (!container || !grid) return;
+
+    grid.querySelectorAll(".drag-over, .drag-blocked").forEach((cell) => {
+      cell.classList.remove("drag-over", "drag-blocked");
+    });
+
+    // Dropping on another item stacks or swaps with it
+    const item = this.draggedItem;
+    const target = container.slots[container.getItemSlot(index)];
+    const fits =
+      container.canPlace(item, index) || Boolean(target && target !== item);
+    (container.getCells(item, index) || [index]).forEach((cell) => {
+      const element = this.getSlotElement(cell, containerId);
+      if (element) element.classList.add(fits ? "drag-over" : "drag-blocked");
+    });
+  }
+
   /**
    * Clean up drag and drop state
    */
   cleanupDragState() {
     document.querySelectorAll(".inventory-slot").forEach((s) => {
-      s.classList.remove("drag-source", "drag-over");
+      s.classList.remove("drag-source", "drag-over", "drag-blocked");
     });
     this.draggedSlot = null;
     this.draggedItem = null;
@@ -1201,6 +3244,8 @@ class InventoryManager {
 
       this.updateSlots();
       this.updateStats();
+      this.updateCraftingPanel();
+      this.updateShopPanel();
 
       this.log("UI refreshed successfully");
     } catch (error) {
@@ -1213,17 +3258,60 @@ class InventoryManager {
    * Update individual slot displays - FIXED VERSION
    */
   updateSlots() {
-    const slots = document.querySelectorAll(".inventory-slot");
+    this.updateContainerSlots("bag");
+    if (this.openContainerId) {
+      this.updateContainerSlots(this.openContainerId);
+    }
+  }
+
+  /**
+   * Update the slot displays of a container's grid
+   * @param {string} containerId - Container identifier
+   */
+  updateContainerSlots(containerId) {
+    const container = this.getContainer(containerId);
+    const grid = this.getGridElement(containerId);
+    if (!container || !grid) return;
+
+    // Bags grow and shrink with the bag items worn
+    if (grid.children.length !== container.slots.length) {
+      grid.innerHTML = this.generateSlotHTML(containerId);
+      this.setupSlotEvents(containerId);
+    }
+
+    const slots = grid.querySelectorAll(".inventory-slot");
 
     if (slots.length === 0) {
       this.log("No slot elements found during updateSlots", "error");
       return;
     }
 
-    this.log(`Updating ${slots.length} slots`);
+    this.log(`Updating ${slots.length} ${containerId} slots`);
+
+    // Grid items span their footprint and hide the cells under them
+    const isGrid = container.isGrid();
+    const occupied = isGrid ? container.getOccupiedCells() : null;
+    grid.classList.toggle("grid-layout", isGrid);
+    grid.style.gridTemplateColumns = isGrid
+      ? `repeat(${container.columns}, var(--inventory-slot-size))`
+      : "";
 
     slots.forEach((slot, index) => {
-      const item = this.slots[index];
+      const item = container.slots[index];
+
+      if (isGrid) {
+        const { width, height } = item
+          ? container.getFootprint(item)
+          : { width: 1, height: 1 };
+        slot.style.gridColumn = `${
+          (index % container.columns) + 1
+        } / span ${width}`;
+        slot.style.gridRow = `${
+          Math.floor(index / container.columns) + 1
+        } / span ${height}`;
+        slot.classList.toggle("grid-item", Boolean(item));
+        slot.classList.toggle("grid-covered", !item && occupied.has(index));
+      }
 
       if (item) {
         slot.innerHTML = this.generateItemHTML(item);
@@ -1236,11 +3324,15 @@ class InventoryManager {
         slot.draggable = false;
       }
 
-      // Apply visibility based on current filter
+      // Apply visibility based on current filter (bag only)
       const shouldShow =
-        this.visibleSlots.size === 0 || this.visibleSlots.has(index);
+        containerId !== "bag" ||
+        this.visibleSlots.size === 0 ||
+        this.visibleSlots.has(index);
 
-      if (shouldShow) {
+      if (slot.classList.contains("grid-covered")) {
+        slot.style.display = "none";
+      } else if (shouldShow) {
         slot.style.display = "flex";
         slot.classList.remove("hidden");
       } else {
@@ -1308,6 +3400,26 @@ class InventoryManager {
 
     if (itemsElement) itemsElement.textContent = stats.totalItems;
     if (valueElement) valueElement.textContent = stats.totalValue;
+
+    const currencyElement = document.getElementById("inv-currency");
+    if (currencyElement) currencyElement.textContent = this.currency;
+
+    // Weight and volume show against their limits; volume hides without one
+    const exceeded = this.getExceededLimits();
+    [
+      ["weight", stats.totalWeight, stats.maxWeight],
+      ["volume", stats.totalVolume, stats.maxVolume],
+    ].forEach(([limit, total, max]) => {
+      const statElement = document.getElementById(`inv-${limit}-stat`);
+      const valueElement = document.getElementById(`inv-${limit}`);
+      if (!statElement || !valueElement) return;
+
+      const amount = this.formatAmount(total);
+      valueElement.textContent = max === null ? amount : `${amount}/${max}`;
+      statElement.classList.toggle("over-capacity", exceeded.includes(limit));
+      statElement.style.display =
+        limit === "volume" && max === null && total === 0 ? "none" : "";
+    });
   }
 
   /**
@@ -1328,6 +3440,8 @@ class InventoryManager {
    */
   hide() {
     if (this.containerElement) {
+      this.closeContainer();
+      this.closeShop();
       this.containerElement.classList.remove("visible");
       this.isVisible = false;
       this.dispatchEvent("inventory:hidden");
@@ -1335,6 +3449,211 @@ class InventoryManager {
     }
   }
 
+  /**
+   * Open the crafting panel next to the bag
+   */
+  openCraftingPanel() {
+    this.isCraftingOpen = true;
+    if (this.containerElement) {
+      this.containerElement.classList.add("crafting-open");
+    }
+    this.updateCraftingPanel();
+    this.show();
+  }
+
+  /**
+   * Close the crafting panel
+   */
+  closeCraftingPanel() {
+    this.isCraftingOpen = false;
+    if (this.containerElement) {
+      this.containerElement.classList.remove("crafting-open");
+    }
+  }
+
+  /**
+   * Toggle the crafting panel
+   */
+  toggleCraftingPanel() {
+    if (this.isCraftingOpen) {
+      this.closeCraftingPanel();
+    } else {
+      this.openCraftingPanel();
+    }
+  }
+
+  /**
+   * List the recipes that can be crafted from the bag in the crafting panel
+   */
+  updateCraftingPanel() {
+    const list = document.getElementById("inventory-crafting-list");
+    if (!list || !this.isCraftingOpen) return;
+
+    const recipes = this.getCraftableRecipes();
+    list.innerHTML =
+      recipes.length > 0
+        ? recipes.map((recipe) => this.generateRecipeHTML(recipe)).join("")
+        : '<div class="inventory-crafting-empty">Nothing to craft from what you carry</div>';
+  }
+
+  /**
+   * Generate HTML for a recipe in the crafting panel
+   * @param {Object} recipe - Recipe definition
+   */
+  generateRecipeHTML(recipe) {
+    const active = this.activeCraft && this.activeCraft.recipeId === recipe.id;
+    const describe = (entries) =>
+      entries
+        .map(
+          ({ templateId, quantity }) =>
+            `${quantity}× ${this.getTemplateName(templateId)}`
+        )
+        .join(", ");
+
+    // Redrawing mid-craft picks the progress bar up where it was
+    const elapsed = active ? Date.now() - this.activeCraft.startedAt : 0;
+
+    return `
+      <div class="inventory-recipe${active ? " crafting" : ""}">
+        <div class="inventory-recipe-icon">${recipe.icon}</div>
+        <div class="inventory-recipe-info">
+          <div class="inventory-recipe-name">${recipe.name}</div>
+          <div class="inventory-recipe-io">${describe(
+            recipe.inputs
+          )} → ${describe(recipe.outputs)}</div>
+          ${
+            recipe.tools.length > 0
+              ? `<div class="inventory-recipe-tools">Tools: ${recipe.tools
+                  .map((templateId) => this.getTemplateName(templateId))
+                  .join(", ")}</div>`
+              : ""
+          }
+          <div class="inventory-recipe-meta">${
+            recipe.time > 0 ? `${recipe.time / 1000}s • ` : ""
+          }${Math.round(recipe.successChance * 100)}% success</div>
+          ${
+            active
+              ? `<div class="inventory-recipe-progress"><div class="inventory-recipe-progress-bar" style="animation-duration: ${recipe.time}ms; animation-delay: -${elapsed}ms;"></div></div>`
+              : ""
+          }
+        </div>
+        <button class="inventory-recipe-craft" data-recipe="${recipe.id}" ${
+      this.activeCraft ? "disabled" : ""
+    }>${active ? "Crafting..." : "Craft"}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Fill the shop panel: the open merchant's goods and buyback list, and
+   * the bag items with what the merchant pays for them
+   */
+  updateShopPanel() {
+    const merchantId = this.openMerchantId;
+    const merchant = merchantId ? this.shop.getMerchant(merchantId) : null;
+    if (!merchant) return;
+
+    const title = document.getElementById("inventory-shop-title");
+    if (title) title.textContent = `${merchant.icon} ${merchant.name}`;
+
+    const currency = document.getElementById("inventory-shop-currency");
+    if (currency) {
+      currency.textContent = `${this.currency} ${this.options.currencyName}`;
+    }
+
+    const stockList = document.getElementById("inventory-shop-stock");
+    if (stockList) {
+      stockList.innerHTML = this.getMerchantStock(merchantId)
+        .map((entry) =>
+          this.generateTradeHTML({
+            icon: this.getItemEmoji(entry.type),
+            name: entry.name,
+            quantity: entry.quantity,
+            price: entry.price,
+            action: `data-buy="${entry.templateId}"`,
+            label: "Buy",
+            disabled: entry.quantity === 0 || entry.price > this.currency,
+            note: entry.quantity === 0 ? "Sold out" : "",
+          })
+        )
+        .join("");
+    }
+
+    const buybackList = document.getElementById("inventory-shop-buyback");
+    if (buybackList) {
+      const buyback = this.shop.getBuyback(merchantId);
+      buybackList.innerHTML =
+        buyback.length > 0
+          ? buyback
+              .map(({ item, price }, index) =>
+                this.generateTradeHTML({
+                  icon: this.getItemEmoji(item.type),
+                  name: item.name,
+                  quantity: item.quantity,
+                  price,
+                  action: `data-buyback="${index}"`,
+                  label: "Buy Back",
+                  disabled: price > this.currency,
+                })
+              )
+              .join("")
+          : '<div class="inventory-shop-empty">Nothing sold yet</div>';
+    }
+
+    // Items that can't be sold stay listed, with the reason
+    const reasons = {
+      locked: "Locked",
+      untradeable: "Not tradeable",
+      equipped: "Equipped",
+      not_buying: "Not wanted",
+    };
+    const sellList = document.getElementById("inventory-shop-sell");
+    if (sellList) {
+      const items = this.getBag().getItems();
+      sellList.innerHTML =
+        items.length > 0
+          ? items
+              .map(({ item, slot }) => {
+                const reason = this.checkSale(item, merchantId);
+                return this.generateTradeHTML({
+                  icon: this.getItemEmoji(item.type),
+                  name: item.name,
+                  quantity: item.quantity,
+                  price: this.getSellPrice(item, merchantId),
+                  action: `data-sell="${slot}"`,
+                  label: "Sell",
+                  disabled: Boolean(reason),
+                  note: reason ? reasons[reason] : "",
+                });
+              })
+              .join("")
+          : '<div class="inventory-shop-empty">Nothing to sell</div>';
+    }
+  }
+
+  /**
+   * Generate HTML for a row of the shop panel
+   * @param {Object} row - { icon, name, quantity, price, action: button data attribute, label, disabled, note }
+   */
+  generateTradeHTML(row) {
+    return `
+      <div class="inventory-trade${row.disabled ? " unavailable" : ""}">
+        <div class="inventory-trade-icon">${row.icon}</div>
+        <div class="inventory-trade-info">
+          <div class="inventory-trade-name">${row.name}${
+      row.quantity > 1 ? ` ×${row.quantity}` : ""
+    }</div>
+          <div class="inventory-trade-price">${row.price} ${
+      this.options.currencyName
+    }${row.note ? ` • ${row.note}` : ""}</div>
+        </div>
+        <button class="inventory-trade-button" ${row.action} ${
+      row.disabled ? "disabled" : ""
+    }>${row.label}</button>
+      </div>
+    `;
+  }
+
   /**
    * Toggle inventory visibility
    */
@@ -1349,12 +3668,12 @@ class InventoryManager {
   /**
    * Select a slot
    */
-  selectSlot(index) {
+  selectSlot(index, containerId = "bag") {
     document.querySelectorAll(".inventory-slot").forEach((slot) => {
       slot.classList.remove("selected");
     });
 
-    const slot = document.querySelector(`[data-slot="${index}"]`);
+    const slot = this.getSlotElement(index, containerId);
     if (slot) {
       slot.classList.add("selected");
       slot.focus();
@@ -1365,7 +3684,7 @@ class InventoryManager {
    * Toggle slot selection for bulk operations
    */
   toggleSlotSelection(index) {
-    const slot = document.querySelector(`[data-slot="${index}"]`);
+    const slot = this.getSlotElement(index);
     if (slot) {
       slot.classList.toggle("bulk-selected");
 
@@ -1406,6 +3725,11 @@ class InventoryManager {
       <div class="inventory-context-menu-item" data-action="lock">${
         item.locked ? "Unlock" : "Lock"
       }</div>
+      ${
+        this.getBag().isGrid() && item.width !== item.height
+          ? '<div class="inventory-context-menu-item" data-action="rotate">Rotate</div>'
+          : ""
+      }
     `;
 
     document.body.appendChild(menu);
@@ -1459,6 +3783,9 @@ class InventoryManager {
         this.saveInventory();
         this.refreshUI();
         break;
+      case "rotate":
+        this.rotateItem(slotIndex);
+        break;
     }
   }
 
@@ -1477,6 +3804,13 @@ class InventoryManager {
         e.preventDefault();
         this.removeItem(slotIndex);
         break;
+      case "r":
+      case "R":
+        if (this.getBag().isGrid()) {
+          e.preventDefault();
+          this.rotateItem(slotIndex);
+        }
+        break;
       case "ArrowRight":
         e.preventDefault();
         this.focusSlot(slotIndex + 1);
@@ -1500,8 +3834,8 @@ class InventoryManager {
    * Focus a specific slot
    */
   focusSlot(index) {
-    if (index >= 0 && index < this.options.maxSlots) {
-      const slot = document.querySelector(`[data-slot="${index}"]`);
+    if (index >= 0 && index < this.slots.length) {
+      const slot = this.getSlotElement(index);
       if (slot) {
         slot.focus();
       }
@@ -1512,8 +3846,9 @@ class InventoryManager {
    * Show detailed information about an item
    * @param {number} slotIndex - Slot containing the item
    */
-  showItemDetails(slotIndex) {
-    const item = this.slots[slotIndex];
+  showItemDetails(slotIndex, containerId = "bag") {
+    const container = this.getContainer(containerId);
+    const item = container ? container.slots[slotIndex] : null;
     const detailsContent = document.getElementById("inventory-details-content");
 
     if (!detailsContent) {
@@ -1710,6 +4045,36 @@ class InventoryManager {
             `
                 : ""
             }
+            ${
+              item.weight > 0 || item.volume > 0
+                ? `
+              <div class="inventory-details-property">
+                <span class="inventory-details-property-name">Weight:</span>
+                <span class="inventory-details-property-value">${this.formatAmount(
+                  item.getTotalWeight()
+                )} (${item.weight} each)</span>
+              </div>
+              <div class="inventory-details-property">
+                <span class="inventory-details-property-name">Volume:</span>
+                <span class="inventory-details-property-value">${this.formatAmount(
+                  item.getTotalVolume()
+                )} (${item.volume} each)</span>
+              </div>
+            `
+                : ""
+            }
+            ${
+              container.isGrid()
+                ? `
+              <div class="inventory-details-property">
+                <span class="inventory-details-property-name">Size:</span>
+                <span class="inventory-details-property-value">${
+                  tooltipData.size
+                }${item.rotated ? " (turned)" : ""}</span>
+              </div>
+            `
+                : ""
+            }
             <div class="inventory-details-property">
               <span class="inventory-details-property-name">Quality:</span>
               <span class="inventory-details-property-value">${
@@ -1783,6 +4148,16 @@ class InventoryManager {
         </div>
 
         <!-- Item Actions -->
+        ${
+          containerId !== "bag"
+            ? `
+        <div class="inventory-details-actions">
+          <button class="inventory-details-action-btn primary" onclick="window.currentInventory?.transferItem('${containerId}', ${slotIndex}, 'bag')">
+            Take
+          </button>
+        </div>
+        `
+            : `
         <div class="inventory-details-actions">
           ${
             item.type === "consumable"
@@ -1791,9 +4166,9 @@ class InventoryManager {
               Use Item
             </button>
           `
-              : item.type === "weapon" || item.type === "armor"
+              : this.equipment.getSlotForItem(item)
               ? `
-            <button class="inventory-details-action-btn primary" onclick="window.currentInventory?.useItem(${slotIndex})">
+            <button class="inventory-details-action-btn primary" onclick="window.currentInventory?.toggleEquipItem(${slotIndex})">
               ${item.equipped ? "Unequip" : "Equip"}
             </button>
           `
@@ -1802,10 +4177,30 @@ class InventoryManager {
           <button class="inventory-details-action-btn secondary" onclick="window.currentInventory?.toggleItemFavorite(${slotIndex})">
             ${item.favorite ? "Unfavorite" : "Favorite"}
           </button>
+          ${
+            container.isGrid() && item.width !== item.height
+              ? `
+          <button class="inventory-details-action-btn secondary" onclick="window.currentInventory?.rotateItem(${slotIndex})">
+            Rotate
+          </button>
+          `
+              : ""
+          }
+          ${
+            this.openContainerId && !item.equipped
+              ? `
+          <button class="inventory-details-action-btn secondary" onclick="window.currentInventory?.transferItem('bag', ${slotIndex}, '${this.openContainerId}')">
+            Store
+          </button>
+          `
+              : ""
+          }
           <button class="inventory-details-action-btn danger" onclick="window.currentInventory?.removeItem(${slotIndex})">
             Drop Item
           </button>
         </div>
+        `
+        }
       </div>
     `;
 
@@ -1823,6 +4218,10 @@ class InventoryManager {
     return `${tooltipData.name}\n${tooltipData.description}\nRarity: ${
       tooltipData.rarity
     }\nValue: ${tooltipData.value}${
+      tooltipData.weight > 0
+        ? `\nWeight: ${this.formatAmount(tooltipData.totalWeight)}`
+        : ""
+    }${
       tooltipData.durability !== null
         ? `\nDurability: ${tooltipData.durability}/${tooltipData.maxDurability}`
         : ""
@@ -1854,12 +4253,24 @@ class InventoryManager {
       consumable: "🧪",
       misc: "📦",
       quest: "📜",
+      container: "🎒",
+      material: "🪵",
+      tool: "🔨",
     };
     return emojis[type] || "📦";
   }
 
   // UTILITY METHODS
 
+  /**
+   * Round a weight or volume for display
+   * @param {number} amount - Amount to format
+   * @returns {number} - Amount to one decimal place
+   */
+  formatAmount(amount) {
+    return Math.round(amount * 10) / 10;
+  }
+
   /**
    * Play sound effect
    * @param {string} soundName - Sound identifier
@@ -1877,11 +4288,12 @@ class InventoryManager {
    * Animate a slot
    * @param {number} slotIndex - Slot to animate
    * @param {string} animationClass - CSS animation class
+   * @param {string} containerId - Container of the slot
    */
-  animateSlot(slotIndex, animationClass) {
+  animateSlot(slotIndex, animationClass, containerId = "bag") {
     if (!this.options.enableAnimations) return;
 
-    const slotElement = document.querySelector(`[data-slot="${slotIndex}"]`);
+    const slotElement = this.getSlotElement(slotIndex, containerId);
     if (slotElement) {
       slotElement.classList.add(animationClass);
       setTimeout(() => {
@@ -1951,8 +4363,15 @@ class InventoryManager {
    * @returns {Object} - Exported inventory data
    */
   exportInventory(includeMetadata = true) {
+    const containers = {};
+    this.containers.forEach((container) => {
+      if (container.id !== "bag") containers[container.id] = container.toJSON();
+    });
+
     const exportData = {
       slots: this.slots.map((item) => (item ? item.toJSON() : null)),
+      equipment: this.equipment.toJSON(),
+      containers,
       timestamp: Date.now(),
       version: "1.0.0",
     };
@@ -1991,6 +4410,13 @@ class InventoryManager {
       } else {
         // Replace entire inventory
         this.loadFromData(importData);
+
+        Object.entries(importData.containers || {}).forEach(([id, data]) => {
+          const container = this.getContainer(id);
+          if (container && id !== "bag" && data.slots) {
+            container.loadSlots(data.slots);
+          }
+        });
       }
 
       this.saveInventory();
@@ -2024,7 +4450,7 @@ class InventoryManager {
    */
   debugInventory() {
     console.log("=== INVENTORY DEBUG ===");
-    console.log("Total slots:", this.options.maxSlots);
+    console.log("Total slots:", this.slots.length);
     console.log(
       "Items in inventory:",
       this.slots.filter((item) => item !== null).length
@@ -2046,7 +4472,7 @@ class InventoryManager {
     // Check first few slots
     for (let i = 0; i < Math.min(5, this.slots.length); i++) {
       const item = this.slots[i];
-      const slotElement = document.querySelector(`[data-slot="${i}"]`);
+      const slotElement = this.getSlotElement(i);
       console.log(`Slot ${i}:`, {
         item: item ? item.name : "empty",
         element: slotElement,
@@ -2055,7 +4481,7 @@ class InventoryManager {
     }
 
     return {
-      totalSlots: this.options.maxSlots,
+      totalSlots: this.slots.length,
       itemCount: this.slots.filter((item) => item !== null).length,
       hasContainer: !!this.containerElement,
       isVisible: this.isVisible,
@@ -2090,6 +4516,10 @@ class InventoryManager {
     }
 
     // Clear data
+    this.cancelCraft();
+    this.isCraftingOpen = false;
+    this.openContainerId = null;
+    this.openMerchantId = null;
     this.slots = [];
     this.selectedSlots.clear();
     this.itemTemplates.clear();
@@ -0,0 +1,394 @@
+/**
+ * InventoryShop - Merchant Registry
+ * Declares merchants: what they stock, how often they restock, what they buy
+ * and how their prices move with the player's standing. Keeps each merchant's
+ * remaining stock and the items recently sold to them, so they can be bought
+ * back at the price they went for.
+ * Built for the Vanilla JavaScript Game Development Toolkit
+ */
+class InventoryShop {
+  constructor(options = {}) {
+    // Configuration options
+    this.options = {
+      enableDebugLogs: false,
+      loadDefaultMerchants: true,
+      merchants: {}, // Extra merchants by ID
+      buybackLimit: 10, // Recently sold items each merchant keeps for buyback
+      reputationEffect: 0.2, // Price change at reputation ±100: 20% off buying, 20% more selling
+      now: Date.now, // Clock for restocking
+      ...options,
+    };
+
+    // Merchants keyed by id: { name, icon, npcId, stock, restockInterval, buyMultiplier, sellMultiplier, buyTypes, buybackLimit, greeting }
+    this.merchants = new Map();
+
+    // Merchant ID -> { stock: { templateId: quantity }, lastRestock, buyback: [{ item, price, soldAt }] }
+    this.states = new Map();
+
+    if (this.options.loadDefaultMerchants) {
+      this.loadDefaultMerchants();
+    }
+    Object.entries(this.options.merchants).forEach(
+      ([merchantId, definition]) => {
+        this.registerMerchant(merchantId, definition);
+      }
+    );
+  }
+
+  /**
+   * Register the built-in merchants - they sell the default item templates
+   */
+  loadDefaultMerchants() {
+    this.registerMerchant("general_store", {
+      name: "General Store",
+      icon: "🏪",
+      npcId: "shopkeeper",
+      stock: { health_potion: 10, healing_herb: 30, leather_strip: 20 },
+      restockInterval: 5 * 60 * 1000,
+      greeting: "Supplies for the road",
+    });
+
+    this.registerMerchant("blacksmith", {
+      name: "Blacksmith",
+      icon: "⚒️",
+      npcId: "blacksmith",
+      stock: {
+        iron_sword: 2,
+        leather_armor: 2,
+        smithing_hammer: 1,
+        iron_ingot: 10,
+      },
+      restockInterval: 10 * 60 * 1000,
+      buyMultiplier: 1.2,
+      buyTypes: ["weapon", "armor", "material", "tool"],
+      greeting: "Only buys what can be worn, wielded or worked",
+    });
+  }
+
+  /**
+   * Register a merchant
+   * @param {string} merchantId - Merchant identifier
+   * @param {Object} definition - { name, icon, npcId: dialogue NPC whose relationship sets prices, stock: { templateId: quantity } or [{ templateId, quantity, price }], restockInterval: ms (0 never), buyMultiplier, sellMultiplier, buyTypes: item types bought from the player (null for any), buybackLimit, greeting }
+   */
+  registerMerchant(merchantId, definition = {}) {
+    const stock = this.normalizeStock(definition.stock);
+    if (stock.some((entry) => !entry.templateId || !(entry.quantity > 0))) {
+      throw new Error(
+        `Merchant ${merchantId} has stock without a template or quantity`
+      );
+    }
+    const templateIds = stock.map((entry) => entry.templateId);
+    if (new Set(templateIds).size < templateIds.length) {
+      throw new Error(`Merchant ${merchantId} lists a template twice`);
+    }
+
+    this.merchants.set(merchantId, {
+      icon: "🛒",
+      npcId: null,
+      restockInterval: 0,
+      buyMultiplier: 1,
+      sellMultiplier: 1,
+      buyTypes: null,
+      buybackLimit: this.options.buybackLimit,
+      greeting: "",
+      ...definition,
+      id: merchantId,
+      name: definition.name || merchantId,
+      stock,
+    });
+    this.log(`Registered merchant: ${merchantId}`);
+  }
+
+  /**
+   * Turn a merchant's stock into a list
+   * @param {Object|Array} stock - { templateId: quantity }, or template IDs and { templateId, quantity, price }
+   * @returns {Array} - [{ templateId, quantity, price }] - price null for the item's value
+   */
+  normalizeStock(stock = []) {
+    const entries = Array.isArray(stock)
+      ? stock.map((entry) =>
+          typeof entry === "string" ? { templateId: entry } : entry
+        )
+      : Object.entries(stock).map(([templateId, quantity]) => ({
+          templateId,
+          quantity,
+        }));
+
+    return entries.map((entry) => ({ quantity: 1, price: null, ...entry }));
+  }
+
+  /**
+   * Remove a merchant and what it has in stock
+   * @param {string} merchantId - Merchant identifier
+   * @returns {boolean} - True if the merchant existed
+   */
+  removeMerchant(merchantId) {
+    this.states.delete(merchantId);
+    return this.merchants.delete(merchantId);
+  }
+
+  /**
+   * Get a merchant definition
+   * @param {string} merchantId - Merchant identifier
+   */
+  getMerchant(merchantId) {
+    return this.merchants.get(merchantId) || null;
+  }
+
+  /**
+   * Get every registered merchant
+   * @returns {Array} - Merchant definitions
+   */
+  getMerchants() {
+    return Array.from(this.merchants.values());
+  }
+
+  /**
+   * Get a merchant's stock and buyback list, fully stocked the first time
+   * @param {string} merchantId - Merchant identifier
+   * @returns {Object|null} - { stock, lastRestock, buyback }
+   */
+  getState(merchantId) {
+    const merchant = this.getMerchant(merchantId);
+    if (!merchant) return null;
+
+    if (!this.states.has(merchantId)) {
+      this.states.set(merchantId, {
+        stock: this.getFullStock(merchant),
+        lastRestock: this.options.now(),
+        buyback: [],
+      });
+    }
+    return this.states.get(merchantId);
+  }
+
+  /**
+   * Get the quantities a merchant restocks to
+   * @param {Object} merchant - Merchant definition
+   * @returns {Object} - { templateId: quantity }
+   */
+  getFullStock(merchant) {
+    const stock = {};
+    merchant.stock.forEach(({ templateId, quantity }) => {
+      stock[templateId] = quantity;
+    });
+    return stock;
+  }
+
+  /**
+   * Restock a merchant when its restock interval has passed - each item is
+   * topped back up to the quantity it's stocked at
+   * @param {string} merchantId - Merchant identifier
+   * @param {boolean} force - Restock whether or not it's due
+   * @returns {boolean} - True if the merchant restocked
+   */
+  restock(merchantId, force = false) {
+    const merchant = this.getMerchant(merchantId);
+    const state = this.getState(merchantId);
+    if (!state) return false;
+
+    const now = this.options.now();
+    const due =
+      merchant.restockInterval > 0 &&
+      now - state.lastRestock >= merchant.restockInterval;
+    if (!force && !due) return false;
+
+    Object.entries(this.getFullStock(merchant)).forEach(
+      ([templateId, quantity]) => {
+        state.stock[templateId] = Math.max(
+          state.stock[templateId] || 0,
+          quantity
+        );
+      }
+    );
+    state.lastRestock = now;
+    this.log(`Restocked ${merchantId}`);
+    return true;
+  }
+
+  /**
+   * Get what a merchant has for sale, restocking first if it's due
+   * @param {string} merchantId - Merchant identifier
+   * @returns {Array} - [{ templateId, quantity, price }] - price null for the item's value
+   */
+  getStock(merchantId) {
+    const merchant = this.getMerchant(merchantId);
+    if (!merchant) return [];
+
+    this.restock(merchantId);
+    const { stock } = this.getState(merchantId);
+    return merchant.stock.map(({ templateId, price }) => ({
+      templateId,
+      quantity: stock[templateId] || 0,
+      price,
+    }));
+  }
+
+  /**
+   * Take sold items out of a merchant's stock
+   * @param {string} merchantId - Merchant identifier
+   * @param {string} templateId - Template sold
+   * @param {number} quantity - Quantity sold
+   * @returns {boolean} - False if the quantity isn't positive or the merchant doesn't have that many
+   */
+  takeStock(merchantId, templateId, quantity) {
+    const state = this.getState(merchantId);
+    if (!state || !(quantity > 0)) return false;
+    if ((state.stock[templateId] || 0) < quantity) return false;
+
+    state.stock[templateId] -= quantity;
+    return true;
+  }
+
+  /**
+   * Get the price multiplier for a reputation
+   * @param {number} reputation - -100 (hated) to 100 (trusted)
+   * @param {boolean} selling - True for what the merchant pays, false for what it charges
+   * @returns {number}
+   */
+  getReputationModifier(reputation = 0, selling = false) {
+    const standing = Math.max(-100, Math.min(100, reputation)) / 100;
+    const change = standing * this.options.reputationEffect;
+    return selling ? 1 + change : 1 - change;
+  }
+
+  /**
+   * Get what a merchant charges for one item
+   * @param {string} merchantId - Merchant identifier
+   * @param {number} baseValue - The item's value, or the stock entry's price
+   * @param {number} reputation - Player's standing with the merchant
+   * @returns {number} - Whole price, at least 1
+   */
+  getBuyPrice(merchantId, baseValue, reputation = 0) {
+    const merchant = this.getMerchant(merchantId);
+    if (!merchant) return 0;
+
+    const price =
+      baseValue *
+      merchant.buyMultiplier *
+      this.getReputationModifier(reputation, false);
+    return Math.max(1, Math.ceil(price));
+  }
+
+  /**
+   * Get what a merchant pays for one item
+   * @param {string} merchantId - Merchant identifier
+   * @param {number} sellValue - The item's sell value
+   * @param {number} reputation - Player's standing with the merchant
+   * @returns {number} - Whole price, possibly 0
+   */
+  getSellPrice(merchantId, sellValue, reputation = 0) {
+    const merchant = this.getMerchant(merchantId);
+    if (!merchant) return 0;
+
+    const price =
+      sellValue *
+      merchant.sellMultiplier *
+      this.getReputationModifier(reputation, true);
+    return Math.max(0, Math.floor(price));
+  }
+
+  /**
+   * Check whether a merchant buys a kind of item
+   * @param {string} merchantId - Merchant identifier
+   * @param {InventoryItem} item - Item offered
+   */
+  buysItem(merchantId, item) {
+    const merchant = this.getMerchant(merchantId);
+    return Boolean(
+      merchant && (!merchant.buyTypes || merchant.buyTypes.includes(item.type))
+    );
+  }
+
+  /**
+   * Keep a sold item for buyback, dropping the oldest past the merchant's limit
+   * @param {string} merchantId - Merchant identifier
+   * @param {InventoryItem} item - Item sold
+   * @param {number} price - Total the player got for it
+   */
+  addBuyback(merchantId, item, price) {
+    const merchant = this.getMerchant(merchantId);
+    const state = this.getState(merchantId);
+    if (!state) return;
+
+    state.buyback.unshift({
+      item: item.toJSON(),
+      price,
+      soldAt: this.options.now(),
+    });
+    state.buyback.splice(merchant.buybackLimit);
+  }
+
+  /**
+   * Get the items recently sold to a merchant, newest first
+   * @param {string} merchantId - Merchant identifier
+   * @returns {Array} - [{ item: item data, price, soldAt }]
+   */
+  getBuyback(merchantId) {
+    const state = this.getState(merchantId);
+    return state ? state.buyback : [];
+  }
+
+  /**
+   * Take an entry off a merchant's buyback list
+   * @param {string} merchantId - Merchant identifier
+   * @param {number} index - Entry index in getBuyback()
+   * @returns {Object|null} - The entry
+   */
+  takeBuyback(merchantId, index) {
+    const buyback = this.getBuyback(merchantId);
+    if (!buyback[index]) return null;
+    return buyback.splice(index, 1)[0];
+  }
+
+  /**
+   * Convert merchant stock and buyback lists to JSON for storage
+   * @returns {Object} - Merchant ID -> state
+   */
+  toJSON() {
+    const data = {};
+    this.states.forEach((state, merchantId) => {
+      data[merchantId] = {
+        stock: { ...state.stock },
+        lastRestock: state.lastRestock,
+        buyback: state.buyback.map((entry) => ({ ...entry })),
+      };
+    });
+    return data;
+  }
+
+  /**
+   * Restore merchant stock and buyback lists - merchants no longer
+   * registered are left out
+   * @param {Object} data - Output of toJSON()
+   */
+  fromJSON(data = {}) {
+    this.states = new Map(
+      Object.entries(data)
+        .filter(([merchantId]) => this.merchants.has(merchantId))
+        .map(([merchantId, state]) => [
+          merchantId,
+          {
+            stock: { ...state.stock },
+            lastRestock: state.lastRestock || this.options.now(),
+            buyback: (state.buyback || []).map((entry) => ({ ...entry })),
+          },
+        ])
+    );
+  }
+
+  /**
+   * Log debug message
+   * @param {string} message - Message to log
+   */
+  log(message) {
+    if (this.options.enableDebugLogs) {
+      console.log(`[InventoryShop] ${message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = InventoryShop;
+}